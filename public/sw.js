@@ -0,0 +1,82 @@
+// Service worker: keeps the app shell and its build assets available offline. Rival data
+// lives in IndexedDB and platform API calls always go to the network, so only the app itself
+// is cached here. Bump CACHE_VERSION when the caching rules change; hashed build assets need no bump.
+
+const CACHE_VERSION = 2;
+const CACHE_NAME = `code-rivals-shell-v${CACHE_VERSION}`;
+const SHELL_URLS = ['/', '/manifest.webmanifest', '/icon.svg'];
+// Styles come from the Tailwind CDN, which the shell can't render without
+const CACHED_CROSS_ORIGIN_HOSTS = ['cdn.tailwindcss.com'];
+
+// The first visit loads the page before this worker controls it, so its scripts never pass
+// through the fetch handler. Every hashed asset is cached at install instead, from Vite's
+// build manifest (see vite.config.js), including chunks loaded later such as the demo fixtures.
+const BUILD_MANIFEST_URL = '/manifest.json';
+
+const getBuildAssetUrls = async () => {
+  const response = await fetch(BUILD_MANIFEST_URL);
+  // The dev server has no build manifest
+  const manifest = response.ok ? await response.json().catch(() => null) : null;
+  if (!manifest) return [];
+  const files = Object.values(manifest).flatMap(chunk => [chunk.file, ...(chunk.css || []), ...(chunk.assets || [])]);
+  return [...new Set(files)].map(file => `/${file}`);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    Promise.all([caches.open(CACHE_NAME), getBuildAssetUrls()])
+      .then(([cache, assetUrls]) => cache.addAll([...SHELL_URLS, ...assetUrls]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const putInCache = async (request, response) => {
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+// Pages: network first so deploys show up, falling back to the cached shell. Every
+// route is the same index.html (see vercel.json), so it is cached under '/'.
+const handleNavigation = async (request) => {
+  try {
+    return await putInCache('/', await fetch(request));
+  } catch (err) {
+    return (await caches.match('/')) || Response.error();
+  }
+};
+
+// Assets: served from cache, refreshed in the background
+const handleAsset = async (event) => {
+  const cached = await caches.match(event.request);
+  const refresh = fetch(event.request).then(response => putInCache(event.request, response));
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  // The team server's API, when it also serves the app: live state that must never come from cache
+  if (url.origin === self.location.origin && url.pathname.startsWith('/api/')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (url.origin === self.location.origin || CACHED_CROSS_ORIGIN_HOSTS.includes(url.hostname)) {
+    event.respondWith(handleAsset(event));
+  }
+});
@@ -0,0 +1,134 @@
+// HTTP side of the team server: the REST API described in index.js, plus the built app
+// for every other path. Kept apart from the entry point so it can run against any database.
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { isValidTimeZone } from '../src/api.js';
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+const DIST_DIR = fileURLToPath(new URL('../dist/', import.meta.url));
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.webmanifest': 'application/manifest+json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png'
+};
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = async (req) => {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw httpError(413, 'Request body too large');
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString() || '{}');
+  } catch (err) {
+    throw httpError(400, 'Request body is not valid JSON');
+  }
+};
+
+// The app validates imports the same way; this only keeps obviously broken saves out
+const validateState = (state) => {
+  const errors = [];
+  if (!state || typeof state !== 'object') return ['`state` must be an object.'];
+  if (!Array.isArray(state.users)) errors.push('`users` must be a list.');
+  else state.users.forEach((u, i) => {
+    if (u?.id === undefined || u?.id === null) errors.push(`User #${i + 1} has no id.`);
+    if (typeof u?.username !== 'string' || !u.username.trim()) errors.push(`User #${i + 1} has no username.`);
+    if (u?.handles && (typeof u.handles !== 'object' || !Object.values(u.handles).every(Array.isArray))) errors.push(`User #${i + 1} has invalid handles.`);
+  });
+  if (state.leagues && !Array.isArray(state.leagues)) errors.push('`leagues` must be a list.');
+  else (state.leagues || []).forEach(l => {
+    if (l?.timeZone && !isValidTimeZone(l.timeZone)) errors.push(`League "${l.name}" has an unknown timezone "${l.timeZone}".`);
+  });
+  if (state.duels && !Array.isArray(state.duels)) errors.push('`duels` must be a list.');
+  return errors;
+};
+
+// The built app, with unknown paths falling back to index.html for client-side routes
+const serveStatic = async (req, res) => {
+  const path = normalize(decodeURIComponent(new URL(req.url, 'http://localhost').pathname)).replace(/^(\.\.[/\\])+/, '');
+  const file = join(DIST_DIR, path);
+  try {
+    const body = await readFile(file.startsWith(DIST_DIR) && extname(file) ? file : join(DIST_DIR, 'index.html'));
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(file)] || CONTENT_TYPES['.html'] });
+    res.end(body);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end(extname(file) ? 'Not found' : 'The app is not built yet. Run `npm run build` first.');
+  }
+};
+
+// Browsers only get to call the API from the server's own pages and from `allowedOrigins`.
+// Anything else is refused outright, not just left without CORS headers: there is no login,
+// so any page the user visits could otherwise wipe the shared state through PUT /api/state.
+// Requests without an Origin header (curl, scripts) aren't from a web page and are let through.
+const isAllowedOrigin = (req, origin, allowedOrigins) => !origin
+  || origin === `http://${req.headers.host}`
+  || allowedOrigins.includes(origin);
+
+export const createApiServer = ({ db, scheduler, allowedOrigins = [] }) => {
+  const getStatus = () => ({ ...db.getVersions(), pending: scheduler.getPending() });
+
+  const routes = {
+    'GET /api/status': () => getStatus(),
+
+    'GET /api/state': () => ({ ...getStatus(), state: db.getState() }),
+
+    'PUT /api/state': async (req) => {
+      const { baseRevision, state } = await readBody(req);
+      const errors = validateState(state);
+      if (errors.length) throw httpError(400, errors.join(' '));
+      const { revision } = db.getVersions();
+      if (baseRevision !== revision) throw Object.assign(httpError(409, 'The shared state changed since it was loaded'), { revision });
+      return { revision: db.saveState(state) };
+    },
+
+    'POST /api/sync': async (req) => {
+      const { jobs } = await readBody(req);
+      const queued = Array.isArray(jobs)
+        ? jobs.flatMap(job => scheduler.createJobs({ userIds: [job.userId], platformIds: [job.platformId], handles: [job.handle], full: Boolean(job.full) }))
+        : scheduler.createJobs();
+      return { pending: scheduler.queue(queued) };
+    }
+  };
+
+  return createServer(async (req, res) => {
+    const { origin } = req.headers;
+    res.setHeader('Vary', 'Origin');
+    if (origin && isAllowedOrigin(req, origin, allowedOrigins)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    }
+    if (req.method === 'OPTIONS') return res.writeHead(204).end();
+
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (!pathname.startsWith('/api/')) return await serveStatic(req, res);
+      if (!isAllowedOrigin(req, origin, allowedOrigins)) throw httpError(403, `Origin ${origin} may not use this server. Add it to ALLOWED_ORIGINS.`);
+      const route = routes[`${req.method} ${pathname}`];
+      if (!route) throw httpError(404, `No route for ${req.method} ${pathname}`);
+      sendJson(res, 200, await route(req));
+    } catch (err) {
+      if (!err.status) console.error(`${req.method} ${req.url} failed:`, err);
+      sendJson(res, err.status || 500, { error: err.status ? err.message : 'Internal server error', ...(err.revision !== undefined && { revision: err.revision }) });
+    }
+  });
+};
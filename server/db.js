@@ -0,0 +1,149 @@
+// SQLite storage for the team server, through better-sqlite3.
+//
+//   users          one row per rival: username, handles (JSON, a list per platform) and the
+//                  rest of the user record (goals, practice queue, excluded handles...) as JSON
+//   platform_data  synced data and sync status per account, i.e. (user, platform, handle)
+//   settings       the shared leagues, scoring rules, timezone and duels, plus the
+//                  `revision` and `dataVersion` counters clients poll
+//
+// `revision` goes up whenever a client saves the shared state, `dataVersion` whenever the
+// scheduler stores fetched data.
+
+import Database from 'better-sqlite3';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    position INTEGER NOT NULL,
+    username TEXT NOT NULL,
+    handles TEXT NOT NULL,
+    record TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS platform_data (
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    platform_id TEXT NOT NULL,
+    handle TEXT NOT NULL,
+    data TEXT,
+    sync_status TEXT NOT NULL,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (user_id, platform_id, handle)
+  );
+  CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+// Shared settings a client can save, with what an empty server starts from
+const SHARED_SETTINGS = { leagues: null, scoringRules: null, duels: [] };
+
+// Rival ids are usually numbers in the app, but travel through SQLite as text
+const decodeId = (id) => /^\d+$/.test(id) ? Number(id) : id;
+
+export const openDatabase = (path) => {
+  const db = new Database(path);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+
+  const getSetting = (key, fallback = null) => {
+    const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : fallback;
+  };
+  const setSetting = (key, value) => {
+    db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value').run(key, JSON.stringify(value));
+  };
+
+  const getVersions = () => ({ revision: getSetting('revision', 0), dataVersion: getSetting('dataVersion', 0) });
+
+  const getSettings = () => Object.fromEntries(Object.entries(SHARED_SETTINGS).map(([key, fallback]) => [key, getSetting(key, fallback)]));
+
+  // Users with their handles only, for the scheduler
+  const getUsers = () => db.prepare('SELECT id, handles FROM users ORDER BY position').all()
+    .map(row => ({ id: decodeId(row.id), handles: JSON.parse(row.handles) }));
+
+  // Whether the account is still linked, i.e. not removed from the rival or the rival deleted
+  const isLinked = (userId, platformId, handle) => {
+    const row = db.prepare('SELECT handles FROM users WHERE id = ?').get(String(userId));
+    return Boolean(row && JSON.parse(row.handles)[platformId]?.includes(handle));
+  };
+
+  const getPlatformRow = (userId, platformId, handle) => db.prepare('SELECT data, sync_status FROM platform_data WHERE user_id = ? AND platform_id = ? AND handle = ?').get(String(userId), platformId, handle);
+
+  // Everything a client needs, with users in the shape the app stores them
+  const getState = () => {
+    const rows = db.prepare('SELECT user_id, platform_id, handle, data, sync_status FROM platform_data').all();
+    const byAccount = (own, read) => {
+      const result = {};
+      own.forEach(r => {
+        const value = read(r);
+        if (value) result[r.platform_id] = { ...result[r.platform_id], [r.handle]: value };
+      });
+      return result;
+    };
+    const users = db.prepare('SELECT id, username, handles, record FROM users ORDER BY position').all().map(row => {
+      const own = rows.filter(r => r.user_id === row.id);
+      return {
+        ...JSON.parse(row.record),
+        id: decodeId(row.id),
+        username: row.username,
+        handles: JSON.parse(row.handles),
+        accountData: byAccount(own, r => r.data && JSON.parse(r.data)),
+        syncStatus: byAccount(own, r => JSON.parse(r.sync_status))
+      };
+    });
+    return { users, ...getSettings() };
+  };
+
+  // Replaces the shared state. Rivals missing from `state` are deleted, and so is the
+  // stored data of accounts that were unlinked.
+  const saveState = db.transaction((state) => {
+    const keep = new Set(state.users.map(u => String(u.id)));
+    db.prepare('SELECT id FROM users').all()
+      .filter(row => !keep.has(row.id))
+      .forEach(row => db.prepare('DELETE FROM users WHERE id = ?').run(row.id));
+
+    const upsert = db.prepare(`
+      INSERT INTO users (id, position, username, handles, record) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET position = excluded.position, username = excluded.username, handles = excluded.handles, record = excluded.record
+    `);
+    state.users.forEach((user, position) => {
+      const { id, username, handles = {}, data, accountData, syncStatus, ...record } = user;
+      upsert.run(String(id), position, username, JSON.stringify(handles), JSON.stringify(record));
+      db.prepare('SELECT platform_id, handle FROM platform_data WHERE user_id = ?').all(String(id))
+        .filter(row => !handles[row.platform_id]?.includes(row.handle))
+        .forEach(row => db.prepare('DELETE FROM platform_data WHERE user_id = ? AND platform_id = ? AND handle = ?').run(String(id), row.platform_id, row.handle));
+    });
+
+    Object.keys(SHARED_SETTINGS).forEach(key => {
+      if (key in state) setSetting(key, state[key]);
+    });
+    const revision = getSetting('revision', 0) + 1;
+    setSetting('revision', revision);
+    return revision;
+  });
+
+  // Stores a finished sync job. Data is only replaced when the job fetched some.
+  const savePlatformData = db.transaction((userId, platformId, handle, data, status) => {
+    const previous = getPlatformRow(userId, platformId, handle);
+    const syncStatus = { ...(previous ? JSON.parse(previous.sync_status) : {}), ...status };
+    const stored = data ? JSON.stringify(data) : previous?.data ?? null;
+    db.prepare(`
+      INSERT INTO platform_data (user_id, platform_id, handle, data, sync_status, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(user_id, platform_id, handle) DO UPDATE SET data = excluded.data, sync_status = excluded.sync_status, updated_at = excluded.updated_at
+    `).run(String(userId), platformId, handle, stored, JSON.stringify(syncStatus), Date.now());
+    setSetting('dataVersion', getSetting('dataVersion', 0) + 1);
+  });
+
+  const getPlatformData = (userId, platformId, handle) => {
+    const row = getPlatformRow(userId, platformId, handle);
+    return row?.data ? JSON.parse(row.data) : null;
+  };
+
+  const getSyncStatus = (userId, platformId, handle) => {
+    const row = getPlatformRow(userId, platformId, handle);
+    return row ? JSON.parse(row.sync_status) : null;
+  };
+
+  return { getVersions, getSettings, getUsers, isLinked, getState, saveState, savePlatformData, getPlatformData, getSyncStatus, close: () => db.close() };
+};
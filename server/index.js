@@ -0,0 +1,51 @@
+// Optional team server: one shared copy of the rivals, leagues and synced history for
+// everyone whose app points at it, with the platforms fetched here on a schedule instead of
+// in each browser. It needs Node 20+ (SQLite comes from better-sqlite3) and runs entirely
+// locally:
+//
+//   npm run build && npm run server
+//
+// then open http://localhost:8787 and connect under Import / export → Team server.
+// Settings come from the environment:
+//   PORT (8787), HOST (127.0.0.1; 0.0.0.0 shares it on your network, where anyone who can
+//   reach it can change the shared data), DB_PATH (code-rivals.db), SYNC_INTERVAL_MINUTES (60),
+//   ALLOWED_ORIGINS (none; comma-separated origins besides its own whose pages may use the
+//   API, e.g. http://localhost:5173 for `npm run dev`)
+//
+// REST API, all JSON:
+//   GET  /api/status  { revision, dataVersion, pending }
+//   GET  /api/state   the same plus `state`: { users (with synced data), leagues,
+//                     scoringRules, duels }
+//   PUT  /api/state   { baseRevision, state } replaces the shared state (users without their
+//                     synced data). 409 when someone else saved since `baseRevision`.
+//   POST /api/sync    { jobs: [{ userId, platformId, handle, full }] } queues fetches;
+//                     without jobs, every linked account is queued
+
+import { openDatabase } from './db.js';
+import { createScheduler } from './scheduler.js';
+import { createApiServer } from './app.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || '127.0.0.1';
+const DB_PATH = process.env.DB_PATH || 'code-rivals.db';
+const SYNC_INTERVAL_MINUTES = Number(process.env.SYNC_INTERVAL_MINUTES) || 60;
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+
+const db = openDatabase(DB_PATH);
+const scheduler = createScheduler(db, { intervalMinutes: SYNC_INTERVAL_MINUTES });
+const server = createApiServer({ db, scheduler, allowedOrigins: ALLOWED_ORIGINS });
+
+server.listen(PORT, HOST, () => {
+  console.log(`Code Rivals team server on http://${HOST}:${PORT} (database ${DB_PATH}, syncing every ${SYNC_INTERVAL_MINUTES} min)`);
+  scheduler.start();
+});
+
+const shutdown = () => {
+  scheduler.stop();
+  server.close(() => {
+    db.close();
+    process.exit(0);
+  });
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,82 @@
+// Server-side fetching. Clients ask for jobs through POST /api/sync, and every minute the
+// scheduler queues each linked account whose last attempt is older than the sync interval.
+// Jobs run in batches through the app's own runSyncQueue, so throttling, retries and
+// incremental merging behave exactly as they do in the browser.
+
+import { PLATFORM_SOURCES, getSyncJobKey, runSyncQueue } from '../src/api.js';
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+export const createScheduler = (db, { intervalMinutes }) => {
+  // Queued jobs by key; a job already waiting is widened to a full fetch if one is asked for
+  const queued = new Map();
+  const running = new Set();
+  let draining = null;
+
+  const getPending = () => [...new Set([...running, ...queued.keys()])];
+
+  const queue = (jobs) => {
+    jobs.forEach(job => {
+      const key = getSyncJobKey(job);
+      const waiting = queued.get(key);
+      queued.set(key, waiting ? { ...waiting, full: waiting.full || job.full } : job);
+    });
+    if (!draining) {
+      draining = drain()
+        .catch(err => {
+          console.error('Sync queue stopped:', err);
+          running.clear();
+        })
+        .finally(() => { draining = null; });
+    }
+    return getPending();
+  };
+
+  const drain = async () => {
+    while (queued.size > 0) {
+      const batch = [...queued.values()];
+      queued.clear();
+      batch.forEach(job => running.add(getSyncJobKey(job)));
+      await runSyncQueue(
+        batch,
+        job => db.getPlatformData(job.userId, job.platformId, job.handle),
+        (job, result) => {
+          running.delete(getSyncJobKey(job));
+          // Accounts unlinked or rivals deleted while the job ran are skipped, as in the app
+          if (!db.isLinked(job.userId, job.platformId, job.handle)) return;
+          db.savePlatformData(job.userId, job.platformId, job.handle, result.data, result.status);
+        }
+      );
+    }
+  };
+
+  // Jobs for the given rivals, platforms and handles (every linked account by default),
+  // using the accounts stored here rather than whatever the client sent
+  const createJobs = ({ userIds, platformIds, handles, full = false } = {}) => db.getUsers()
+    .filter(user => !userIds || userIds.some(id => String(id) === String(user.id)))
+    .flatMap(user => Object.keys(PLATFORM_SOURCES)
+      .filter(platformId => !platformIds || platformIds.includes(platformId))
+      .flatMap(platformId => (user.handles?.[platformId] || [])
+        .filter(handle => !handles || handles.includes(handle))
+        .map(handle => ({ userId: user.id, platformId, handle, full }))));
+
+  const isDue = (job, now) => {
+    const status = db.getSyncStatus(job.userId, job.platformId, job.handle);
+    return !status?.lastAttemptAt || now - status.lastAttemptAt > intervalMinutes * 60 * 1000;
+  };
+
+  const queueDue = () => {
+    const now = Date.now();
+    const due = createJobs().filter(job => !running.has(getSyncJobKey(job)) && isDue(job, now));
+    if (due.length) queue(due);
+  };
+
+  let timer = null;
+  const start = () => {
+    queueDue();
+    timer = setInterval(queueDue, CHECK_INTERVAL_MS);
+  };
+  const stop = () => clearInterval(timer);
+
+  return { queue, createJobs, getPending, start, stop };
+};
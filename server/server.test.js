@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { openDatabase } from './db.js';
+import { createScheduler } from './scheduler.js';
+import { createApiServer } from './app.js';
+
+const sharedState = {
+  users: [
+    { id: 1, username: 'ann', handles: { codeforces: ['ann_cf', 'ann_alt'], leetcode: ['ann_lc'] } },
+    { id: 2, username: 'bob', handles: { atcoder: ['bob_ac'] } }
+  ],
+  leagues: [{ id: 'all', name: 'All Rivals', memberIds: null, period: 'week', weekStart: 1, timeZone: 'UTC' }],
+  duels: []
+};
+
+let db;
+let scheduler;
+
+beforeEach(() => {
+  db = openDatabase(':memory:');
+  scheduler = createScheduler(db, { intervalMinutes: 60 });
+  db.saveState(sharedState);
+});
+
+afterEach(() => {
+  db.close();
+});
+
+describe('createJobs', () => {
+  it('queues every linked account by default', () => {
+    expect(scheduler.createJobs()).toEqual([
+      { userId: 1, platformId: 'leetcode', handle: 'ann_lc', full: false },
+      { userId: 1, platformId: 'codeforces', handle: 'ann_cf', full: false },
+      { userId: 1, platformId: 'codeforces', handle: 'ann_alt', full: false },
+      { userId: 2, platformId: 'atcoder', handle: 'bob_ac', full: false }
+    ]);
+  });
+
+  it('narrows to the given rivals, platforms and handles', () => {
+    expect(scheduler.createJobs({ userIds: ['1'], platformIds: ['codeforces'], handles: ['ann_alt'], full: true }))
+      .toEqual([{ userId: 1, platformId: 'codeforces', handle: 'ann_alt', full: true }]);
+  });
+
+  it('only uses accounts stored on the server', () => {
+    expect(scheduler.createJobs({ userIds: [1], platformIds: ['codeforces'], handles: ['someone_else'] })).toEqual([]);
+    expect(scheduler.createJobs({ userIds: [3] })).toEqual([]);
+  });
+});
+
+describe('team server API', () => {
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    server = createApiServer({ db, scheduler, allowedOrigins: ['http://localhost:5173'] });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const putState = (baseRevision, state) => fetch(`${baseUrl}/api/state`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ baseRevision, state })
+  });
+
+  it('saves on top of the latest revision', async () => {
+    const { revision } = await (await fetch(`${baseUrl}/api/status`)).json();
+    const res = await putState(revision, { ...sharedState, users: sharedState.users.slice(0, 1) });
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual({ revision: revision + 1 });
+
+    const { state } = await (await fetch(`${baseUrl}/api/state`)).json();
+    expect(state.users.map(u => u.username)).toEqual(['ann']);
+  });
+
+  it('rejects a save based on an older revision with 409 and the current one', async () => {
+    const { revision } = await (await fetch(`${baseUrl}/api/status`)).json();
+    await putState(revision, sharedState);
+
+    const res = await putState(revision, { ...sharedState, users: [] });
+    expect(res.status).toBe(409);
+    expect(await res.json()).toMatchObject({ revision: revision + 1 });
+    expect(db.getState().users).toHaveLength(2);
+  });
+
+  it('refuses pages from other origins', async () => {
+    const { revision } = await (await fetch(`${baseUrl}/api/status`)).json();
+    const res = await fetch(`${baseUrl}/api/state`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', Origin: 'https://example.com' },
+      body: JSON.stringify({ baseRevision: revision, state: { ...sharedState, users: [] } })
+    });
+    expect(res.status).toBe(403);
+    expect(res.headers.get('access-control-allow-origin')).toBeNull();
+    expect(db.getState().users).toHaveLength(2);
+
+    const preflight = await fetch(`${baseUrl}/api/state`, { method: 'OPTIONS', headers: { Origin: 'https://example.com' } });
+    expect(preflight.headers.get('access-control-allow-origin')).toBeNull();
+  });
+
+  it('lets its own pages and the allowed origins in', async () => {
+    for (const origin of [baseUrl, 'http://localhost:5173']) {
+      const res = await fetch(`${baseUrl}/api/status`, { headers: { Origin: origin } });
+      expect(res.status).toBe(200);
+      expect(res.headers.get('access-control-allow-origin')).toBe(origin);
+    }
+  });
+
+  it('rejects broken state with 400', async () => {
+    const { revision } = await (await fetch(`${baseUrl}/api/status`)).json();
+    const res = await putState(revision, { users: [{ id: 1 }] });
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toMatch(/has no username/);
+
+    const badZone = await putState(revision, { ...sharedState, leagues: [{ ...sharedState.leagues[0], timeZone: 'Mars/Olympus' }] });
+    expect(badZone.status).toBe(400);
+    expect((await badZone.json()).error).toMatch(/unknown timezone "Mars\/Olympus"/);
+  });
+});
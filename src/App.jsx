@@ -1,242 +1,3790 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { 
   Plus, Activity, Trophy, Calendar as CalendarIcon, RefreshCw, 
   Moon, Sun, Trash2, ExternalLink, ArrowLeft, Edit2, TrendingUp,
-  Github, Code, Terminal, Award, Link as LinkIcon, AlertCircle
+  Github, Code, Terminal, Award, Link as LinkIcon, AlertCircle, ChefHat,
+  Settings, ChevronDown, ChevronLeft, ChevronRight, ArrowUp, ArrowDown, Minus, Crown,
+  LineChart as LineChartIcon, Flame, Zap, CalendarCheck, Sparkles, Gem, Rocket,
+  Mountain, Medal, Star, Lock, GitCompare, Swords, Users, Database, FileJson,
+  FileSpreadsheet, HardDriveUpload, Share2, Tags, ListChecks,
+  Target, WifiOff, FlaskConical, Bell, UserCheck, Newspaper, FileText, Image as ImageIcon, Server, Unplug
 } from 'lucide-react';
+import DEMO_FIXTURES from './fixtures/demo.json';
+import {
+  getBrowserTimeZone, isValidTimeZone, getLocalDate, getNow, syncError,
+  setRequestHandler, requestCodeforces, LEETCODE_DIFFICULTIES, LEETCODE_CN_PREFIX, getLeetCodeCnUsername, PLATFORM_SOURCES, getSyncJobKey, runSyncQueue
+} from './api';
 
-// --- API UTILITIES ---
+// --- PLATFORM ADAPTERS ---
+// Every supported platform is described here once. Views, forms and scoring iterate
+// PLATFORMS instead of naming platforms, and user.handles / user.data are keyed by id.
+// A rival can link several accounts per platform; `mergeData` combines their data into one
+// object of the same shape (see ACCOUNTS), which is what user.data holds.
+// `toSolveEvents` turns stored data into { date, tier, count, firstSolves } rows, where
+// `tier` is one of the adapter's `scoringTiers` keys. Adapters with `ratingTiers` also
+// store contest history under `data.contests`. `problemUrl` links a stored problem id,
+// `partialProblemList` marks platforms whose `data.problems` only holds recent solves,
+// `parseHandle` reads handles that `handlePattern` can't (returning null to fall back to it),
+// `scoringNote` is shown under the platform's points in the scoring rules panel,
+// `getDifficultyBands` splits the solved count into the platform's difficulty levels,
+// and `problemRating` looks up the rating of a problem id from the stored data.
+// `toDatedData` turns an account's stored solve times into dated history in a league's
+// timezone (see ACCOUNTS). The name and fetcher come from PLATFORM_SOURCES in api.js.
 
-// Helper: Convert UNIX timestamp to Local YYYY-MM-DD
-// Added safety check to prevent crashes on invalid dates
-const getLocalDate = (timestamp) => {
-  if (!timestamp || isNaN(timestamp)) return new Date().toLocaleDateString('en-CA');
+const PLATFORMS = [
+  {
+    id: 'leetcode',
+    ...PLATFORM_SOURCES.leetcode,
+    shortName: 'LC',
+    icon: Activity,
+    badgeClass: 'bg-yellow-500/10 text-yellow-600 dark:text-yellow-400 border-yellow-500/20',
+    textClass: 'text-yellow-500',
+    ringClass: 'focus:ring-yellow-500',
+    chartColor: '#eab308',
+    placeholder: 'leetcode.com/u/username',
+    handlePattern: /leetcode\.com\/(?:u\/)?([^\/]+)/,
+    // leetcode.cn accounts keep the site in the handle (see LEETCODE_CN_PREFIX)
+    parseHandle: (input) => {
+      const match = input.match(/leetcode\.cn\/(?:u\/)?([^\/]+)/);
+      return match ? `${LEETCODE_CN_PREFIX}${match[1]}` : null;
+    },
+    profileUrl: (handle) => {
+      const cnUsername = getLeetCodeCnUsername(handle);
+      return cnUsername ? `https://leetcode.cn/u/${cnUsername}` : `https://leetcode.com/u/${handle}`;
+    },
+    problemUrl: (slug) => `https://leetcode.com/problems/${slug}/`,
+    partialProblemList: true,
+    scoringNote: 'Solves are dated from the recent submissions LeetCode lists. Any it doesn\'t list count on the day of the sync that finds them.',
+    scoringTiers: [
+      { key: 'easy', label: 'Easy', points: 1 },
+      { key: 'medium', label: 'Medium', points: 2 },
+      { key: 'hard', label: 'Hard', points: 4 },
+      { key: 'submission', label: 'Calendar submission', points: 1 }
+    ],
+    toSolveEvents: (data) => toLeetCodeSolveEvents(data),
+    toDatedData: (data, timeZone) => toDatedLeetCodeData(data, timeZone),
+    // Only counts are reported, so solves can't be matched across accounts except for the
+    // recent ones listed in `problems`; those are deducted from the total
+    mergeData: (accounts) => {
+      const problems = mergeProblems(accounts);
+      const listed = accounts.reduce((acc, d) => acc + Object.keys(d.problems || {}).length, 0);
+      return {
+        totalSolved: sumBy(accounts, d => d.totalSolved) - (listed - Object.keys(problems).length),
+        history: mergeHistories(accounts),
+        solvedByDifficulty: Object.fromEntries(LEETCODE_DIFFICULTIES.map(d => [d, sumBy(accounts, a => a.solvedByDifficulty?.[d])])),
+        difficultyHistory: mergeDailyCounts(accounts.flatMap(d => d.difficultyHistory || []), LEETCODE_DIFFICULTIES),
+        untrackedHistory: mergeDailyCounts(accounts.flatMap(getUntrackedHistory), ['count']),
+        problems,
+        contests: getBestContests(accounts)
+      };
+    },
+    getDifficultyBands: (data) => LEETCODE_DIFFICULTIES.map(d => ({
+      key: d,
+      label: d.charAt(0).toUpperCase() + d.slice(1),
+      count: data?.solvedByDifficulty?.[d] || 0
+    })),
+    ratingTiers: [
+      { min: 0, title: 'Unranked', textClass: 'text-slate-400', color: '#94a3b8' },
+      { min: 1850, title: 'Knight', textClass: 'text-sky-500', color: '#0ea5e9' },
+      { min: 2150, title: 'Guardian', textClass: 'text-amber-500', color: '#f59e0b' }
+    ]
+  },
+  {
+    id: 'codeforces',
+    ...PLATFORM_SOURCES.codeforces,
+    shortName: 'CF',
+    icon: Terminal,
+    badgeClass: 'bg-blue-500/10 text-blue-600 dark:text-blue-400 border-blue-500/20',
+    textClass: 'text-blue-500',
+    ringClass: 'focus:ring-blue-500',
+    chartColor: '#3b82f6',
+    placeholder: 'codeforces.com/profile/handle',
+    handlePattern: /codeforces\.com\/profile\/([^\/]+)/,
+    profileUrl: (handle) => `https://codeforces.com/profile/${handle}`,
+    problemUrl: (id) => {
+      const [contestId, index] = id.split('-');
+      return `https://codeforces.com/problemset/problem/${contestId}/${index}`;
+    },
+    scoringTiers: [
+      { key: 'r0', label: '< 1200', points: 1 },
+      { key: 'r1200', label: '1200–1599', points: 2 },
+      { key: 'r1600', label: '1600–1999', points: 3 },
+      { key: 'r2000', label: '2000–2399', points: 5 },
+      { key: 'r2400', label: '2400+', points: 8 },
+      { key: 'unrated', label: 'Unrated', points: 1 }
+    ],
+    toSolveEvents: (data) => toProblemSolveEvents(data?.history, id => getCodeforcesTier(data?.ratings?.[id])),
+    toDatedData: (data, timeZone) => withDatedProblemHistory(data, timeZone),
+    mergeData: (accounts) => {
+      const solvedIds = [...new Set(accounts.flatMap(d => d.solvedIds || []))];
+      return {
+        totalSolved: solvedIds.length,
+        history: mergeHistories(accounts),
+        solvedIds,
+        ratings: Object.assign({}, ...accounts.map(d => d.ratings)),
+        problems: mergeProblems(accounts),
+        contests: getBestContests(accounts)
+      };
+    },
+    problemRating: (data, id) => data?.ratings?.[id] ?? null,
+    getDifficultyBands: (data) => {
+      const counts = {};
+      (data?.solvedIds || []).forEach(id => {
+        const tier = getCodeforcesTier(data.ratings?.[id]);
+        counts[tier] = (counts[tier] || 0) + 1;
+      });
+      return getPlatform('codeforces').scoringTiers.map(t => ({ key: t.key, label: t.label, count: counts[t.key] || 0 }));
+    },
+    ratingTiers: [
+      { min: 0, title: 'Newbie', textClass: 'text-slate-400', color: '#808080' },
+      { min: 1200, title: 'Pupil', textClass: 'text-green-600', color: '#008000' },
+      { min: 1400, title: 'Specialist', textClass: 'text-cyan-600', color: '#03a89e' },
+      { min: 1600, title: 'Expert', textClass: 'text-blue-600', color: '#0000ff' },
+      { min: 1900, title: 'Candidate Master', textClass: 'text-purple-600', color: '#aa00aa' },
+      { min: 2100, title: 'Master', textClass: 'text-orange-500', color: '#ff8c00' },
+      { min: 2300, title: 'International Master', textClass: 'text-orange-500', color: '#ff8c00' },
+      { min: 2400, title: 'Grandmaster', textClass: 'text-red-600', color: '#ff0000' },
+      { min: 2600, title: 'International Grandmaster', textClass: 'text-red-600', color: '#ff0000' },
+      { min: 3000, title: 'Legendary Grandmaster', textClass: 'text-red-700', color: '#aa0000' }
+    ]
+  },
+  {
+    id: 'atcoder',
+    ...PLATFORM_SOURCES.atcoder,
+    shortName: 'AC',
+    icon: Code,
+    badgeClass: 'bg-slate-500/10 text-slate-600 dark:text-slate-300 border-slate-500/20',
+    textClass: 'text-slate-500',
+    ringClass: 'focus:ring-slate-500',
+    chartColor: '#64748b',
+    placeholder: 'atcoder.jp/users/handle',
+    handlePattern: /atcoder\.jp\/users\/([^\/]+)/,
+    profileUrl: (handle) => `https://atcoder.jp/users/${handle}`,
+    problemUrl: (id) => `https://atcoder.jp/contests/${id.slice(0, id.lastIndexOf('_'))}/tasks/${id}`,
+    scoringTiers: [{ key: 'solve', label: 'Solve', points: 1 }],
+    toSolveEvents: (data) => toProblemSolveEvents(data?.history),
+    toDatedData: (data, timeZone) => withDatedProblemHistory(data, timeZone),
+    mergeData: (accounts) => {
+      const problems = mergeProblems(accounts);
+      return { totalSolved: Object.keys(problems).length, history: mergeHistories(accounts), problems };
+    }
+  },
+  {
+    id: 'codechef',
+    ...PLATFORM_SOURCES.codechef,
+    shortName: 'CC',
+    icon: ChefHat,
+    badgeClass: 'bg-orange-500/10 text-orange-700 dark:text-orange-400 border-orange-500/20',
+    textClass: 'text-orange-500',
+    ringClass: 'focus:ring-orange-500',
+    chartColor: '#f97316',
+    placeholder: 'codechef.com/users/handle',
+    handlePattern: /codechef\.com\/users\/([^\/]+)/,
+    profileUrl: (handle) => `https://www.codechef.com/users/${handle}`,
+    scoringTiers: [{ key: 'solve', label: 'Solve', points: 1 }],
+    toSolveEvents: (data) => toProblemSolveEvents(data?.history),
+    // The heatmap only has daily counts, so accounts are simply added up
+    mergeData: (accounts) => ({ totalSolved: sumBy(accounts, d => d.totalSolved), history: mergeHistories(accounts) })
+  }
+];
+
+const getPlatform = (id) => PLATFORMS.find(p => p.id === id);
+
+// Platforms that report contest ratings (adapters with `ratingTiers`)
+const RATED_PLATFORMS = PLATFORMS.filter(p => p.ratingTiers);
+
+const getRatingTier = (platform, rating) => {
+  if (!platform?.ratingTiers || rating === null || rating === undefined) return null;
+  return [...platform.ratingTiers].reverse().find(t => rating >= t.min);
+};
+
+const extractHandle = (input, platformId) => {
+  if (!input) return '';
+  const cleanInput = input.trim();
+
+  const platform = getPlatform(platformId);
+  const parsed = platform?.parseHandle?.(cleanInput);
+  if (parsed) return parsed;
+  if (!platform?.handlePattern) return cleanInput;
+
+  const match = cleanInput.match(platform.handlePattern);
+  return match ? match[1] : cleanInput;
+};
+
+// A form field may hold several handles or profile URLs, separated by commas or spaces
+const extractHandles = (inputs = {}) => Object.fromEntries(PLATFORMS
+  .map(p => [p.id, [...new Set(String(inputs[p.id] || '').split(/[\s,]+/).map(input => extractHandle(input, p.id)).filter(Boolean))]])
+  .filter(([, handles]) => handles.length > 0));
+
+// The other way round, for editing
+const formatHandles = (handles = {}) => Object.fromEntries(Object.entries(handles).map(([id, list]) => [id, list.join(', ')]));
+
+const getTotalSolved = (user) => PLATFORMS.reduce((acc, p) => acc + (user?.data?.[p.id]?.totalSolved || 0), 0);
+
+// --- ACCOUNTS ---
+// `user.handles[platformId]` lists every account linked on a platform, main one first.
+// Each account's synced data is stored under `user.accountData[platformId][handle]`, with
+// exact solve times where the platform reports them. `user.data[platformId]` is derived
+// from it and never stored: the accounts not listed in `user.excludedHandles[platformId]`,
+// dated in the active league's timezone by the adapter's `toDatedData` and merged by its
+// `mergeData` so a problem solved on two accounts counts once.
+
+const getHandles = (user, platformId) => user?.handles?.[platformId] || [];
+
+const isHandleExcluded = (user, platformId, handle) => Boolean(user?.excludedHandles?.[platformId]?.includes(handle));
+
+const getScoredHandles = (user, platformId) => getHandles(user, platformId).filter(h => !isHandleExcluded(user, platformId, h));
+
+// Every linked account as { platform, handle }, in registry order
+const getLinkedAccounts = (user) => PLATFORMS.flatMap(platform => getHandles(user, platform.id).map(handle => ({ platform, handle })));
+
+// Platforms the user has an account on, in registry order
+const getLinkedPlatforms = (user) => PLATFORMS.filter(p => getHandles(user, p.id).length > 0);
+
+// Before schema v6 (and in the demo fixtures and old snapshots) each platform had one
+// handle string
+const normalizeHandles = (handles) => Object.fromEntries(Object.entries(handles || {})
+  .map(([platformId, list]) => [platformId, (Array.isArray(list) ? list : [list]).filter(Boolean)])
+  .filter(([, list]) => list.length > 0));
+
+const sumBy = (items, getValue) => items.reduce((acc, item) => acc + (getValue(item) || 0), 0);
+
+// One entry per day with the accounts' problem lists unioned. A problem belongs to the
+// account that solved it first: solving it again on that account counts like it always
+// did, solving it on another account doesn't. Days without problem lists are summed.
+const mergeHistories = (accounts) => {
+  const owners = {};
+  accounts.forEach((data, index) => (data.history || []).forEach(entry => (entry.problems || []).forEach(id => {
+    if (!owners[id] || entry.date < owners[id].date) owners[id] = { date: entry.date, index };
+  })));
+
+  const days = {};
+  accounts.forEach((data, index) => (data.history || []).forEach(entry => {
+    const problems = entry.problems?.filter(id => owners[id].index === index || owners[id].date === entry.date);
+    if (problems?.length === 0) return;
+    const day = days[entry.date];
+    if (!day) days[entry.date] = problems ? { date: entry.date, count: problems.length, problems } : entry;
+    else if (day.problems && problems) {
+      const union = [...new Set([...day.problems, ...problems])];
+      days[entry.date] = { date: entry.date, count: union.length, problems: union };
+    } else days[entry.date] = { date: entry.date, count: day.count + (problems ? problems.length : entry.count) };
+  }));
+  return Object.values(days);
+};
+
+// Sums { date, ...counts } entries that fall on the same day
+const mergeDailyCounts = (entries, keys) => {
+  const days = {};
+  entries.forEach(entry => {
+    const day = days[entry.date] || (days[entry.date] = { date: entry.date, ...Object.fromEntries(keys.map(k => [k, 0])) });
+    keys.forEach(k => { day[k] += entry[k] || 0; });
+  });
+  return Object.values(days);
+};
+
+// Problem details by id, keeping the earliest solve
+const mergeProblems = (accounts) => {
+  const merged = {};
+  accounts.forEach(data => Object.entries(data.problems || {}).forEach(([id, problem]) => {
+    if (!merged[id] || problem.solvedAt < merged[id].solvedAt) merged[id] = { ...merged[id], ...problem };
+  }));
+  return merged;
+};
+
+// A rating belongs to one account, so the merged data shows the highest-rated one
+const getBestContests = (accounts) => accounts
+  .map(data => data.contests)
+  .filter(contests => contests?.current != null)
+  .sort((a, b) => b.current - a.current)[0] || null;
+
+// One { date, count, problems } entry per day with accepted submissions, from the
+// { [problemId]: [time, ...] } that the Codeforces and AtCoder fetchers store
+const toDatedProblemHistory = (acceptedTimes, timeZone) => {
+  const days = {};
+  Object.entries(acceptedTimes).forEach(([id, times]) => times.forEach(time => {
+    const date = getLocalDate(time, timeZone);
+    (days[date] || (days[date] = new Set())).add(id);
+  }));
+  return Object.entries(days).map(([date, ids]) => ({ date, count: ids.size, problems: [...ids] }));
+};
+
+// Data synced before solve times were stored is already dated and used as is
+const withDatedProblemHistory = (data, timeZone) => {
+  if (!data.acceptedTimes) return data;
+  const { acceptedTimes, ...dated } = data;
+  return { ...dated, history: toDatedProblemHistory(acceptedTimes, timeZone) };
+};
+
+// Calendar keys are day starts in LeetCode's own timezone, i.e. whole days rather than
+// moments in time. Each day's count can only go to one date, so it goes to the one its
+// midday falls on, which always holds most of that day.
+const LC_CALENDAR_MIDDAY_S = 12 * 60 * 60;
+
+// Dates the raw calendar and solve log (see fetchLeetCodeData) into the history,
+// difficultyHistory and untrackedHistory that scoring reads
+const toDatedLeetCodeData = (data, timeZone) => {
+  if (!data.solveLog) return data;
+  const { submissionCalendar, solveLog, ...dated } = data;
+  const calendar = Object.entries(submissionCalendar || {}).map(([dayStart, count]) => ({
+    dayStart: Number(dayStart),
+    date: getLocalDate(Number(dayStart) + LC_CALENDAR_MIDDAY_S, timeZone),
+    count
+  }));
+  return {
+    ...dated,
+    history: mergeDailyCounts(calendar, ['count']),
+    difficultyHistory: mergeDailyCounts(solveLog.map(({ time, ...counts }) => ({ date: getLocalDate(time, timeZone), ...counts })), LEETCODE_DIFFICULTIES),
+    untrackedHistory: mergeDailyCounts(calendar.filter(day => day.dayStart < data.trackedSince), ['count']),
+    trackedSince: getLocalDate(data.trackedSince + LC_CALENDAR_MIDDAY_S, timeZone)
+  };
+};
+
+// Each account is dated once per timezone; a sync stores a new data object, which starts over
+const datedDataCache = new WeakMap();
+
+const getDatedData = (platform, data, timeZone) => {
+  if (!platform.toDatedData) return data;
+  if (!datedDataCache.has(data)) datedDataCache.set(data, new Map());
+  const byTimeZone = datedDataCache.get(data);
+  if (!byTimeZone.has(timeZone)) byTimeZone.set(timeZone, platform.toDatedData(data, timeZone));
+  return byTimeZone.get(timeZone);
+};
+
+const mergeAccounts = (user, platformId, timeZone) => {
+  const platform = getPlatform(platformId);
+  const accounts = getScoredHandles(user, platformId)
+    .map(h => user.accountData?.[platformId]?.[h])
+    .filter(Boolean)
+    .map(data => getDatedData(platform, data, timeZone));
+  return accounts.length > 1 ? platform.mergeData(accounts) : accounts[0];
+};
+
+// The user with `data` derived for every platform, dated in `timeZone`
+const withMergedData = (user, timeZone) => {
+  const data = {};
+  PLATFORMS.forEach(p => {
+    const merged = mergeAccounts(user, p.id, timeZone);
+    if (merged) data[p.id] = merged;
+  });
+  return { ...user, data };
+};
+
+// Merged once per user object and timezone, so the merged data (and the solve events cached
+// on it) stays the same object across renders
+const mergedUserCache = new WeakMap();
+
+const getMergedUser = (user, timeZone) => {
+  if (!mergedUserCache.has(user)) mergedUserCache.set(user, new Map());
+  const byTimeZone = mergedUserCache.get(user);
+  if (!byTimeZone.has(timeZone)) byTimeZone.set(timeZone, withMergedData(user, timeZone));
+  return byTimeZone.get(timeZone);
+};
+
+// --- SYNC MANAGER ---
+// Every fetch goes through a queue of { userId, platformId, handle, full } jobs, one per
+// linked account, run by runSyncQueue from api.js. Jobs for the same platform run one at a
+// time (on top of the per-host throttle), different platforms run side by side. Each job
+// records its outcome in `user.syncStatus[platformId][handle]` as { lastSyncedAt,
+// lastAttemptAt, error } so the UI can show staleness and failures.
+
+const DEFAULT_SYNC_SETTINGS = { intervalMinutes: 60 };
+
+const SYNC_INTERVAL_OPTIONS = [
+  { minutes: 0, label: 'Off' },
+  { minutes: 15, label: 'Every 15 min' },
+  { minutes: 60, label: 'Hourly' },
+  { minutes: 360, label: 'Every 6 h' },
+  { minutes: 1440, label: 'Daily' }
+];
+
+const normalizeSyncSettings = (saved) => ({
+  intervalMinutes: SYNC_INTERVAL_OPTIONS.some(o => o.minutes === saved?.intervalMinutes) ? saved.intervalMinutes : DEFAULT_SYNC_SETTINGS.intervalMinutes
+});
+
+// How old an account's data may get before the scheduler refreshes it. With automatic sync
+// off this still decides what gets refreshed on app load.
+const getSyncMaxAge = (settings) => (settings.intervalMinutes || DEFAULT_SYNC_SETTINGS.intervalMinutes) * 60 * 1000;
+
+// `full` jobs ignore stored data, e.g. right after a handle was added
+const createSyncJobs = (user, platformIds = getLinkedPlatforms(user).map(p => p.id), full = false) => (
+  platformIds.flatMap(platformId => getHandles(user, platformId).map(handle => ({ userId: user.id, platformId, handle, full })))
+);
+
+// Stores a finished job on the user, unless the account was unlinked while it ran
+const applySyncResult = (user, job, result) => {
+  const { platformId, handle } = job;
+  if (user.id !== job.userId || !getHandles(user, platformId).includes(handle)) return user;
+  return {
+    ...user,
+    accountData: result.data ? { ...user.accountData, [platformId]: { ...user.accountData?.[platformId], [handle]: result.data } } : user.accountData,
+    syncStatus: {
+      ...user.syncStatus,
+      [platformId]: { ...user.syncStatus?.[platformId], [handle]: { ...user.syncStatus?.[platformId]?.[handle], ...result.status } }
+    }
+  };
+};
+
+// Drops synced data, sync status and exclusions of accounts that were unlinked
+const pruneUnlinkedData = (user) => {
+  const prune = (byPlatform = {}, keep) => Object.fromEntries(getLinkedPlatforms(user)
+    .filter(p => byPlatform[p.id])
+    .map(p => [p.id, keep(byPlatform[p.id], getHandles(user, p.id))]));
+  const keepLinked = (byHandle, handles) => Object.fromEntries(Object.entries(byHandle).filter(([handle]) => handles.includes(handle)));
+  return {
+    ...user,
+    accountData: prune(user.accountData, keepLinked),
+    syncStatus: prune(user.syncStatus, keepLinked),
+    excludedHandles: prune(user.excludedHandles, (excluded, handles) => excluded.filter(h => handles.includes(h)))
+  };
+};
+
+// Accounts that failed last time or whose data is older than `maxAgeMs`
+const isAccountStale = (user, { platformId, handle }, maxAgeMs, now = Date.now()) => {
+  const status = user.syncStatus?.[platformId]?.[handle];
+  return !status?.lastSyncedAt || Boolean(status.error) || now - status.lastSyncedAt > maxAgeMs;
+};
+
+const getSyncErrors = (user) => getLinkedAccounts(user)
+  .filter(({ platform, handle }) => user.syncStatus?.[platform.id]?.[handle]?.error)
+  .map(({ platform, handle }) => ({ platform, handle, error: user.syncStatus[platform.id][handle].error }));
+
+// Oldest successful sync across linked accounts (null if any was never synced)
+const getLastSyncedAt = (user) => {
+  const times = getLinkedAccounts(user).map(({ platform, handle }) => user.syncStatus?.[platform.id]?.[handle]?.lastSyncedAt || null);
+  return times.length && times.every(Boolean) ? Math.min(...times) : null;
+};
+
+const formatTimeAgo = (timestamp, now = Date.now()) => {
+  const minutes = Math.floor((now - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
+
+// --- DATE UTILS ---
+
+// Today's date in the canonical timezone, at local midnight
+const getToday = (timeZone) => {
+  const now = getNow(timeZone);
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+};
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DEFAULT_WEEK_START = 1;
+
+// weekStartsOn follows Date#getDay: 0 is Sunday, 1 is Monday
+const getStartOfWeek = (day, weekStartsOn = DEFAULT_WEEK_START) => {
+  const d = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+  d.setDate(d.getDate() - ((d.getDay() - weekStartsOn + 7) % 7));
+  return d;
+};
+
+const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+const toDateKey = (date) => date.toLocaleDateString('en-CA');
+
+const parseDateKey = (dateStr) => {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
+
+// Rounded so a DST change inside the span doesn't lose or gain a day
+const daysBetween = (from, to) => Math.round((to - from) / 86400000);
+
+const getStartOfMonth = (day) => new Date(day.getFullYear(), day.getMonth(), 1);
+
+const formatDateRange = (start, end) => {
+  const opts = { month: 'short', day: 'numeric' };
+  return `${start.toLocaleDateString(undefined, opts)} – ${end.toLocaleDateString(undefined, { ...opts, year: 'numeric' })}`;
+};
+
+const formatWeekLabel = (weekStart) => formatDateRange(weekStart, addDays(weekStart, 6));
+
+const createWeekPeriod = (weekStartsOn) => ({
+  id: 'week',
+  label: 'Weekly',
+  noun: 'week',
+  weekStartsOn,
+  getStart: (day) => getStartOfWeek(day, weekStartsOn),
+  shift: (start, n) => addDays(start, 7 * n),
+  format: formatWeekLabel
+});
+
+// One shared instance per start day, so memoised views keep a stable period type
+const WEEK_PERIODS = WEEKDAYS.map((_, day) => createWeekPeriod(day));
+
+// Ranking periods a league can score by. `getStart` finds the start of the period holding a
+// calendar date (getToday for the current one) and `shift` moves a period start by n periods.
+const PERIOD_TYPES = {
+  day: {
+    id: 'day',
+    label: 'Daily',
+    noun: 'day',
+    getStart: (day) => new Date(day.getFullYear(), day.getMonth(), day.getDate()),
+    shift: (start, n) => addDays(start, n),
+    format: (start) => start.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })
+  },
+  week: WEEK_PERIODS[DEFAULT_WEEK_START],
+  month: {
+    id: 'month',
+    label: 'Monthly',
+    noun: 'month',
+    getStart: getStartOfMonth,
+    shift: (start, n) => new Date(start.getFullYear(), start.getMonth() + n, 1),
+    format: (start) => start.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+  }
+};
+
+// A custom range is one sprint; the ones before and after it follow back to back with
+// the same length, so the archive and Hall of Fame keep working like any other period.
+const createSprintPeriod = ({ start, end }) => {
+  const first = parseDateKey(start);
+  const length = daysBetween(first, parseDateKey(end)) + 1;
+  return {
+    id: 'custom',
+    label: 'Sprint',
+    noun: 'sprint',
+    getStart: (day) => {
+      const date = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+      return addDays(first, Math.floor(daysBetween(first, date) / length) * length);
+    },
+    shift: (start, n) => addDays(start, length * n),
+    format: (start) => formatDateRange(start, addDays(start, length - 1))
+  };
+};
+
+const isValidDateRange = (range) => Boolean(range)
+  && [range.start, range.end].every(d => typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d))
+  && range.start <= range.end;
+
+// History dates are zero-padded YYYY-MM-DD, so plain string comparison orders them
+// correctly. That keeps filtering cheap when scoring many periods at once.
+const getPeriodFilter = (periodType, start) => {
+  const startKey = toDateKey(start);
+  const endKey = toDateKey(periodType.shift(start, 1));
+  return (dateStr) => Boolean(dateStr) && dateStr >= startKey && dateStr < endKey;
+};
+
+const getWeekFilter = (weekStart) => getPeriodFilter(PERIOD_TYPES.week, weekStart);
+
+// --- SCORING ENGINE ---
+
+// Groups per-day problem lists into one event per (date, tier). A problem counts as a
+// first solve on the earliest day it shows up. Entries without a problem list (older
+// data, or platforms that only report daily counts) score as plain counts.
+const toProblemSolveEvents = (history = [], getTier = () => 'solve') => {
+  if (!history) return [];
+  const firstSolved = {};
+  [...history].sort((a, b) => a.date.localeCompare(b.date)).forEach(entry => {
+    (entry.problems || []).forEach(id => {
+      if (!firstSolved[id]) firstSolved[id] = entry.date;
+    });
+  });
+
+  const events = {};
+  const add = (date, tier, count, firstSolves) => {
+    const key = `${date}|${tier}`;
+    if (!events[key]) events[key] = { date, tier, count: 0, firstSolves: 0 };
+    events[key].count += count;
+    events[key].firstSolves += firstSolves;
+  };
+
+  history.forEach(entry => {
+    if (!entry.problems) {
+      add(entry.date, getTier(null), entry.count, 0);
+      return;
+    }
+    entry.problems.forEach(id => add(entry.date, getTier(id), 1, firstSolved[id] === entry.date ? 1 : 0));
+  });
+  return Object.values(events);
+};
+
+const getCodeforcesTier = (rating) => {
+  if (!rating) return 'unrated';
+  if (rating >= 2400) return 'r2400';
+  if (rating >= 2000) return 'r2000';
+  if (rating >= 1600) return 'r1600';
+  if (rating >= 1200) return 'r1200';
+  return 'r0';
+};
+
+// Calendar days before LeetCode tracking started (see fetchLeetCodeData), the only record of
+// those solves. Merged data carries them precomputed, since every account started on its own date.
+const getUntrackedHistory = (data) => {
+  if (data.untrackedHistory) return data.untrackedHistory;
+  // Data synced before `trackedSince` was stored started tracking at its first delta
+  const since = data.trackedSince || (data.difficultyHistory || []).map(e => e.date).sort()[0];
+  return (data.history || []).filter(entry => !since || entry.date < since);
+};
+
+// Each day has one source: from `trackedSince` on, solves are scored by difficulty from the
+// deltas (all of those are new solves); earlier days score their raw submissionCalendar count.
+// Scoring both would count a solve twice, once on its day and again on the next sync's.
+const toLeetCodeSolveEvents = (data) => {
+  if (!data) return [];
+  const events = [];
+  (data.difficultyHistory || []).forEach(entry => {
+    LEETCODE_DIFFICULTIES.forEach(tier => {
+      if (entry[tier]) events.push({ date: entry.date, tier, count: entry[tier], firstSolves: entry[tier] });
+    });
+  });
+  getUntrackedHistory(data).forEach(entry => {
+    events.push({ date: entry.date, tier: 'submission', count: entry.count, firstSolves: 0 });
+  });
+  return events;
+};
+
+const DEFAULT_SCORING_RULES = {
+  points: Object.fromEntries(PLATFORMS.map(p => [
+    p.id,
+    Object.fromEntries(p.scoringTiers.map(t => [t.key, t.points]))
+  ])),
+  dailyCap: 0,
+  firstSolveBonus: 0
+};
+
+// Saved rules are layered over the defaults so newly added platforms/tiers get a value
+const normalizeScoringRules = (saved) => ({
+  ...DEFAULT_SCORING_RULES,
+  ...saved,
+  points: Object.fromEntries(PLATFORMS.map(p => [
+    p.id,
+    { ...DEFAULT_SCORING_RULES.points[p.id], ...saved?.points?.[p.id] }
+  ]))
+});
+
+// Stored platform data is replaced, never mutated, so events can be cached per object.
+// Scoring a whole archive of periods would otherwise rebuild them once per period.
+const solveEventsCache = new WeakMap();
+
+const getSolveEvents = (platform, data) => {
+  if (!data) return [];
+  if (!solveEventsCache.has(data)) solveEventsCache.set(data, platform.toSolveEvents(data));
+  return solveEventsCache.get(data);
+};
+
+// Scores every solve event whose date passes `inPeriod`. Returns the total and a
+// breakdown of where the points came from (per platform tier, bonuses, cap deductions).
+const scoreUser = (user, rules, inPeriod) => {
+  const breakdown = {};
+  const pointsByDate = {};
+  const addItem = (key, label, count, points) => {
+    if (!breakdown[key]) breakdown[key] = { key, label, count: 0, points: 0 };
+    breakdown[key].count += count;
+    breakdown[key].points += points;
+  };
+
+  PLATFORMS.forEach(platform => {
+    getSolveEvents(platform, user.data?.[platform.id])
+      .filter(e => inPeriod(e.date))
+      .forEach(e => {
+        const tier = platform.scoringTiers.find(t => t.key === e.tier);
+        const points = e.count * (rules.points?.[platform.id]?.[e.tier] ?? tier?.points ?? 1);
+        addItem(`${platform.id}:${e.tier}`, `${platform.shortName} ${tier?.label || e.tier}`, e.count, points);
+        pointsByDate[e.date] = (pointsByDate[e.date] || 0) + points;
+
+        if (rules.firstSolveBonus && e.firstSolves) {
+          const bonus = e.firstSolves * rules.firstSolveBonus;
+          addItem('bonus:first', 'First-solve bonus', e.firstSolves, bonus);
+          pointsByDate[e.date] += bonus;
+        }
+      });
+  });
+
+  if (rules.dailyCap > 0) {
+    Object.values(pointsByDate).forEach(points => {
+      if (points > rules.dailyCap) addItem('cap', 'Daily cap', 1, rules.dailyCap - points);
+    });
+  }
+
+  const items = Object.values(breakdown).sort((a, b) => b.points - a.points);
+  return {
+    total: items.reduce((acc, item) => acc + item.points, 0),
+    breakdown: items
+  };
+};
+
+const calculateWeeklyScore = (user, rules, weekStart) => scoreUser(user, rules, getWeekFilter(weekStart));
+
+const calculatePeriodScore = (user, rules, periodType, start) => scoreUser(user, rules, getPeriodFilter(periodType, start));
+
+// --- LEADERBOARD HISTORY ---
+
+const rankUsersForPeriod = (users, rules, periodType, start) => users.map(user => {
+  const { total, breakdown } = calculatePeriodScore(user, rules, periodType, start);
+  return { ...user, periodScore: total, scoreBreakdown: breakdown };
+}).sort((a, b) => b.periodScore - a.periodScore);
+
+// Period starts from the current period back to the one holding the earliest stored solve
+const getArchivePeriods = (users, periodType, timeZone) => {
+  let earliest = null;
+  users.forEach(user => PLATFORMS.forEach(platform => {
+    getSolveEvents(platform, user.data?.[platform.id]).forEach(e => {
+      if (!earliest || e.date < earliest) earliest = e.date;
+    });
+  }));
+
+  const current = periodType.getStart(getToday(timeZone));
+  if (!earliest) return [current];
+
+  const first = periodType.getStart(parseDateKey(earliest));
+  const periods = [];
+  for (let p = current; p >= first; p = periodType.shift(p, -1)) periods.push(p);
+  return periods;
+};
+
+// Winners of every completed period plus per-rival win totals and win streaks.
+// Tied top scores share the period; periods where nobody scored have no winner.
+// `byUser[id].winLog` lists each won period with the win streak it extended.
+const buildHallOfFame = (users, rules, periodType, timeZone) => {
+  const completedPeriods = getArchivePeriods(users, periodType, timeZone).slice(1).reverse();
+  const stats = Object.fromEntries(users.map(u => [u.id, { user: u, wins: 0, longestStreak: 0, currentStreak: 0, winLog: [] }]));
+  const periods = [];
+
+  completedPeriods.forEach(periodStart => {
+    const ranked = rankUsersForPeriod(users, rules, periodType, periodStart);
+    const topScore = ranked[0]?.periodScore || 0;
+    const winners = topScore > 0 ? ranked.filter(u => u.periodScore === topScore) : [];
+    const winnerIds = new Set(winners.map(u => u.id));
+
+    Object.values(stats).forEach(s => {
+      if (winnerIds.has(s.user.id)) {
+        s.wins += 1;
+        s.currentStreak += 1;
+        s.longestStreak = Math.max(s.longestStreak, s.currentStreak);
+        s.winLog.push({ periodStart, streak: s.currentStreak });
+      } else {
+        s.currentStreak = 0;
+      }
+    });
+    periods.push({ periodStart, winners, score: topScore });
+  });
+
+  return {
+    periodType,
+    periods: periods.reverse(),
+    byUser: stats,
+    champions: Object.values(stats)
+      .filter(s => s.wins > 0)
+      .sort((a, b) => b.wins - a.wins || b.longestStreak - a.longestStreak)
+  };
+};
+
+// --- LEAGUES ---
+// Rivals are stored once in `users`; a league only references them by id, so a rival in
+// several leagues is still synced once. The built-in "All Rivals" league has no member
+// list and always contains everyone.
+
+// `period` is 'day', 'week', 'month' or 'custom'; a custom period scores sprints shaped
+// like `customRange` ({ start, end } date keys). `weekStart` also drives week views.
+// `timeZone` is the league's canonical timezone: every solve counts towards the date it
+// falls on there, so rivals in different timezones see the same histories and scores.
+const ALL_RIVALS_LEAGUE = { id: 'all', name: 'All Rivals', memberIds: null, period: 'week', weekStart: DEFAULT_WEEK_START };
+
+const createLeague = (name, timeZone = getBrowserTimeZone()) => ({ id: Date.now(), name, memberIds: [], period: 'week', weekStart: DEFAULT_WEEK_START, timeZone });
+
+const getLeagueMembers = (league, users) => (
+  league.memberIds ? users.filter(u => league.memberIds.includes(u.id)) : users
+);
+
+const getLeagueWeekPeriod = (league) => WEEK_PERIODS[league?.weekStart ?? DEFAULT_WEEK_START] || PERIOD_TYPES.week;
+
+// Sprint periods are built from the league's range, so callers should memoise the result
+const getLeaguePeriodType = (league) => {
+  if (league.period === 'custom' && isValidDateRange(league.customRange)) return createSprintPeriod(league.customRange);
+  if (league.period === 'week' || !PERIOD_TYPES[league.period]) return getLeagueWeekPeriod(league);
+  return PERIOD_TYPES[league.period];
+};
+
+// Saved leagues always start with "All Rivals"; only its period settings and timezone are
+// user-configurable. Leagues without a usable timezone get the browser's.
+const normalizeLeagues = (saved) => {
+  const allRivals = saved?.find(l => l.id === ALL_RIVALS_LEAGUE.id);
+  const { period, weekStart, customRange, timeZone } = allRivals || {};
+  return [
+    { ...ALL_RIVALS_LEAGUE, period: period || ALL_RIVALS_LEAGUE.period, weekStart: weekStart ?? DEFAULT_WEEK_START, ...(customRange && { customRange }), timeZone },
+    ...(saved || []).filter(l => l.id !== ALL_RIVALS_LEAGUE.id)
+  ].map(l => isValidTimeZone(l.timeZone) ? l : { ...l, timeZone: getBrowserTimeZone() });
+};
+
+// --- PERSISTENCE ---
+// The whole app state is stored (and exported) as one versioned payload:
+//   { schemaVersion, users, leagues, scoringRules, activeLeagueId, syncSettings, meId, feed,
+//     lastVisitAt, duels }
+// Users are stored without their merged `data` (see ACCOUNTS).
+// Version 2 is the original format: a bare array of users under `code_rivals_users_v2`.
+// Every schema bump adds a MIGRATIONS entry that upgrades a payload by one version.
+
+const STORAGE_KEY = 'code_rivals_state';
+const CURRENT_SCHEMA_VERSION = 7;
+
+const MIGRATIONS = {
+  2: (users) => ({
+    schemaVersion: 3,
+    users,
+    leagues: normalizeLeagues(null),
+    scoringRules: DEFAULT_SCORING_RULES,
+    activeLeagueId: ALL_RIVALS_LEAGUE.id
+  }),
+  3: (state) => ({ ...state, schemaVersion: 4, syncSettings: DEFAULT_SYNC_SETTINGS }),
+  // Older data was bucketed in whatever timezone the browser had, so that becomes canonical
+  4: (state) => ({ ...state, schemaVersion: 5, timeZone: getBrowserTimeZone() }),
+  // One handle per platform became a list of accounts, so synced data and sync status
+  // move under the handle they belong to
+  5: (state) => ({
+    ...state,
+    schemaVersion: 6,
+    users: state.users.map(({ data, syncStatus, ...user }) => {
+      const handles = normalizeHandles(user.handles);
+      const byHandle = (byPlatform) => Object.fromEntries(Object.entries(byPlatform || {})
+        .filter(([platformId]) => handles[platformId])
+        .map(([platformId, value]) => [platformId, { [handles[platformId][0]]: value }]));
+      return { ...user, handles, accountData: byHandle(data), syncStatus: byHandle(syncStatus) };
+    })
+  }),
+  // The one canonical timezone became a setting of each league, starting from the old one
+  6: ({ timeZone = getBrowserTimeZone(), ...state }) => {
+    if (!Array.isArray(state.leagues)) return { ...state, schemaVersion: 7 };
+    const leagues = state.leagues.some(l => l?.id === ALL_RIVALS_LEAGUE.id) ? state.leagues : [ALL_RIVALS_LEAGUE, ...state.leagues];
+    return { ...state, schemaVersion: 7, leagues: leagues.map(l => l && typeof l === 'object' ? { ...l, timeZone } : l) };
+  }
+};
+
+const getSchemaVersion = (payload) => {
+  if (Array.isArray(payload)) return 2;
+  if (payload && typeof payload === 'object' && Number.isInteger(payload.schemaVersion)) return payload.schemaVersion;
+  return null;
+};
+
+// The migrations rely on `users` being a list of objects; anything else is reported here
+// instead of failing inside them. The rest is checked by validateAppState afterwards.
+const getUsersShapeError = (users) => {
+  if (!Array.isArray(users)) return "`users` must be a list.";
+  const index = users.findIndex(u => !u || typeof u !== 'object' || Array.isArray(u));
+  return index >= 0 ? `User #${index + 1} is not an object.` : null;
+};
+
+const migrateState = (payload) => {
+  let version = getSchemaVersion(payload);
+  if (version === null) throw new Error("Unrecognised data format: expected a Code Rivals export.");
+  if (version > CURRENT_SCHEMA_VERSION) throw new Error(`This file uses schema v${version}, which is newer than this app (v${CURRENT_SCHEMA_VERSION}). Update the app first.`);
+  const shapeError = getUsersShapeError(version === 2 ? payload : payload.users);
+  if (shapeError) throw new Error(`The file failed validation: ${shapeError}`);
+
+  let state = payload;
+  while (version < CURRENT_SCHEMA_VERSION) {
+    if (!MIGRATIONS[version]) throw new Error(`No migration available from schema v${version}.`);
+    try {
+      state = MIGRATIONS[version](state);
+    } catch (e) {
+      throw new Error(`The file could not be upgraded from schema v${version}: ${e.message}`);
+    }
+    version = getSchemaVersion(state);
+  }
+  return state;
+};
+
+// Returns a list of human-readable problems; an empty list means the state is usable
+const validateAppState = (state) => {
+  const errors = [];
+  if (!Array.isArray(state.users)) {
+    errors.push("`users` must be a list.");
+  } else {
+    const ids = new Set();
+    state.users.forEach((u, i) => {
+      const label = `User #${i + 1}${typeof u?.username === 'string' ? ` (${u.username})` : ''}`;
+      if (!u || typeof u !== 'object') return errors.push(`${label} is not an object.`);
+      if (u.id === undefined || u.id === null) errors.push(`${label} has no id.`);
+      else if (ids.has(u.id)) errors.push(`${label} reuses id ${u.id}.`);
+      ids.add(u.id);
+      if (typeof u.username !== 'string' || !u.username.trim()) errors.push(`${label} has no username.`);
+      if (u.handles && (typeof u.handles !== 'object' || Object.values(u.handles).some(h => typeof h !== 'string' && !(Array.isArray(h) && h.every(x => typeof x === 'string'))))) {
+        errors.push(`${label} has invalid handles.`);
+      }
+      if ((u.data && typeof u.data !== 'object') || (u.accountData && typeof u.accountData !== 'object')) errors.push(`${label} has invalid synced data.`);
+      if (u.goals && !Array.isArray(u.goals)) errors.push(`${label} has invalid goals.`);
+      if (u.practice && !Array.isArray(u.practice)) errors.push(`${label} has an invalid practice queue.`);
+      PLATFORMS.forEach(p => {
+        const histories = [u.data?.[p.id], ...Object.values(u.accountData?.[p.id] || {})].map(data => data?.history);
+        if (histories.some(history => history && (!Array.isArray(history) || history.some(h => !/^\d{4}-\d{2}-\d{2}$/.test(h?.date) || typeof h?.count !== 'number')))) {
+          errors.push(`${label} has malformed ${p.name} history.`);
+        }
+      });
+    });
+  }
+  if (!Array.isArray(state.leagues)) {
+    errors.push("`leagues` must be a list.");
+  } else {
+    state.leagues.forEach((l, i) => {
+      if (!l || typeof l.name !== 'string') errors.push(`League #${i + 1} has no name.`);
+      else if (l.memberIds !== null && l.memberIds !== undefined && !Array.isArray(l.memberIds)) errors.push(`League "${l.name}" has an invalid member list.`);
+      else if (l.period === 'custom' && !isValidDateRange(l.customRange)) errors.push(`League "${l.name}" has an invalid custom date range.`);
+      else if (l.timeZone && !isValidTimeZone(l.timeZone)) errors.push(`League "${l.name}" has an unknown timezone "${l.timeZone}".`);
+    });
+  }
+  if (state.scoringRules && typeof state.scoringRules !== 'object') errors.push("`scoringRules` must be an object.");
+  if (state.syncSettings && typeof state.syncSettings !== 'object') errors.push("`syncSettings` must be an object.");
+  if (state.feed && !Array.isArray(state.feed)) errors.push("`feed` must be a list.");
+  if (state.duels && (!Array.isArray(state.duels) || state.duels.some(d => !Array.isArray(d?.problems) || !Array.isArray(d?.participantIds)))) {
+    errors.push("`duels` must be a list of duels with problems and participants.");
+  }
+  return errors;
+};
+
+// Fills in defaults so the rest of the app can rely on every field being present
+const normalizeAppState = (state) => ({
+  schemaVersion: CURRENT_SCHEMA_VERSION,
+  users: state.users.map(({ data, ...u }) => ({
+    ...u,
+    handles: normalizeHandles(u.handles),
+    accountData: u.accountData || {},
+    syncStatus: u.syncStatus || {},
+    excludedHandles: u.excludedHandles || {},
+    goals: u.goals || [],
+    practice: u.practice || []
+  })),
+  leagues: normalizeLeagues(state.leagues),
+  scoringRules: normalizeScoringRules(state.scoringRules),
+  activeLeagueId: state.activeLeagueId ?? ALL_RIVALS_LEAGUE.id,
+  syncSettings: normalizeSyncSettings(state.syncSettings),
+  meId: state.users.some(u => u.id === state.meId) ? state.meId : null,
+  feed: state.feed || [],
+  lastVisitAt: state.lastVisitAt ?? null,
+  duels: state.duels || []
+});
+
+// Parses, migrates and validates an imported file. Throws with a readable message.
+const parseImport = (text) => {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch (e) {
+    throw new Error("The file is not valid JSON.");
+  }
+  const state = migrateState(payload);
+  const errors = validateAppState(state);
+  if (errors.length) {
+    throw new Error(`The file failed validation: ${errors.slice(0, 5).join(' ')}${errors.length > 5 ? ` (+${errors.length - 5} more)` : ''}`);
+  }
+  return normalizeAppState(state);
+};
+
+// Imported users replace local ones with the same id; leagues are unioned by id and
+// their member lists combined, and duels missing locally are added. Local scoring rules, sync settings, timezone, "me", the feed and the active league are kept.
+const mergeAppStates = (current, incoming) => {
+  const incomingIds = new Set(incoming.users.map(u => u.id));
+  const leagues = [...current.leagues];
+  incoming.leagues.forEach(l => {
+    const idx = leagues.findIndex(x => x.id === l.id);
+    if (idx < 0) leagues.push(l);
+    else if (leagues[idx].memberIds) leagues[idx] = { ...leagues[idx], memberIds: [...new Set([...leagues[idx].memberIds, ...(l.memberIds || [])])] };
+  });
+  const duelIds = new Set(current.duels.map(d => d.id));
+  return {
+    ...current,
+    users: [...current.users.filter(u => !incomingIds.has(u.id)), ...incoming.users],
+    leagues,
+    duels: [...current.duels, ...incoming.duels.filter(d => !duelIds.has(d.id))]
+  };
+};
+
+const readJson = (key) => {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved ? JSON.parse(saved) : null;
+  } catch (e) { return null; }
+};
+
+const LEGACY_STORAGE_KEYS = ['code_rivals_users_v2', 'code_rivals_scoring_v1', 'code_rivals_leagues_v1', 'code_rivals_active_league_v1'];
+
+// Unlike readJson, a value that doesn't parse is an error rather than "nothing saved":
+// starting empty would get saved over the damaged data
+const readSavedJson = (key) => {
+  const saved = localStorage.getItem(key);
+  if (!saved) return null;
   try {
-    return new Date(timestamp * 1000).toLocaleDateString('en-CA'); 
+    return JSON.parse(saved);
   } catch (e) {
-    return new Date().toLocaleDateString('en-CA');
+    throw new Error(`The data saved under "${key}" is damaged and could not be read.`);
+  }
+};
+
+// Reads state saved before the move to IndexedDB: the single localStorage blob, or the
+// original per-key layout. Returns null when there is nothing to migrate, and throws when
+// the saved data can't be read or migrated, leaving it in place for another try.
+const loadLocalStorageState = () => {
+  const saved = readSavedJson(STORAGE_KEY);
+  if (saved) return normalizeAppState(migrateState(saved));
+
+  const legacyUsers = readSavedJson('code_rivals_users_v2');
+  if (!legacyUsers) return null;
+  return normalizeAppState({
+    ...migrateState(legacyUsers),
+    scoringRules: readSavedJson('code_rivals_scoring_v1'),
+    leagues: readSavedJson('code_rivals_leagues_v1'),
+    activeLeagueId: readSavedJson('code_rivals_active_league_v1')
+  });
+};
+
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const csvCell = (value) => {
+  const str = String(value ?? '');
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// One row per rival per active day, with a column for each platform
+const buildHistoryCsv = (users) => {
+  const header = ['date', 'user', ...PLATFORMS.map(p => p.id), 'total'];
+  const rows = users.flatMap(u => Object.values(getDailyActivity(u)).map(day => [
+    day.date, u.username, ...PLATFORMS.map(p => day.platforms[p.id] || 0), day.count
+  ]));
+  rows.sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+};
+
+// --- STORAGE ---
+// State lives in IndexedDB. Synced account data, by far the bulk of it, is stored one
+// record per (user, account) under `${userId}:${platformId}:${handle}`; everything else is
+// one `state` record with the users stripped of their data. Account data objects are
+// replaced, never mutated, so a write only puts the records whose object changed.
+
+const DB_NAME = 'code_rivals';
+const DB_VERSION = 1;
+const META_STORE = 'meta';
+const PLATFORM_DATA_STORE = 'platformData';
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted'));
+});
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(META_STORE);
+      request.result.createObjectStore(PLATFORM_DATA_STORE);
+    };
+    databasePromise = promisifyRequest(request);
+  }
+  return databasePromise;
+};
+
+const getPlatformDataKey = (userId, platformId, handle) => `${userId}:${platformId}:${handle}`;
+
+// Map of record key -> account data object for every synced account of every user
+const indexPlatformData = (users) => new Map(users.flatMap(u => Object.entries(u.accountData || {}).flatMap(([platformId, byHandle]) => (
+  Object.entries(byHandle).map(([handle, data]) => [getPlatformDataKey(u.id, platformId, handle), data])
+))));
+
+// Resolves to { state, records } with each user's account data reassembled, plus the
+// stored records by key, or null on first run. Before schema v6 there was one record per
+// platform, under `${userId}:${platformId}`; that is read back into `data` for the migration.
+const readStoredState = async () => {
+  const db = await openDatabase();
+  const tx = db.transaction([META_STORE, PLATFORM_DATA_STORE], 'readonly');
+  const [state, keys, records] = await Promise.all([
+    promisifyRequest(tx.objectStore(META_STORE).get('state')),
+    promisifyRequest(tx.objectStore(PLATFORM_DATA_STORE).getAllKeys()),
+    promisifyRequest(tx.objectStore(PLATFORM_DATA_STORE).getAll())
+  ]);
+  if (!state) return null;
+
+  const dataByKey = new Map(keys.map((key, i) => [key, records[i]]));
+  const users = state.schemaVersion < 6
+    ? state.users.map(u => ({
+      ...u,
+      data: Object.fromEntries(PLATFORMS
+        .filter(p => dataByKey.has(`${u.id}:${p.id}`))
+        .map(p => [p.id, dataByKey.get(`${u.id}:${p.id}`)]))
+    }))
+    : state.users.map(u => ({
+      ...u,
+      accountData: Object.fromEntries(Object.entries(u.handles || {}).map(([platformId, handles]) => [
+        platformId,
+        Object.fromEntries(handles
+          .filter(handle => dataByKey.has(getPlatformDataKey(u.id, platformId, handle)))
+          .map(handle => [handle, dataByKey.get(getPlatformDataKey(u.id, platformId, handle))]))
+      ]))
+    }));
+  return { state: { ...state, users }, records: dataByKey };
+};
+
+// `written` is the indexPlatformData map of what is already stored. The diff is taken
+// synchronously, so back-to-back calls can chain on the returned map straight away;
+// `done` settles once the transaction commits.
+const writeStoredState = (state, written) => {
+  const next = indexPlatformData(state.users);
+  const done = openDatabase().then(db => {
+    const tx = db.transaction([META_STORE, PLATFORM_DATA_STORE], 'readwrite');
+    const dataStore = tx.objectStore(PLATFORM_DATA_STORE);
+    next.forEach((data, key) => {
+      if (written.get(key) !== data) dataStore.put(data, key);
+    });
+    written.forEach((_, key) => {
+      if (!next.has(key)) dataStore.delete(key);
+    });
+    tx.objectStore(META_STORE).put({ ...state, users: state.users.map(({ data, accountData, ...user }) => user) }, 'state');
+    return transactionDone(tx);
+  });
+  return { written: next, done };
+};
+
+// Moves localStorage data into IndexedDB the first time, then clears the old keys. Errors
+// are passed on for App to show: an empty state in their place would be saved over the data.
+// The old keys are only cleared once IndexedDB has them, so a failed move is retried.
+const readAppState = async () => {
+  const stored = await readStoredState();
+  if (stored) {
+    const state = normalizeAppState(migrateState(stored.state));
+    // Migrations can move data to other records, so the store is brought up to date
+    if (stored.state.schemaVersion !== CURRENT_SCHEMA_VERSION) await writeStoredState(state, stored.records).done;
+    return state;
   }
+
+  const migrated = loadLocalStorageState();
+  if (!migrated) return normalizeAppState(migrateState([]));
+  await writeStoredState(migrated, new Map()).done;
+  [STORAGE_KEY, ...LEGACY_STORAGE_KEYS].forEach(key => localStorage.removeItem(key));
+  return migrated;
+};
+
+// Shared while in flight so a double-mounted App (StrictMode) can't run the migration
+// twice; later calls read the store afresh
+let appStatePromise = null;
+
+const loadAppState = () => {
+  if (!appStatePromise) appStatePromise = readAppState().finally(() => { appStatePromise = null; });
+  return appStatePromise;
+};
+
+// --- TEAM SERVER ---
+// The shared part of the state (rivals, leagues, scoring rules and duels) can live
+// on a team server (see server/) instead of in this browser, so a whole team sees the same
+// rankings. The server also does all the fetching: in team mode the app asks it to sync and
+// polls for new data. Personal settings ("me", the feed, the active league, sync settings)
+// stay in this browser's localStorage.
+
+const TEAM_SERVER_KEY = 'code_rivals_team_server';
+const TEAM_PERSONAL_KEY = 'code_rivals_team_personal';
+const TEAM_POLL_MS = 15 * 1000;
+// Polled faster while the server has syncs queued, so results show up promptly
+const TEAM_POLL_BUSY_MS = 3 * 1000;
+const SHARED_STATE_FIELDS = ['leagues', 'scoringRules', 'duels'];
+const PERSONAL_STATE_FIELDS = ['activeLeagueId', 'syncSettings', 'meId', 'feed', 'lastVisitAt'];
+
+const getSavedTeamServer = () => readJson(TEAM_SERVER_KEY);
+
+const saveTeamServer = (url) => {
+  if (url) localStorage.setItem(TEAM_SERVER_KEY, JSON.stringify(url));
+  else localStorage.removeItem(TEAM_SERVER_KEY);
+};
+
+const saveTeamPersonalState = (state) => {
+  localStorage.setItem(TEAM_PERSONAL_KEY, JSON.stringify(Object.fromEntries(PERSONAL_STATE_FIELDS.map(key => [key, state[key]]))));
+};
+
+const normalizeTeamServerUrl = (input) => input.trim().replace(/\/+$/, '');
+
+// Errors carry the HTTP status, and for conflicts the server's current revision
+const requestTeamServer = async (url, path, { method = 'GET', body } = {}) => {
+  let response;
+  try {
+    response = await fetch(`${url}/api/${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined
+    });
+  } catch (err) {
+    throw new Error(`Could not reach the team server at ${url}`);
+  }
+  const result = await response.json().catch(() => null);
+  if (!response.ok) throw Object.assign(new Error(result?.error || `Team server error (HTTP ${response.status})`), { status: response.status });
+  return result;
+};
+
+// What the server stores: the shared fields, with users stripped of their synced data
+const getSharedState = (state) => ({
+  users: state.users.map(({ data, accountData, syncStatus, ...user }) => user),
+  ...Object.fromEntries(SHARED_STATE_FIELDS.map(key => [key, state[key]]))
+});
+
+// The server's state combined with this browser's personal settings, plus the server's
+// { revision, dataVersion, pending } status
+const loadTeamState = async (url) => {
+  const { state, ...status } = await requestTeamServer(url, 'state');
+  return { status, state: normalizeAppState({ ...readJson(TEAM_PERSONAL_KEY), ...state }) };
+};
+
+// A new, empty server is seeded with this browser's rivals; otherwise its state wins
+const connectTeamServer = async (url, localState) => {
+  const { revision } = await requestTeamServer(url, 'status');
+  if (revision === 0 && localState.users.length > 0) {
+    await requestTeamServer(url, 'state', { method: 'PUT', body: { baseRevision: 0, state: getSharedState(localState) } });
+    await requestTeamServer(url, 'sync', { method: 'POST', body: {} });
+  }
+  saveTeamPersonalState(localState);
+  saveTeamServer(url);
+};
+
+// --- DEMO MODE ---
+// Demo mode swaps in the rivals seeded in src/fixtures/demo.json and serves their data
+// from the recorded fixtures (see requestFixture), so it works without network access. The
+// demo workspace lives in memory only and never touches saved data; whether demo mode is
+// on is remembered across reloads.
+
+// Fixture files are split into their own chunks and only loaded in demo mode
+const FIXTURE_FILES = import.meta.glob('./fixtures/api/**/*.json', { import: 'default' });
+
+// Recorded responses are moved forward by whole days so the demo always looks current
+const getFixtureOffset = () => Math.max(0, Math.floor((Date.now() / 1000 - DEMO_FIXTURES.recordedAt) / 86400) * 86400);
+
+const shiftTimes = (items, field, offset) => items.map(item => ({ ...item, [field]: Number(item[field]) + offset }));
+
+// Each route maps a request URL (host and path) to its fixture file, by the handle in the
+// path (the match's first group) or the `handle` query parameter. `rebase` shifts the
+// recorded timestamps by `offset` seconds, `serve` answers the request's query (paging,
+// limits) from the full recording and `missing` is the API's reply for an unknown handle.
+const FIXTURE_ROUTES = [
+  {
+    match: /^codeforces\.com\/api\/user\.status$/,
+    file: (handle) => `codeforces/${handle}.status.json`,
+    rebase: (body, offset) => ({ ...body, result: shiftTimes(body.result, 'creationTimeSeconds', offset) }),
+    serve: (body, url) => {
+      const from = Number(url.searchParams.get('from') || 1);
+      const count = Number(url.searchParams.get('count') || body.result.length);
+      return { ...body, result: body.result.slice(from - 1, from - 1 + count) };
+    },
+    missing: (url) => ({ status: 'FAILED', comment: `handle: User with handle ${url.searchParams.get('handle')} not found` })
+  },
+  {
+    match: /^codeforces\.com\/api\/user\.rating$/,
+    file: (handle) => `codeforces/${handle}.rating.json`,
+    rebase: (body, offset) => ({ ...body, result: shiftTimes(body.result, 'ratingUpdateTimeSeconds', offset) }),
+    missing: (url) => ({ status: 'FAILED', comment: `handle: User with handle ${url.searchParams.get('handle')} not found` })
+  },
+  {
+    match: /^leetcode-stats-api\.herokuapp\.com\/([^/]+)$/,
+    file: (handle) => `leetcode/${handle}.stats.json`,
+    rebase: (body, offset) => ({
+      ...body,
+      submissionCalendar: Object.fromEntries(Object.entries(body.submissionCalendar).map(([ts, count]) => [Number(ts) + offset, count]))
+    }),
+    missing: () => ({ status: 'error', message: 'user does not exist' })
+  },
+  {
+    match: /^alfa-leetcode-api\.onrender\.com\/([^/]+)\/contest$/,
+    file: (handle) => `leetcode/${handle}.contest.json`,
+    rebase: (body, offset) => ({
+      ...body,
+      contestParticipation: body.contestParticipation.map(c => ({ ...c, contest: { ...c.contest, startTime: c.contest.startTime + offset } }))
+    })
+  },
+  {
+    match: /^alfa-leetcode-api\.onrender\.com\/([^/]+)\/acSubmission$/,
+    file: (handle) => `leetcode/${handle}.acSubmission.json`,
+    rebase: (body, offset) => ({ ...body, submission: shiftTimes(body.submission, 'timestamp', offset) }),
+    serve: (body, url) => ({ ...body, submission: body.submission.slice(0, Number(url.searchParams.get('limit') || body.submission.length)) })
+  },
+  {
+    // One recording holds every demo problem, keyed by slug
+    match: /^alfa-leetcode-api\.onrender\.com\/select$/,
+    file: () => 'leetcode/problems.json',
+    rebase: (body) => body,
+    serve: (body, url) => body[url.searchParams.get('titleSlug')] || { errors: [{ message: 'Problem not found' }] }
+  }
+];
+
+// Answers a request the way requestJson would, from the fixtures. Handles are
+// case-insensitive, as they are on the real sites.
+const requestFixture = async (rawUrl, platformName) => {
+  const url = new URL(rawUrl);
+  const path = `${url.host}${url.pathname}`;
+  const route = FIXTURE_ROUTES.find(r => r.match.test(path));
+  if (!route) throw syncError(`${platformName} has no demo data`, false);
+
+  const handle = (path.match(route.match)[1] || url.searchParams.get('handle') || '').toLowerCase();
+  const load = FIXTURE_FILES[`./fixtures/api/${route.file(handle)}`];
+  if (!load) return { ok: false, body: route.missing ? route.missing(url) : null };
+
+  const body = route.rebase(await load(), getFixtureOffset());
+  return { ok: true, body: route.serve ? route.serve(body, url) : body };
+};
+
+// Where API responses come from: 'live' asks the real APIs, 'demo' replays the recorded
+// responses in src/fixtures. App sets this before any sync starts.
+const setDataSource = (id) => setRequestHandler(id === 'demo' ? requestFixture : null);
+
+const DEMO_MODE_KEY = 'code_rivals_demo_mode';
+
+const isDemoModeSaved = () => readJson(DEMO_MODE_KEY) === true;
+
+const saveDemoMode = (enabled) => {
+  if (enabled) localStorage.setItem(DEMO_MODE_KEY, 'true');
+  else localStorage.removeItem(DEMO_MODE_KEY);
+};
+
+const createDemoState = () => {
+  const users = DEMO_FIXTURES.rivals.map((rival, i) => ({ id: i + 1, ...rival }));
+  const { name, members } = DEMO_FIXTURES.league;
+  return normalizeAppState({
+    users,
+    leagues: [{ ...createLeague(name), id: 1, memberIds: users.filter(u => members.includes(u.username)).map(u => u.id) }]
+  });
+};
+
+// --- SNAPSHOTS ---
+// A snapshot is a read-only copy of one league packed into the URL fragment
+// (#snapshot=...), so it never reaches a server. The JSON is deflated and base64url-encoded.
+// Only what scoring and profiles read is kept; sync bookkeeping and per-problem details
+// (which would make links too long to share) are dropped.
+
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_LEAGUE_ID = 'snapshot';
+const SNAPSHOT_OMIT_KEYS = ['solvedIds', 'lastSubmissionId', 'problems'];
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (str) => {
+  const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+};
+
+const deflateText = async (text) => new Uint8Array(
+  await new Response(new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'))).arrayBuffer()
+);
+
+const inflateText = (bytes) => new Response(new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'))).text();
+
+const toSnapshotUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  handles: user.handles,
+  goals: user.goals,
+  data: Object.fromEntries(Object.entries(user.data || {}).map(([platformId, data]) => [
+    platformId,
+    Object.fromEntries(Object.entries(data).filter(([key]) => !SNAPSHOT_OMIT_KEYS.includes(key)))
+  ]))
+});
+
+const encodeSnapshot = async (league, users, scoringRules) => toBase64Url(await deflateText(JSON.stringify({
+  v: SNAPSHOT_VERSION,
+  createdAt: new Date().toISOString(),
+  league: { name: league.name, period: league.period, weekStart: league.weekStart, customRange: league.customRange, timeZone: league.timeZone },
+  scoringRules,
+  users: users.map(toSnapshotUser)
+})));
+
+// Resolves to { createdAt, league, users, scoringRules }; throws with a readable message
+const decodeSnapshot = async (encoded) => {
+  let payload;
+  try {
+    payload = JSON.parse(await inflateText(fromBase64Url(encoded)));
+  } catch (e) {
+    throw new Error("This snapshot link is damaged or incomplete.");
+  }
+  if (payload?.v !== SNAPSHOT_VERSION) throw new Error("This snapshot was made by a different version of the app.");
+  const errors = validateAppState({ users: payload.users, leagues: [] });
+  if (errors.length) throw new Error(`This snapshot is invalid: ${errors[0]}`);
+
+  return {
+    createdAt: payload.createdAt,
+    league: {
+      id: SNAPSHOT_LEAGUE_ID,
+      name: payload.league?.name || 'Shared League',
+      memberIds: null,
+      period: payload.league?.period,
+      weekStart: payload.league?.weekStart ?? DEFAULT_WEEK_START,
+      customRange: payload.league?.customRange,
+      // Older snapshots have no timezone; their data was dated in the sharer's
+      timeZone: isValidTimeZone(payload.league?.timeZone) ? payload.league.timeZone : getBrowserTimeZone()
+    },
+    // Snapshots only carry the merged data, which normalizing would drop
+    users: normalizeAppState({ users: payload.users, leagues: [] }).users.map((u, i) => ({ ...u, data: payload.users[i].data || {} })),
+    scoringRules: normalizeScoringRules(payload.scoringRules)
+  };
+};
+
+const buildSnapshotUrl = (encoded) => `${window.location.origin}/#snapshot=${encoded}`;
+
+// --- ROUTING ---
+// Views are addressed by plain paths (vercel.json rewrites every path to index.html):
+//   /                    dashboard for All Rivals
+//   /league/:id          dashboard for a league
+//   /u/:id?range=year    profile, with the activity log range
+//   /compare/:a/:b/...   head-to-head comparison
+//   /duel/:id            duel scoreboard
+// Any of these may carry a #snapshot=... fragment, which shows that snapshot read-only.
+
+// Calendar periods, so the activity log lines up with rankings: the week uses the
+// league's week start and every range is measured in the canonical timezone
+const PROFILE_RANGES = [
+  { id: 'week', label: 'Week', getStart: (today, weekPeriod) => weekPeriod.getStart(today) },
+  { id: 'month', label: 'Month', getStart: (today) => PERIOD_TYPES.month.getStart(today) },
+  { id: 'year', label: 'Year', getStart: (today) => new Date(today.getFullYear(), 0, 1) }
+];
+const DEFAULT_PROFILE_RANGE = 'month';
+
+const parseRoute = (pathname, search = '', hash = '') => {
+  const parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  const snapshot = new URLSearchParams(hash.replace(/^#/, '')).get('snapshot');
+  const route = (() => {
+    if (parts.length === 0) return { view: 'dashboard', leagueId: null };
+    if (parts[0] === 'league' && parts.length === 2) return { view: 'dashboard', leagueId: parts[1] };
+    if (parts[0] === 'u' && parts.length === 2) {
+      const range = new URLSearchParams(search).get('range');
+      return { view: 'profile', userId: parts[1], range: PROFILE_RANGES.some(r => r.id === range) ? range : DEFAULT_PROFILE_RANGE };
+    }
+    if (parts[0] === 'compare') return { view: 'compare', userIds: parts.slice(1) };
+    if (parts[0] === 'duel' && parts.length === 2) return { view: 'duel', duelId: parts[1] };
+    return { view: 'notFound' };
+  })();
+  return snapshot ? { ...route, snapshot } : route;
+};
+
+const buildPath = (route) => {
+  const encode = (id) => encodeURIComponent(String(id));
+  const hash = route.snapshot ? `#snapshot=${route.snapshot}` : '';
+  if (route.view === 'profile') {
+    const query = route.range && route.range !== DEFAULT_PROFILE_RANGE ? `?range=${route.range}` : '';
+    return `/u/${encode(route.userId)}${query}${hash}`;
+  }
+  if (route.view === 'compare') return ['/compare', ...route.userIds.map(encode)].join('/') + hash;
+  if (route.view === 'duel') return `/duel/${encode(route.duelId)}${hash}`;
+  if (route.view === 'dashboard' && route.leagueId && route.leagueId !== ALL_RIVALS_LEAGUE.id) return `/league/${encode(route.leagueId)}${hash}`;
+  return `/${hash}`;
+};
+
+const getCurrentRoute = () => parseRoute(window.location.pathname, window.location.search, window.location.hash);
+
+const dashboardRoute = (leagueId) => ({ view: 'dashboard', leagueId: leagueId === ALL_RIVALS_LEAGUE.id ? null : leagueId });
+
+// Path segments are strings, while rival ids are usually numbers
+const findById = (items, id) => items.find(item => String(item.id) === String(id));
+
+// --- ACTIVITY ---
+
+// All history merged into one entry per day, keeping the per-platform counts and,
+// where the platform records them, the problem IDs solved that day.
+const getDailyActivity = (user) => {
+  const days = {};
+  PLATFORMS.forEach(p => {
+    (user?.data?.[p.id]?.history || []).forEach(entry => {
+      if (!days[entry.date]) days[entry.date] = { date: entry.date, count: 0, platforms: {}, problems: {} };
+      const day = days[entry.date];
+      day.count += entry.count;
+      day.platforms[p.id] = (day.platforms[p.id] || 0) + entry.count;
+      if (entry.problems) day.problems[p.id] = entry.problems;
+    });
+  });
+  return days;
+};
+
+const HEATMAP_WEEKS = 53;
+
+// Thresholds for the five colour buckets, same idea as GitHub's contribution graph
+const getHeatmapLevel = (count) => {
+  if (!count) return 0;
+  if (count <= 2) return 1;
+  if (count <= 5) return 2;
+  if (count <= 9) return 3;
+  return 4;
+};
+
+const HEATMAP_COLORS = [
+  'bg-slate-100 dark:bg-slate-800',
+  'bg-emerald-200 dark:bg-emerald-900',
+  'bg-emerald-400 dark:bg-emerald-700',
+  'bg-emerald-500 dark:bg-emerald-500',
+  'bg-emerald-700 dark:bg-emerald-300'
+];
+
+// --- STREAKS & ACHIEVEMENTS ---
+
+// Runs of consecutive active days. The current streak survives until the end of today,
+// so a streak ending yesterday still counts while today's solves are pending.
+const getStreaks = (activity, timeZone) => {
+  const runs = [];
+  Object.keys(activity).filter(d => activity[d].count > 0).sort().forEach(date => {
+    const last = runs[runs.length - 1];
+    if (last && toDateKey(addDays(parseDateKey(last.end), 1)) === date) {
+      last.end = date;
+      last.length += 1;
+    } else {
+      runs.push({ start: date, end: date, length: 1 });
+    }
+  });
+
+  const lastRun = runs[runs.length - 1];
+  const yesterday = toDateKey(addDays(getToday(timeZone), -1));
+  return {
+    current: lastRun && lastRun.end >= yesterday ? lastRun.length : 0,
+    longest: Math.max(0, ...runs.map(r => r.length)),
+    runs
+  };
+};
+
+// New unique solves per day. Histories without problem IDs only have daily counts.
+const getSolveTimeline = (history = []) => {
+  const seen = new Set();
+  return [...history].sort((a, b) => a.date.localeCompare(b.date)).map(entry => {
+    if (!entry.problems) return { date: entry.date, count: entry.count };
+    const fresh = entry.problems.filter(id => !seen.has(id));
+    fresh.forEach(id => seen.add(id));
+    return { date: entry.date, count: fresh.length };
+  });
+};
+
+const getMilestoneDate = (timeline, target) => {
+  let sum = 0;
+  for (const entry of timeline) {
+    sum += entry.count;
+    if (sum >= target) return entry.date;
+  }
+  return null;
+};
+
+// Solve milestones are gated on the platform's own total. When the stored history
+// doesn't reach back far enough to date the milestone, it unlocks without a date (true).
+const solveMilestone = (total, timeline, target) => {
+  if (total < target) return null;
+  return getMilestoneDate(timeline.sort((a, b) => a.date.localeCompare(b.date)), target) || true;
+};
+
+const streakMilestone = (ctx, days) => {
+  const run = ctx.streaks.runs.find(r => r.length >= days);
+  return run ? toDateKey(addDays(parseDateKey(run.start), days - 1)) : null;
+};
+
+const ratedSolveMilestone = (ctx, minRating) => {
+  let earliest = null;
+  PLATFORMS.forEach(p => {
+    const data = ctx.user.data?.[p.id];
+    if (!data?.ratings) return;
+    (data.history || []).forEach(entry => {
+      if ((entry.problems || []).some(id => data.ratings[id] >= minRating) && (!earliest || entry.date < earliest)) earliest = entry.date;
+    });
+  });
+  return earliest;
+};
+
+const weeklyWinMilestone = (ctx, streak) => {
+  const win = ctx.winLog.find(w => w.streak >= streak);
+  return win ? toDateKey(addDays(win.periodStart, 6)) : null;
+};
+
+// Each `check` returns the unlock date (YYYY-MM-DD), true when unlocked but undatable,
+// or null while still locked.
+const ACHIEVEMENTS = [
+  { id: 'first-solve', title: 'First Blood', description: 'Solve your first problem', icon: Zap,
+    check: (ctx) => solveMilestone(getTotalSolved(ctx.user), PLATFORMS.flatMap(p => getSolveTimeline(ctx.user.data?.[p.id]?.history)), 1) },
+  { id: 'big-day', title: 'On Fire', description: 'Solve 10 problems in a single day', icon: Flame,
+    check: (ctx) => Object.keys(ctx.activity).sort().find(d => ctx.activity[d].count >= 10) || null },
+  { id: 'streak-7', title: 'Week Warrior', description: 'Reach a 7-day solving streak', icon: CalendarCheck,
+    check: (ctx) => streakMilestone(ctx, 7) },
+  { id: 'streak-30', title: 'Unstoppable', description: 'Reach a 30-day solving streak', icon: Sparkles,
+    check: (ctx) => streakMilestone(ctx, 30) },
+  { id: 'streak-100', title: 'Centurion Streak', description: 'Reach a 100-day solving streak', icon: Gem,
+    check: (ctx) => streakMilestone(ctx, 100) },
+  { id: 'total-500', title: 'Problem Machine', description: 'Solve 500 problems across all platforms', icon: Rocket,
+    check: (ctx) => solveMilestone(getTotalSolved(ctx.user), PLATFORMS.flatMap(p => getSolveTimeline(ctx.user.data?.[p.id]?.history)), 500) },
+  ...PLATFORMS.map(p => ({
+    id: `${p.id}-100`, title: `${p.name} Centurion`, description: `Solve 100 ${p.name} problems`, icon: p.icon,
+    check: (ctx) => solveMilestone(ctx.user.data?.[p.id]?.totalSolved || 0, getSolveTimeline(ctx.user.data?.[p.id]?.history), 100)
+  })),
+  { id: 'rated-1600', title: 'Climber', description: 'Solve your first problem rated 1600+', icon: Mountain,
+    check: (ctx) => ratedSolveMilestone(ctx, 1600) },
+  { id: 'rated-2000', title: 'Heavyweight', description: 'Solve your first problem rated 2000+', icon: Medal,
+    check: (ctx) => ratedSolveMilestone(ctx, 2000) },
+  { id: 'rated-2400', title: 'Grandmaster Material', description: 'Solve your first problem rated 2400+', icon: Star,
+    check: (ctx) => ratedSolveMilestone(ctx, 2400) },
+  { id: 'weekly-win', title: 'Champion', description: 'Win a week', icon: Trophy,
+    check: (ctx) => weeklyWinMilestone(ctx, 1) },
+  { id: 'weekly-3', title: 'Dynasty', description: 'Win 3 weeks in a row', icon: Crown,
+    check: (ctx) => weeklyWinMilestone(ctx, 3) }
+];
+
+// Streaks and every achievement with its unlock state for one rival. `hallOfFame` is the
+// weekly buildHallOfFame output across all rivals, which the weekly-win achievements read;
+// weekly goals use the same week.
+const getUserProgress = (user, hallOfFame, timeZone) => {
+  const activity = getDailyActivity(user);
+  const streaks = getStreaks(activity, timeZone);
+  const ctx = { user, activity, streaks, winLog: hallOfFame?.byUser[user.id]?.winLog || [] };
+
+  const achievements = ACHIEVEMENTS.map(a => {
+    const result = a.check(ctx);
+    return { ...a, unlocked: Boolean(result), unlockedAt: typeof result === 'string' ? result : null };
+  });
+
+  return { streaks, achievements, goals: getGoalsProgress(user, hallOfFame?.periodType, timeZone) };
+};
+
+// --- GOALS ---
+// Personal targets stored on the user as `user.goals`:
+//   { id, type: 'solves', period: 'day' | 'week' | 'month', target, platformId?, minRating? }
+//   { id, type: 'rating', platformId, target }
+// Progress is always recomputed from synced history, never stored.
+
+const GOAL_PERIODS = {
+  day: PERIOD_TYPES.day,
+  week: PERIOD_TYPES.week,
+  month: PERIOD_TYPES.month
+};
+
+// Weekly goals follow the week start the caller passes in
+const getGoalPeriodType = (goal, weekPeriod = PERIOD_TYPES.week) => (goal.period === 'week' ? weekPeriod : GOAL_PERIODS[goal.period]);
+
+const GOAL_HISTORY_LENGTH = 12;
+
+// Platforms whose solves can be filtered by problem rating
+const RATED_PROBLEM_PLATFORMS = PLATFORMS.filter(p => p.problemRating);
+
+const createGoal = (fields) => ({ id: Date.now(), ...fields });
+
+const describeGoal = (goal) => {
+  const platform = getPlatform(goal.platformId);
+  if (goal.type === 'rating') return `Reach ${goal.target} rating on ${platform?.name}`;
+  const what = `${platform ? `${platform.name} ` : ''}problem${goal.target === 1 ? '' : 's'}${goal.minRating ? ` rated ${goal.minRating}+` : ''}`;
+  return `${goal.target} ${what} a ${GOAL_PERIODS[goal.period].noun}`;
+};
+
+const countGoalSolves = (user, goal, inPeriod) => {
+  const platforms = goal.platformId ? [getPlatform(goal.platformId)] : PLATFORMS;
+  return platforms.reduce((total, platform) => {
+    const data = user.data?.[platform.id];
+    return total + (data?.history || []).filter(entry => inPeriod(entry.date)).reduce((acc, entry) => (
+      acc + (goal.minRating
+        ? (entry.problems || []).filter(id => platform.problemRating?.(data, id) >= goal.minRating).length
+        : entry.count)
+    ), 0);
+  }, 0);
+};
+
+// Share of the current period that has passed, used to judge whether a goal is on pace
+const getPeriodElapsed = (periodType, now) => {
+  const start = periodType.getStart(now);
+  const end = periodType.shift(start, 1);
+  return (now - start) / (end - start);
+};
+
+// { goal, label, current, target, percent, status, history } where status is one of
+// 'hit' | 'on-track' | 'behind', or 'open' for rating goals not reached yet. On track means
+// at least the elapsed share of the target is done (rounded down, so early days aren't
+// behind). Periodic goals get a hit/miss history of past periods (oldest first); rating
+// goals report the date the target was first reached.
+const getGoalProgress = (user, goal, weekPeriod = PERIOD_TYPES.week, timeZone, now = getNow(timeZone)) => {
+  const label = describeGoal(goal);
+
+  if (goal.type === 'rating') {
+    const contests = user.data?.[goal.platformId]?.contests;
+    const current = contests?.current ?? 0;
+    const reached = contests?.history.find(h => h.rating >= goal.target);
+    return {
+      goal,
+      label,
+      current,
+      target: goal.target,
+      percent: Math.min(100, (current / goal.target) * 100),
+      status: reached ? 'hit' : 'open',
+      reachedAt: reached ? getLocalDate(reached.time, timeZone) : null,
+      history: []
+    };
+  }
+
+  const periodType = getGoalPeriodType(goal, weekPeriod);
+  const start = periodType.getStart(now);
+  const current = countGoalSolves(user, goal, getPeriodFilter(periodType, start));
+  const history = Array.from({ length: GOAL_HISTORY_LENGTH }, (_, i) => {
+    const periodStart = periodType.shift(start, i - GOAL_HISTORY_LENGTH);
+    return { periodStart, hit: countGoalSolves(user, goal, getPeriodFilter(periodType, periodStart)) >= goal.target };
+  });
+  const status = current >= goal.target ? 'hit' : current >= Math.floor(goal.target * getPeriodElapsed(periodType, now)) ? 'on-track' : 'behind';
+
+  return { goal, label, current, target: goal.target, percent: Math.min(100, (current / goal.target) * 100), status, history };
+};
+
+const getGoalsProgress = (user, weekPeriod, timeZone) => (user.goals || []).map(goal => getGoalProgress(user, goal, weekPeriod, timeZone));
+
+const GOAL_STATUS = {
+  hit: { label: 'Hit', textClass: 'text-emerald-500', barClass: 'bg-emerald-500' },
+  'on-track': { label: 'On track', textClass: 'text-sky-500', barClass: 'bg-sky-500' },
+  behind: { label: 'Behind', textClass: 'text-amber-500', barClass: 'bg-amber-500' },
+  open: { label: 'In progress', textClass: 'text-slate-400', barClass: 'bg-slate-400' }
+};
+
+// --- ME & FEED ---
+// One rival can be marked as "me" (`meId` in app state). When a sync finishes, the active
+// league's current leaderboard is compared with the one from before the sync; the rank
+// changes that involve me are stored in `feed` (newest first) and overtakes are also sent
+// as browser notifications. Milestones and big solve days are derived from synced data.
+
+const FEED_LIMIT = 50;
+const FEED_DAYS = 14;
+const BIG_DAY_SOLVES = 5;
+
+// Period scores keyed by user id, so two leaderboards can be compared
+const getScoreMap = (ranked) => Object.fromEntries(ranked.map(u => [u.id, u.periodScore]));
+
+const getRank = (scores, id) => 1 + Object.keys(scores).filter(other => scores[other] > scores[id]).length;
+
+const isSoleLeader = (scores, id) => Object.keys(scores).every(other => other === String(id) || scores[other] < scores[id]);
+
+// Rank events for `meId` between two score maps of the same league and period. A rival
+// has to get strictly ahead to count as an overtake, so ties never flip back and forth.
+const diffRankings = (before, after, meId, leagueName, time = Date.now()) => {
+  if (!(meId in before) || !(meId in after)) return [];
+  const event = (type, fields) => ({ id: `${time}-${type}-${fields.userId ?? meId}`, type, time, leagueName, ...fields });
+  const rankBefore = getRank(before, meId);
+  const rankAfter = getRank(after, meId);
+
+  const events = Object.keys(after)
+    .filter(id => id !== String(meId) && id in before && before[id] <= before[meId] && after[id] > after[meId])
+    .map(id => event('overtaken', { userId: id, rank: rankAfter }));
+  if (after[meId] > 0 && isSoleLeader(after, meId) && !isSoleLeader(before, meId)) events.push(event('first', { rank: 1 }));
+  else if (rankAfter < rankBefore) events.push(event('climbed', { from: rankBefore, rank: rankAfter }));
+  return events;
+};
+
+// Points to the rivals directly above and below me on a ranked leaderboard
+const getRivalGaps = (ranked, meId) => {
+  const idx = ranked.findIndex(u => u.id === meId);
+  if (idx < 0) return null;
+  const me = ranked[idx];
+  const above = ranked[idx - 1];
+  const below = ranked[idx + 1];
+  return {
+    above: above ? { user: above, points: above.periodScore - me.periodScore } : null,
+    below: below ? { user: below, points: me.periodScore - below.periodScore } : null
+  };
+};
+
+const describeFeedItem = (item, users, meId) => {
+  const name = findById(users, item.userId)?.username || 'A rival';
+  const who = String(item.userId) === String(meId) ? 'You' : name;
+  switch (item.type) {
+    case 'overtaken': return `${name} overtook you in ${item.leagueName}. You're now #${item.rank}.`;
+    case 'first': return `You took first place in ${item.leagueName}!`;
+    case 'climbed': return `You climbed from #${item.from} to #${item.rank} in ${item.leagueName}.`;
+    case 'milestone': return `${who} unlocked "${item.title}".`;
+    case 'bigDay': return `${who} solved ${item.count} problems in a day.`;
+    default: return '';
+  }
+};
+
+// Stored rank events plus milestones and big days from the last FEED_DAYS days, newest
+// first. Items after `since` (the previous visit) are flagged `isNew`; derived items only
+// carry a date, so any from that day on count as new.
+const buildFeed = (events, users, progressByUser, since, timeZone) => {
+  const fromDate = toDateKey(addDays(getToday(timeZone), -FEED_DAYS));
+  const sinceDate = since ? getLocalDate(since / 1000, timeZone) : null;
+
+  const derived = users.flatMap(u => [
+    ...(progressByUser[u.id]?.achievements || [])
+      .filter(a => a.unlockedAt && a.unlockedAt >= fromDate)
+      .map(a => ({ id: `milestone-${u.id}-${a.id}`, type: 'milestone', userId: u.id, date: a.unlockedAt, title: a.title })),
+    ...Object.values(getDailyActivity(u))
+      .filter(day => day.date >= fromDate && day.count >= BIG_DAY_SOLVES)
+      .map(day => ({ id: `bigDay-${u.id}-${day.date}`, type: 'bigDay', userId: u.id, date: day.date, count: day.count }))
+  ]).map(item => ({ ...item, isNew: Boolean(sinceDate) && item.date >= sinceDate }));
+
+  const stored = events
+    .map(e => ({ ...e, date: getLocalDate(e.time / 1000, timeZone), isNew: Boolean(since) && e.time > since }))
+    .filter(e => e.date >= fromDate);
+
+  return [...stored, ...derived].sort((a, b) => b.date.localeCompare(a.date) || (b.time || 0) - (a.time || 0));
+};
+
+// Uses the service worker where the page can't construct notifications itself (Android)
+const showNotification = (title, body) => {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  const options = { body, icon: '/icon.svg' };
+  try {
+    new Notification(title, options);
+  } catch (e) {
+    navigator.serviceWorker?.ready.then(reg => reg.showNotification(title, options)).catch(err => console.error("Notification failed:", err));
+  }
+};
+
+// --- DIGEST ---
+// A summary of one week for pasting into chat: final standings from calculateWeeklyScore,
+// rank movement against the week before, the best single days, streak records set during
+// the week and solves per platform. Exported as Markdown or drawn onto a canvas as a PNG.
+
+const DIGEST_TOP_DAYS = 3;
+const DIGEST_MOVERS = 3;
+// Shorter runs aren't worth calling a record
+const MIN_STREAK_RECORD = 3;
+
+// Longest streak set during the week, for each rival who beat their best from before it
+const getStreakRecord = (runs, startKey, endKey) => {
+  const previousBest = Math.max(0, ...runs.filter(r => r.end < startKey).map(r => r.length));
+  const best = Math.max(0, ...runs
+    .filter(r => r.end >= startKey && r.start <= endKey)
+    .map(r => daysBetween(parseDateKey(r.start), parseDateKey(r.end < endKey ? r.end : endKey)) + 1));
+  return best > previousBest && best >= MIN_STREAK_RECORD ? { length: best, previousBest } : null;
+};
+
+const buildWeeklyDigest = (users, rules, weekStart, leagueName, timeZone) => {
+  const weekEnd = addDays(weekStart, 6);
+  const startKey = toDateKey(weekStart);
+  const endKey = toDateKey(weekEnd);
+  const inWeek = getWeekFilter(weekStart);
+
+  const rank = (start) => users
+    .map(user => ({ user, score: calculateWeeklyScore(user, rules, start).total }))
+    .sort((a, b) => b.score - a.score);
+  const previous = rank(addDays(weekStart, -7));
+  const previousRank = Object.fromEntries(previous.map((row, idx) => [row.user.id, { rank: idx + 1, score: row.score }]));
+
+  const days = [];
+  const streakRecords = [];
+  const platformTotals = Object.fromEntries(PLATFORMS.map(p => [p.id, 0]));
+  const standings = rank(weekStart).map((row, idx) => {
+    const activity = getDailyActivity(row.user);
+    const weekDays = Object.values(activity).filter(day => inWeek(day.date));
+    weekDays.forEach(day => {
+      days.push({ user: row.user, date: day.date, count: day.count });
+      Object.entries(day.platforms).forEach(([platformId, count]) => { platformTotals[platformId] += count; });
+    });
+    const record = getStreakRecord(getStreaks(activity, timeZone).runs, startKey, endKey);
+    if (record) streakRecords.push({ user: row.user, ...record });
+
+    const before = previousRank[row.user.id];
+    return {
+      ...row,
+      rank: idx + 1,
+      solves: weekDays.reduce((acc, day) => acc + day.count, 0),
+      previousRank: before.rank,
+      rankDelta: before.rank - (idx + 1),
+      scoreDelta: row.score - before.score
+    };
+  });
+
+  return {
+    leagueName,
+    weekStart,
+    weekEnd,
+    standings,
+    movers: standings
+      .filter(row => row.rankDelta !== 0)
+      .sort((a, b) => Math.abs(b.rankDelta) - Math.abs(a.rankDelta) || b.rankDelta - a.rankDelta)
+      .slice(0, DIGEST_MOVERS),
+    topDays: days.sort((a, b) => b.count - a.count || a.date.localeCompare(b.date)).slice(0, DIGEST_TOP_DAYS),
+    streakRecords: streakRecords.sort((a, b) => b.length - a.length),
+    platformTotals: PLATFORMS.filter(p => platformTotals[p.id] > 0).map(p => ({ platform: p, count: platformTotals[p.id] })),
+    totalSolves: Object.values(platformTotals).reduce((acc, n) => acc + n, 0)
+  };
+};
+
+const formatDigestDay = (dateKey) => parseDateKey(dateKey).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+
+const describeMove = (row) => `${row.rankDelta > 0 ? 'climbed' : 'dropped'} ${Math.abs(row.rankDelta)} place${Math.abs(row.rankDelta) === 1 ? '' : 's'} (#${row.previousRank} → #${row.rank})`;
+
+const pluralizeSolves = (n) => `${n} solve${n === 1 ? '' : 's'}`;
+
+// Markdown table cells can't contain raw pipes
+const mdCell = (value) => String(value).replace(/\|/g, '\\|');
+
+const buildDigestMarkdown = (digest) => {
+  const lines = [
+    `# ${digest.leagueName}: week of ${formatDateRange(digest.weekStart, digest.weekEnd)}`,
+    '',
+    '## Final standings',
+    '',
+    '| # | Rival | Points | Solves | Move |',
+    '|---|---|---:|---:|---|',
+    ...digest.standings.map(row => `| ${row.rank} | ${mdCell(row.user.username)} | ${row.score} | ${row.solves} | ${row.rankDelta > 0 ? `▲${row.rankDelta}` : row.rankDelta < 0 ? `▼${-row.rankDelta}` : '–'} |`)
+  ];
+  const section = (title, items) => {
+    if (items.length) lines.push('', `## ${title}`, '', ...items.map(item => `- ${item}`));
+  };
+  section('Biggest movers', digest.movers.map(row => `**${row.user.username}** ${describeMove(row)}, ${row.scoreDelta >= 0 ? '+' : ''}${row.scoreDelta} points`));
+  section('Top single days', digest.topDays.map(day => `**${day.user.username}**: ${pluralizeSolves(day.count)} on ${formatDigestDay(day.date)}`));
+  section('New streak records', digest.streakRecords.map(r => `**${r.user.username}**: ${r.length} days${r.previousBest ? ` (previous best ${r.previousBest})` : ''}`));
+  section('Platform totals', [...digest.platformTotals.map(t => `${t.platform.name}: ${pluralizeSolves(t.count)}`), `**Total: ${pluralizeSolves(digest.totalSolves)}**`]);
+  return lines.join('\n');
+};
+
+const DIGEST_CARD_WIDTH = 720;
+const DIGEST_COLORS = { background: '#0f172a', panel: '#1e293b', text: '#e2e8f0', muted: '#94a3b8', accent: '#10b981', gold: '#f59e0b', down: '#ef4444' };
+const DIGEST_FONT = 'ui-sans-serif, system-ui, -apple-system, "Segoe UI", sans-serif';
+
+// Draws the digest as a card at twice its CSS size so it stays sharp on high-DPI screens
+const renderDigestCanvas = (digest) => {
+  const scale = 2;
+  const rowHeight = 28;
+  const highlights = [
+    ...digest.movers.map(row => ({ color: row.rankDelta > 0 ? DIGEST_COLORS.accent : DIGEST_COLORS.down, text: `${row.user.username} ${describeMove(row)}` })),
+    ...digest.topDays.slice(0, 1).map(day => ({ color: DIGEST_COLORS.gold, text: `Best day: ${day.user.username}, ${pluralizeSolves(day.count)} on ${formatDigestDay(day.date)}` })),
+    ...digest.streakRecords.map(r => ({ color: DIGEST_COLORS.gold, text: `Streak record: ${r.user.username}, ${r.length} days` }))
+  ];
+  const height = 120 + digest.standings.length * rowHeight + (highlights.length ? 30 + highlights.length * 24 : 0) + 70;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = DIGEST_CARD_WIDTH * scale;
+  canvas.height = height * scale;
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+  const text = (str, x, y, { size = 14, weight = 400, color = DIGEST_COLORS.text, align = 'left' } = {}) => {
+    ctx.font = `${weight} ${size}px ${DIGEST_FONT}`;
+    ctx.fillStyle = color;
+    ctx.textAlign = align;
+    ctx.fillText(str, x, y);
+  };
+
+  ctx.fillStyle = DIGEST_COLORS.background;
+  ctx.fillRect(0, 0, DIGEST_CARD_WIDTH, height);
+  ctx.fillStyle = DIGEST_COLORS.accent;
+  ctx.fillRect(0, 0, DIGEST_CARD_WIDTH, 6);
+
+  text('CODE RIVALS · WEEKLY DIGEST', 32, 44, { size: 12, weight: 700, color: DIGEST_COLORS.accent });
+  text(digest.leagueName, 32, 72, { size: 24, weight: 800 });
+  text(formatDateRange(digest.weekStart, digest.weekEnd), DIGEST_CARD_WIDTH - 32, 72, { size: 14, color: DIGEST_COLORS.muted, align: 'right' });
+
+  let y = 110;
+  text('PTS', DIGEST_CARD_WIDTH - 32, y - 6, { size: 10, weight: 700, color: DIGEST_COLORS.muted, align: 'right' });
+  text('SOLVES', DIGEST_CARD_WIDTH - 100, y - 6, { size: 10, weight: 700, color: DIGEST_COLORS.muted, align: 'right' });
+  digest.standings.forEach((row, idx) => {
+    if (idx % 2 === 0) {
+      ctx.fillStyle = DIGEST_COLORS.panel;
+      ctx.fillRect(20, y, DIGEST_CARD_WIDTH - 40, rowHeight);
+    }
+    const baseline = y + 19;
+    text(String(row.rank), 40, baseline, { weight: 700, color: row.rank === 1 ? DIGEST_COLORS.gold : DIGEST_COLORS.muted });
+    text(row.user.username, 72, baseline, { weight: row.rank === 1 ? 700 : 500 });
+    if (row.rankDelta) text(row.rankDelta > 0 ? `▲${row.rankDelta}` : `▼${-row.rankDelta}`, 300, baseline, { size: 12, weight: 700, color: row.rankDelta > 0 ? DIGEST_COLORS.accent : DIGEST_COLORS.down });
+    text(String(row.solves), DIGEST_CARD_WIDTH - 100, baseline, { color: DIGEST_COLORS.muted, align: 'right' });
+    text(String(row.score), DIGEST_CARD_WIDTH - 32, baseline, { weight: 800, color: DIGEST_COLORS.accent, align: 'right' });
+    y += rowHeight;
+  });
+
+  if (highlights.length) {
+    y += 30;
+    text('HIGHLIGHTS', 32, y, { size: 11, weight: 700, color: DIGEST_COLORS.muted });
+    highlights.forEach(h => {
+      y += 24;
+      ctx.fillStyle = h.color;
+      ctx.fillRect(32, y - 10, 8, 8);
+      text(h.text, 50, y, { size: 13 });
+    });
+  }
+
+  y += 46;
+  text(digest.platformTotals.map(t => `${t.platform.name} ${t.count}`).join('  ·  ') || 'No solves this week', 32, y, { size: 12, color: DIGEST_COLORS.muted });
+  text(`${pluralizeSolves(digest.totalSolves)} in total`, DIGEST_CARD_WIDTH - 32, y, { size: 12, weight: 700, align: 'right' });
+  return canvas;
+};
+
+const canvasToBlob = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not render the image')), 'image/png');
+});
+
+// --- DUELS ---
+// A duel is a mini-contest on Codeforces problems between rivals:
+//   { id, name, problems: [{ id, name?, rating? }], participantIds, startAt, endAt,
+//     results: { [userId]: { [problemId]: { solvedAt, wrongAttempts } } }, checkedAt }
+// Results are rebuilt from each participant's user.status submissions inside the window
+// while the duel runs, plus once more after it ends. Standings are ICPC-style: most
+// solves, then the least penalty (minutes to each solve plus DUEL_PENALTY_MINUTES per
+// rejected attempt before it), then the earliest last solve.
+
+const DUEL_PENALTY_MINUTES = 20;
+const DUEL_PAGE_SIZE = 100;
+const DUEL_REFRESH_MS = 60 * 1000;
+const DUEL_DURATIONS = [
+  { minutes: 60, label: '1 hour' },
+  { minutes: 120, label: '2 hours' },
+  { minutes: 180, label: '3 hours' },
+  { minutes: 1440, label: '1 day' },
+  { minutes: 10080, label: '1 week' }
+];
+// Verdicts that don't count as rejected attempts, as in Codeforces rounds
+const UNPENALIZED_VERDICTS = ['OK', 'COMPILATION_ERROR', 'SKIPPED', 'TESTING', 'PARTIAL'];
+
+// Accepts "1900A", "1900 A", "1900-A" and problemset or contest problem URLs
+const CF_PROBLEM_ID_PATTERN = /(\d+)\s*(?:\/problem\/|[-/\s])?\s*([A-Z][1-9]?)(?![A-Z0-9])/gi;
+
+const parseProblemIds = (text) => [...new Set(
+  [...text.matchAll(CF_PROBLEM_ID_PATTERN)].map(([, contestId, index]) => `${contestId}-${index.toUpperCase()}`)
+)];
+
+const getDuelStatus = (duel, now = Date.now()) => {
+  if (now < duel.startAt) return 'upcoming';
+  return now < duel.endAt ? 'running' : 'finished';
+};
+
+// Finished duels need one check after the end before their standings are final
+const isDuelFinal = (duel) => getDuelStatus(duel) === 'finished' && duel.checkedAt >= duel.endAt;
+
+const needsDuelRefresh = (duel) => getDuelStatus(duel) === 'running' || (getDuelStatus(duel) === 'finished' && !isDuelFinal(duel));
+
+const formatDuelClock = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// The whole problemset is large and rarely changes, so it is fetched once per session
+let problemsetPromise = null;
+
+const fetchCodeforcesProblemset = () => {
+  if (!problemsetPromise) {
+    problemsetPromise = requestCodeforces('problemset.problems', '').then(result => result.problems);
+    problemsetPromise.catch(() => { problemsetPromise = null; });
+  }
+  return problemsetPromise;
+};
+
+// `count` random problems rated within [minRating, maxRating] that no participant has solved
+const pickDuelProblems = (problemset, { minRating, maxRating, count }, participants) => {
+  const solved = new Set(participants.flatMap(u => [...getSolvedProblemIds(u.data?.codeforces)]));
+  const pool = problemset.filter(p => p.rating >= minRating && p.rating <= maxRating && !solved.has(`${p.contestId}-${p.index}`));
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, count)
+    .sort((a, b) => a.rating - b.rating)
+    .map(p => ({ id: `${p.contestId}-${p.index}`, name: p.name, rating: p.rating }));
+};
+
+// Pages through user.status (newest first) of each of the participant's accounts until it
+// is past the duel's start. Returns the participant's results, with submissions from all
+// accounts combined, plus the names and ratings seen for the duel's problems.
+const fetchDuelResults = async (handles, duel) => {
+  const problemIds = new Set(duel.problems.map(p => p.id));
+  const startSeconds = duel.startAt / 1000;
+  const endSeconds = duel.endAt / 1000;
+  const submissions = [];
+  for (const handle of handles) {
+    for (let from = 1; ; from += DUEL_PAGE_SIZE) {
+      const page = await requestCodeforces(`user.status?handle=${handle}&from=${from}&count=${DUEL_PAGE_SIZE}`, handle);
+      page.forEach(sub => {
+        const id = `${sub.problem.contestId}-${sub.problem.index}`;
+        if (problemIds.has(id) && sub.creationTimeSeconds >= startSeconds && sub.creationTimeSeconds < endSeconds) submissions.push({ ...sub, problemId: id });
+      });
+      if (page.length < DUEL_PAGE_SIZE || page[page.length - 1].creationTimeSeconds < startSeconds) break;
+    }
+  }
+
+  const results = {};
+  const details = {};
+  submissions.sort((a, b) => a.creationTimeSeconds - b.creationTimeSeconds).forEach(sub => {
+    details[sub.problemId] = { name: sub.problem.name, rating: sub.problem.rating };
+    const result = results[sub.problemId] || (results[sub.problemId] = { solvedAt: null, wrongAttempts: 0 });
+    if (result.solvedAt) return;
+    if (sub.verdict === 'OK') result.solvedAt = sub.creationTimeSeconds * 1000;
+    else if (sub.verdict && !UNPENALIZED_VERDICTS.includes(sub.verdict)) result.wrongAttempts += 1;
+  });
+  return { results, details };
+};
+
+// Rows sorted by standing. Each cell is the participant's result on one problem, with
+// `first` marking the earliest solve of that problem.
+const rankDuel = (duel, users) => {
+  const firstSolves = {};
+  duel.participantIds.forEach(id => Object.entries(duel.results?.[id] || {}).forEach(([problemId, r]) => {
+    if (r.solvedAt && (!firstSolves[problemId] || r.solvedAt < firstSolves[problemId])) firstSolves[problemId] = r.solvedAt;
+  }));
+
+  return duel.participantIds.map(id => {
+    const cells = Object.fromEntries(duel.problems.map(p => {
+      const r = duel.results?.[id]?.[p.id];
+      return [p.id, r ? { ...r, first: Boolean(r.solvedAt) && r.solvedAt === firstSolves[p.id] } : null];
+    }));
+    const solvedCells = Object.values(cells).filter(c => c?.solvedAt);
+    return {
+      userId: id,
+      user: findById(users, id),
+      cells,
+      solved: solvedCells.length,
+      penalty: solvedCells.reduce((acc, c) => acc + Math.floor((c.solvedAt - duel.startAt) / 60000) + c.wrongAttempts * DUEL_PENALTY_MINUTES, 0),
+      lastSolveAt: Math.max(0, ...solvedCells.map(c => c.solvedAt))
+    };
+  }).sort((a, b) => b.solved - a.solved || a.penalty - b.penalty || a.lastSolveAt - b.lastSolveAt);
+};
+
+// Every accepted solve in order, for the duel's timeline
+const getDuelSolveOrder = (duel, users) => duel.participantIds
+  .flatMap(id => Object.entries(duel.results?.[id] || {})
+    .filter(([, r]) => r.solvedAt)
+    .map(([problemId, r]) => ({ user: findById(users, id), userId: id, problemId, solvedAt: r.solvedAt })))
+  .sort((a, b) => a.solvedAt - b.solvedAt);
+
+// The winner only exists once the standings are final and somebody solved something
+const getDuelWinner = (duel, users) => {
+  if (!isDuelFinal(duel)) return null;
+  const [top] = rankDuel(duel, users);
+  return top?.solved > 0 ? top : null;
+};
+
+// --- COMPARISON ---
+
+const RIVAL_COLORS = ['#10b981', '#3b82f6', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#64748b'];
+
+// Running total of new unique solves across all platforms, one point per active day
+const getCumulativeSolvePoints = (user) => {
+  const timeline = PLATFORMS
+    .flatMap(p => getSolveTimeline(user.data?.[p.id]?.history))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const points = [];
+  let total = 0;
+  timeline.forEach(entry => {
+    total += entry.count;
+    const x = parseDateKey(entry.date).getTime() / 1000;
+    if (points.length && points[points.length - 1].x === x) points[points.length - 1].y = total;
+    else points.push({ x, y: total });
+  });
+  return points.map(p => ({ ...p, label: `${new Date(p.x * 1000).toLocaleDateString()}: ${p.y} solved` }));
+};
+
+const getSolvedProblemIds = (data) => {
+  if (data?.solvedIds) return new Set(data.solvedIds);
+  return new Set((data?.history || []).flatMap(entry => entry.problems || []));
+};
+
+// Week-by-week record of `a` against `b` over completed weeks. Weeks where neither
+// scored are skipped rather than counted as ties.
+const getHeadToHeadRecord = (weeklyScores, aId, bId) => {
+  const record = { wins: 0, losses: 0, ties: 0 };
+  weeklyScores.forEach(scores => {
+    const a = scores[aId] || 0;
+    const b = scores[bId] || 0;
+    if (a === 0 && b === 0) return;
+    if (a > b) record.wins += 1;
+    else if (a < b) record.losses += 1;
+    else record.ties += 1;
+  });
+  return record;
+};
+
+// --- PROBLEMS ---
+
+// Every stored solve as { key, id, platform, name, url, rating, tags, solvedAt }, newest first
+const getSolvedProblems = (user) => getLinkedPlatforms(user)
+  .flatMap(platform => Object.entries(user.data?.[platform.id]?.problems || {}).map(([id, problem]) => ({
+    key: `${platform.id}:${id}`,
+    id,
+    platform,
+    name: problem.name || id,
+    url: platform.problemUrl ? platform.problemUrl(id) : null,
+    rating: problem.rating ?? null,
+    tags: problem.tags || [],
+    solvedAt: problem.solvedAt
+  })))
+  .sort((a, b) => b.solvedAt - a.solvedAt);
+
+const matchesProblemSearch = (problem, query) => {
+  const q = query.trim().toLowerCase();
+  if (!q) return true;
+  return problem.name.toLowerCase().includes(q)
+    || problem.id.toLowerCase().includes(q)
+    || problem.tags.some(tag => tag.toLowerCase().includes(q));
+};
+
+// Solves per topic tag, most practised first, with the average rating of rated problems
+const getTagBreakdown = (problems) => {
+  const byTag = {};
+  problems.forEach(p => p.tags.forEach(tag => {
+    if (!byTag[tag]) byTag[tag] = { tag, count: 0, ratingSum: 0, rated: 0 };
+    byTag[tag].count++;
+    if (p.rating) {
+      byTag[tag].ratingSum += p.rating;
+      byTag[tag].rated++;
+    }
+  }));
+  return Object.values(byTag)
+    .map(({ tag, count, ratingSum, rated }) => ({ tag, count, avgRating: rated ? Math.round(ratingSum / rated) : null }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+// --- PRACTICE ---
+// Recommendations are Codeforces problems other rivals solved that the user hasn't, most
+// solved first. Problems picked from them go into a practice queue stored on the user as
+// `user.practice`: [{ id, name, rating, tags, addedAt }]. Solved entries drop out when read.
+
+// Rating windows relative to the user's level
+const PRACTICE_BANDS = [
+  { id: 'near', label: 'Near my level', min: -100, max: 200 },
+  { id: 'stretch', label: 'Stretch', min: 200, max: 500 },
+  { id: 'any', label: 'Any rating' }
+];
+const WEAK_TAG_COUNT = 6;
+const LEVEL_SAMPLE_SIZE = 20;
+
+// The current contest rating, or for unrated users the median rating of their latest rated solves
+const getPracticeLevel = (data) => {
+  if (data?.contests?.current) return data.contests.current;
+  const recent = Object.values(data?.problems || {})
+    .filter(p => p.rating)
+    .sort((a, b) => b.solvedAt - a.solvedAt)
+    .slice(0, LEVEL_SAMPLE_SIZE)
+    .map(p => p.rating)
+    .sort((a, b) => a - b);
+  return recent.length ? recent[Math.floor(recent.length / 2)] : null;
+};
+
+const countTags = (data) => {
+  const counts = {};
+  Object.values(data?.problems || {}).forEach(p => (p.tags || []).forEach(tag => { counts[tag] = (counts[tag] || 0) + 1; }));
+  return counts;
+};
+
+// Tags the user has solved least compared with the average rival, weakest first
+const getWeakTags = (user, rivals) => {
+  if (rivals.length === 0) return [];
+  const own = countTags(user.data?.codeforces);
+  const total = {};
+  rivals.forEach(rival => Object.entries(countTags(rival.data?.codeforces)).forEach(([tag, count]) => { total[tag] = (total[tag] || 0) + count; }));
+  return Object.entries(total)
+    .map(([tag, count]) => ({ tag, own: own[tag] || 0, average: count / rivals.length }))
+    .filter(t => t.average >= 1 && t.own < t.average)
+    .sort((a, b) => a.own / a.average - b.own / b.average || b.average - a.average)
+    .slice(0, WEAK_TAG_COUNT)
+    .map(t => t.tag);
+};
+
+// { id, name, rating, tags, solvedBy } for every problem a rival solved and the user didn't
+const getRecommendations = (user, rivals) => {
+  const solved = getSolvedProblemIds(user.data?.codeforces);
+  const byId = {};
+  rivals.forEach(rival => Object.entries(rival.data?.codeforces?.problems || {}).forEach(([id, p]) => {
+    if (solved.has(id)) return;
+    if (!byId[id]) byId[id] = { id, name: p.name || id, rating: p.rating ?? null, tags: p.tags || [], solvedBy: [] };
+    byId[id].solvedBy.push(rival);
+  }));
+  return Object.values(byId).sort((a, b) => b.solvedBy.length - a.solvedBy.length || (a.rating ?? Infinity) - (b.rating ?? Infinity));
+};
+
+// Unrated problems only pass the 'any' band, and a problem passes the tag filter with any selected tag
+const filterRecommendations = (recommendations, { band, level, tags }) => recommendations.filter(p => {
+  if (band.min !== undefined && level !== null && !(p.rating >= level + band.min && p.rating <= level + band.max)) return false;
+  return tags.length === 0 || p.tags.some(tag => tags.includes(tag));
+});
+
+const getPracticeQueue = (user) => {
+  const solved = getSolvedProblemIds(user.data?.codeforces);
+  return (user.practice || []).filter(p => !solved.has(p.id));
+};
+
+// --- COMPONENTS ---
+
+const Card = ({ children, className = "", onClick }) => (
+  <div 
+    onClick={onClick} 
+    className={`bg-white dark:bg-slate-800 rounded-xl shadow-sm border border-slate-200 dark:border-slate-700 transition-all ${onClick ? 'cursor-pointer hover:shadow-md hover:border-emerald-500/30' : ''} ${className}`}
+  >
+    {children}
+  </div>
+);
+
+const Button = ({ children, onClick, variant = "primary", className = "", disabled = false, size = "md", type = "button" }) => {
+  const baseStyle = "rounded-lg font-medium transition-all duration-200 flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed";
+  const sizes = { sm: "px-3 py-1.5 text-xs", md: "px-4 py-2 text-sm", lg: "px-6 py-3 text-base" };
+  const variants = {
+    primary: "bg-emerald-500 hover:bg-emerald-600 text-white shadow-emerald-500/20 shadow-lg",
+    secondary: "bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-200 dark:hover:bg-slate-600",
+    outline: "border-2 border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-400 hover:border-emerald-500 hover:text-emerald-500",
+    danger: "text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20",
+    ghost: "text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800"
+  };
+  return <button type={type} onClick={onClick} className={`${baseStyle} ${sizes[size]} ${variants[variant]} ${className}`} disabled={disabled}>{children}</button>;
+};
+
+const PlatformBadge = ({ type }) => {
+  const platform = getPlatform(type);
+  if (!platform) return null;
+  return <span className={`text-[10px] px-1.5 py-0.5 rounded border ${platform.badgeClass}`}>{platform.name}</span>;
+};
+
+const PlatformBadges = ({ user }) => getLinkedPlatforms(user).map(p => <PlatformBadge key={p.id} type={p.id} />);
+
+const NumberField = ({ label, value, onChange, min = 0 }) => (
+  <label className="flex items-center justify-between gap-3 text-xs text-slate-500">
+    <span>{label}</span>
+    <input 
+      type="number" 
+      min={min}
+      className="w-16 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded px-2 py-1 text-right font-mono outline-none focus:ring-2 focus:ring-emerald-500"
+      value={value}
+      onChange={(e) => onChange(Math.max(min, Number(e.target.value) || 0))}
+    />
+  </label>
+);
+
+const ScoringRulesPanel = ({ rules, onChange }) => {
+  const setPoints = (platformId, tierKey, value) => onChange({
+    ...rules,
+    points: { ...rules.points, [platformId]: { ...rules.points[platformId], [tierKey]: value } }
+  });
+
+  return (
+    <div className="p-4 border-b border-slate-200 dark:border-slate-700 bg-slate-50/50 dark:bg-slate-900/30">
+      <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4 mb-4">
+        {PLATFORMS.map(p => (
+          <div key={p.id} className="space-y-1.5">
+            <div className="mb-2"><PlatformBadge type={p.id} /></div>
+            {p.scoringTiers.map(t => (
+              <NumberField key={t.key} label={t.label} value={rules.points[p.id][t.key]} onChange={(v) => setPoints(p.id, t.key, v)} />
+            ))}
+            {p.scoringNote && <p className="text-[10px] text-slate-400 leading-snug">{p.scoringNote}</p>}
+          </div>
+        ))}
+        <div className="space-y-1.5">
+          <div className="text-[10px] uppercase font-bold text-slate-400 tracking-widest mb-2">General</div>
+          <NumberField label="Daily cap (0 = off)" value={rules.dailyCap} onChange={(v) => onChange({ ...rules, dailyCap: v })} />
+          <NumberField label="First-solve bonus" value={rules.firstSolveBonus} onChange={(v) => onChange({ ...rules, firstSolveBonus: v })} />
+        </div>
+      </div>
+      <div className="flex justify-between items-center">
+        <p className="text-[11px] text-slate-400">Points per solve. Scores are recomputed from stored history.</p>
+        <Button onClick={() => onChange(DEFAULT_SCORING_RULES)} variant="ghost" size="sm">Reset defaults</Button>
+      </div>
+    </div>
+  );
+};
+
+const PERIOD_OPTIONS = [
+  ...Object.values(PERIOD_TYPES).map(t => ({ id: t.id, label: t.label })),
+  { id: 'custom', label: 'Custom' }
+];
+
+// Falls back to a short list on browsers without Intl.supportedValuesOf
+const getTimeZoneOptions = (current) => {
+  const zones = Intl.supportedValuesOf?.('timeZone') || [getBrowserTimeZone(), 'UTC'];
+  return [...new Set([current, ...zones])].sort();
+};
+
+const LeagueSettingsPanel = ({ league, users, onChange, onDelete }) => {
+  const isAllRivals = !league.memberIds;
+  const inputClass = "bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-lg px-2 py-1.5 text-xs outline-none focus:ring-2 focus:ring-emerald-500";
+  const { timeZone } = league;
+  const timeZones = useMemo(() => getTimeZoneOptions(timeZone), [timeZone]);
+  const toggleMember = (id) => onChange({
+    memberIds: league.memberIds.includes(id) ? league.memberIds.filter(m => m !== id) : [...league.memberIds, id]
+  });
+  // A new sprint defaults to two weeks starting this week
+  const choosePeriod = (period) => {
+    if (period !== 'custom' || isValidDateRange(league.customRange)) return onChange({ period });
+    const start = getLeagueWeekPeriod(league).getStart(getToday(timeZone));
+    onChange({ period, customRange: { start: toDateKey(start), end: toDateKey(addDays(start, 13)) } });
+  };
+  const changeRange = (field, value) => {
+    const customRange = { ...league.customRange, [field]: value };
+    if (isValidDateRange(customRange)) onChange({ customRange });
+  };
+
+  return (
+    <Card className="p-5 mb-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        <div>
+          <label className="block text-xs font-bold text-slate-500 uppercase mb-1">League Name</label>
+          <input 
+            className="w-full bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-lg px-4 py-2 text-sm outline-none focus:ring-2 focus:ring-emerald-500 disabled:opacity-60" 
+            value={league.name} 
+            onChange={e => onChange({ name: e.target.value })} 
+            disabled={isAllRivals}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-bold text-slate-500 uppercase mb-1">Scoring Period</label>
+          <div className="flex bg-slate-100 dark:bg-slate-900 p-1 rounded-lg">
+            {PERIOD_OPTIONS.map(t => (
+              <button key={t.id} onClick={() => choosePeriod(t.id)} className={`flex-1 px-3 py-1.5 text-xs rounded-md transition-all ${league.period === t.id ? 'bg-white dark:bg-slate-700 shadow-sm text-emerald-500 font-bold' : 'text-slate-500'}`}>
+                {t.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+      <div className="flex flex-wrap items-end gap-4 mb-4">
+        {league.period === 'custom' && (
+          <div>
+            <label className="block text-xs font-bold text-slate-500 uppercase mb-1">First Sprint</label>
+            <div className="flex items-center gap-2 text-xs text-slate-400">
+              <input type="date" className={inputClass} value={league.customRange?.start || ''} max={league.customRange?.end} onChange={e => changeRange('start', e.target.value)} />
+              to
+              <input type="date" className={inputClass} value={league.customRange?.end || ''} min={league.customRange?.start} onChange={e => changeRange('end', e.target.value)} />
+            </div>
+          </div>
+        )}
+        <div>
+          <label className="block text-xs font-bold text-slate-500 uppercase mb-1">Week Starts On</label>
+          <select className={inputClass} value={league.weekStart ?? DEFAULT_WEEK_START} onChange={e => onChange({ weekStart: Number(e.target.value) })}>
+            {WEEKDAYS.map((day, i) => <option key={day} value={i}>{day}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-bold text-slate-500 uppercase mb-1">Timezone</label>
+          <select className={inputClass} value={timeZone} onChange={e => onChange({ timeZone: e.target.value })}>
+            {timeZones.map(tz => <option key={tz} value={tz}>{tz.replace(/_/g, ' ')}</option>)}
+          </select>
+        </div>
+      </div>
+      <p className="text-[11px] text-slate-400 mb-4">
+        {league.period === 'custom' && 'Sprints repeat back to back at the same length. '}
+        The timezone decides which day every solve counts towards in this league.
+      </p>
+      {isAllRivals ? (
+        <p className="text-xs text-slate-400">All Rivals always includes everyone you track.</p>
+      ) : (
+        <>
+          <label className="block text-xs font-bold text-slate-500 uppercase mb-2">Members</label>
+          {users.length === 0 ? <p className="text-xs text-slate-400">Add rivals first, then pick who plays in this league.</p> : (
+            <div className="flex flex-wrap gap-2 mb-4">
+              {users.map(u => (
+                <button key={u.id} onClick={() => toggleMember(u.id)} className={`px-3 py-1.5 rounded-lg text-xs font-bold border-2 transition-all ${league.memberIds.includes(u.id) ? 'border-emerald-500 text-emerald-500 bg-emerald-500/10' : 'border-slate-200 dark:border-slate-700 text-slate-500'}`}>
+                  {u.username}
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="flex justify-end">
+            <Button onClick={onDelete} variant="danger" size="sm"><Trash2 size={14} /> Delete League</Button>
+          </div>
+        </>
+      )}
+    </Card>
+  );
+};
+
+// `users` carry their merged data, dated in the active league's timezone, for the CSV
+const DataPanel = ({ appState, users, teamServer, onImport, onConnectTeamServer, onDisconnectTeamServer }) => {
+  const [mode, setMode] = useState('merge');
+  const [status, setStatus] = useState(null);
+  const [teamUrl, setTeamUrl] = useState('');
+  const [isConnecting, setIsConnecting] = useState(false);
+  const fileInputRef = useRef(null);
+  const today = getLocalDate();
+
+  const exportJson = () => {
+    const payload = { ...appState, users: appState.users.map(({ data, ...user }) => user), exportedAt: new Date().toISOString() };
+    downloadFile(`code-rivals-backup-${today}.json`, JSON.stringify(payload, null, 2), 'application/json');
+  };
+
+  const exportCsv = () => {
+    downloadFile(`code-rivals-history-${today}.csv`, buildHistoryCsv(users), 'text/csv');
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parseImport(await file.text());
+      onImport(imported, mode);
+      setStatus({ ok: true, message: `${mode === 'merge' ? 'Merged' : 'Restored'} ${imported.users.length} rival${imported.users.length === 1 ? '' : 's'} from ${file.name}.` });
+    } catch (err) {
+      setStatus({ ok: false, message: err.message });
+    }
+  };
+
+  const connect = async (e) => {
+    e.preventDefault();
+    if (!teamUrl.trim()) return;
+    setIsConnecting(true);
+    try {
+      await onConnectTeamServer(teamUrl);
+    } catch (err) {
+      setStatus({ ok: false, message: err.message });
+      setIsConnecting(false);
+    }
+  };
+
+  return (
+    <Card className="p-5 mb-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <label className="block text-xs font-bold text-slate-500 uppercase mb-2">Export</label>
+          <div className="flex flex-wrap gap-2">
+            <Button onClick={exportJson} variant="secondary" size="sm"><FileJson size={14} /> Full backup (JSON)</Button>
+            <Button onClick={exportCsv} variant="secondary" size="sm"><FileSpreadsheet size={14} /> History (CSV)</Button>
+          </div>
+          <p className="text-[11px] text-slate-400 mt-2">Backups include rivals, synced history, leagues and scoring rules (schema v{CURRENT_SCHEMA_VERSION}).</p>
+        </div>
+        <div>
+          <label className="block text-xs font-bold text-slate-500 uppercase mb-2">Import Backup</label>
+          <div className="flex flex-wrap items-center gap-2">
+            <div className="flex bg-slate-100 dark:bg-slate-900 p-1 rounded-lg">
+              {[['merge', 'Merge'], ['replace', 'Replace']].map(([id, label]) => (
+                <button key={id} onClick={() => setMode(id)} className={`px-3 py-1 text-xs rounded-md transition-all ${mode === id ? 'bg-white dark:bg-slate-700 shadow-sm text-emerald-500 font-bold' : 'text-slate-500'}`}>
+                  {label}
+                </button>
+              ))}
+            </div>
+            <Button onClick={() => fileInputRef.current?.click()} variant="outline" size="sm"><HardDriveUpload size={14} /> Choose file</Button>
+            <input ref={fileInputRef} type="file" accept=".json,application/json" className="hidden" onChange={handleFile} />
+          </div>
+          <p className="text-[11px] text-slate-400 mt-2">
+            {mode === 'merge' ? 'Imported rivals overwrite ones with the same id; everyone else is kept.' : 'Everything stored here is replaced by the file.'}
+          </p>
+        </div>
+      </div>
+      {onConnectTeamServer && (
+        <div className="mt-6 pt-5 border-t border-slate-100 dark:border-slate-700/50">
+          <label className="block text-xs font-bold text-slate-500 uppercase mb-2">Team Server</label>
+          {teamServer ? (
+            <div className="flex flex-wrap items-center gap-2">
+              <div className="flex items-center gap-2 text-sm text-emerald-500 font-semibold"><Server size={14} /> {teamServer.url}</div>
+              <Button onClick={onDisconnectTeamServer} variant="outline" size="sm"><Unplug size={14} /> Disconnect</Button>
+            </div>
+          ) : (
+            <form onSubmit={connect} className="flex flex-wrap gap-2">
+              <input type="url" placeholder="http://localhost:8787" value={teamUrl} onChange={e => setTeamUrl(e.target.value)} className="flex-1 min-w-[200px] bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-lg px-3 py-1.5 text-sm outline-none focus:ring-2 focus:ring-emerald-500" />
+              <Button type="submit" variant="secondary" size="sm" disabled={isConnecting}><Server size={14} /> {isConnecting ? 'Connecting...' : 'Connect'}</Button>
+            </form>
+          )}
+          <p className="text-[11px] text-slate-400 mt-2">
+            {teamServer
+              ? 'Rivals, leagues, scoring rules and duels are shared through this server, which also syncs everyone. Disconnecting goes back to the data stored in this browser.'
+              : 'Share rivals, leagues and synced history with your team through a self-hosted server (see server/ in the repository). An empty server starts with the rivals stored here. Unless this page comes from the server itself, its address must be in the server\'s ALLOWED_ORIGINS.'}
+          </p>
+        </div>
+      )}
+      {status && (
+        <div className={`mt-4 flex items-start gap-2 text-xs p-3 rounded-lg border ${status.ok ? 'border-emerald-500/20 bg-emerald-500/5 text-emerald-600 dark:text-emerald-400' : 'border-red-500/20 bg-red-500/5 text-red-500'}`}>
+          {status.ok ? <Database size={14} className="shrink-0" /> : <AlertCircle size={14} className="shrink-0" />}
+          <span>{status.message}</span>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+// Last sync time (amber once stale) followed by any per-platform errors
+const SyncStatus = ({ user, maxAgeMs, isSyncing, className = "" }) => {
+  if (getLinkedPlatforms(user).length === 0) return null;
+  const lastSyncedAt = getLastSyncedAt(user);
+  const isStale = !lastSyncedAt || Date.now() - lastSyncedAt > maxAgeMs;
+  const errors = getSyncErrors(user);
+
+  return (
+    <div className={`space-y-1 text-[11px] ${className}`}>
+      <div className={`flex items-center gap-1 ${isSyncing ? 'text-emerald-500' : isStale ? 'text-amber-500' : 'text-slate-400'}`}>
+        <RefreshCw size={10} className={isSyncing ? 'animate-spin' : ''} />
+        {isSyncing ? 'Syncing...' : lastSyncedAt ? `Synced ${formatTimeAgo(lastSyncedAt)}` : 'Not fully synced yet'}
+      </div>
+      {errors.map(({ platform, handle, error }) => (
+        <div key={`${platform.id}:${handle}`} className="flex items-start gap-1 text-red-500">
+          <AlertCircle size={10} className="shrink-0 mt-0.5" />
+          <span>{error}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const SharePanel = ({ url, leagueName, onClose }) => {
+  const [copied, setCopied] = useState(false);
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch (err) {
+      console.error("Clipboard write failed:", err);
+    }
+  };
+
+  return (
+    <div className="p-4 border-b border-slate-200 dark:border-slate-700 bg-slate-50/50 dark:bg-slate-900/30">
+      <div className="flex gap-2">
+        <input 
+          readOnly 
+          value={url} 
+          onFocus={e => e.target.select()}
+          className="flex-1 min-w-0 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-lg px-3 py-1.5 text-xs font-mono text-slate-500 outline-none focus:ring-2 focus:ring-emerald-500"
+        />
+        <Button onClick={copy} size="sm">{copied ? 'Copied' : 'Copy link'}</Button>
+        <Button onClick={onClose} variant="ghost" size="sm">Close</Button>
+      </div>
+      <p className="text-[11px] text-slate-400 mt-2">
+        A read-only copy of {leagueName} as of now ({Math.ceil(url.length / 1024)} KB link). It won't update; share again for fresh standings.
+      </p>
+    </div>
+  );
+};
+
+// Any week of the league, last completed one first, as Markdown or a PNG card
+const DigestPanel = ({ users, scoringRules, weekPeriod, timeZone, leagueName, onClose }) => {
+  const weeks = useMemo(() => getArchivePeriods(users, weekPeriod, timeZone), [users, weekPeriod, timeZone]);
+  const [weekIdx, setWeekIdx] = useState(weeks.length > 1 ? 1 : 0);
+  const [status, setStatus] = useState(null);
+  const weekStart = weeks[Math.min(weekIdx, weeks.length - 1)];
+  const digest = useMemo(() => buildWeeklyDigest(users, scoringRules, weekStart, leagueName, timeZone), [users, scoringRules, weekStart, leagueName, timeZone]);
+  const markdown = useMemo(() => buildDigestMarkdown(digest), [digest]);
+  const canvas = useMemo(() => renderDigestCanvas(digest), [digest]);
+  const imageUrl = useMemo(() => canvas.toDataURL('image/png'), [canvas]);
+  const filename = `code-rivals-digest-${toDateKey(weekStart)}`;
+  const canCopyImage = typeof ClipboardItem !== 'undefined' && Boolean(navigator.clipboard?.write);
+
+  const run = async (action, done) => {
+    try {
+      await action();
+      setStatus({ ok: true, message: done });
+    } catch (err) {
+      console.error("Digest export failed:", err);
+      setStatus({ ok: false, message: err.message });
+    }
+  };
+
+  const copyMarkdown = () => run(() => navigator.clipboard.writeText(markdown), 'Markdown copied.');
+  const downloadMarkdown = () => run(() => downloadFile(`${filename}.md`, markdown, 'text/markdown'), 'Markdown downloaded.');
+  const copyImage = () => run(async () => {
+    await navigator.clipboard.write([new ClipboardItem({ 'image/png': await canvasToBlob(canvas) })]);
+  }, 'Image copied.');
+  const downloadImage = () => run(async () => downloadFile(`${filename}.png`, await canvasToBlob(canvas), 'image/png'), 'Image downloaded.');
+
+  return (
+    <div className="p-4 border-b border-slate-200 dark:border-slate-700 bg-slate-50/50 dark:bg-slate-900/30">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <select 
+          value={weekIdx} 
+          onChange={e => { setWeekIdx(Number(e.target.value)); setStatus(null); }}
+          className="bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-lg px-3 py-1.5 text-xs outline-none focus:ring-2 focus:ring-emerald-500"
+        >
+          {weeks.map((start, idx) => (
+            <option key={start.getTime()} value={idx}>{idx === 0 ? 'This week (so far)' : weekPeriod.format(start)}</option>
+          ))}
+        </select>
+        <div className="flex flex-wrap gap-2">
+          <Button onClick={copyMarkdown} variant="secondary" size="sm"><FileText size={14} /> Copy Markdown</Button>
+          <Button onClick={downloadMarkdown} variant="ghost" size="sm">.md</Button>
+          {canCopyImage && <Button onClick={copyImage} variant="secondary" size="sm"><ImageIcon size={14} /> Copy image</Button>}
+          <Button onClick={downloadImage} variant="ghost" size="sm">.png</Button>
+          <Button onClick={onClose} variant="ghost" size="sm">Close</Button>
+        </div>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <img src={imageUrl} alt={`${leagueName} digest`} className="w-full rounded-lg border border-slate-200 dark:border-slate-700" />
+        <pre className="text-[11px] font-mono whitespace-pre-wrap text-slate-500 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-lg p-3 max-h-80 overflow-y-auto">{markdown}</pre>
+      </div>
+      {status && <p className={`text-[11px] mt-2 ${status.ok ? 'text-emerald-500' : 'text-red-500'}`}>{status.message}</p>}
+    </div>
+  );
+};
+
+const SnapshotBanner = ({ snapshot, onAdopt, onExit }) => (
+  <Card className="p-4 mb-6 border-sky-500/30 bg-sky-500/[0.04] flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+    <div className="flex items-center gap-3">
+      <div className="w-9 h-9 rounded-lg bg-sky-500/10 text-sky-500 flex items-center justify-center shrink-0"><Share2 size={16} /></div>
+      <div>
+        <div className="text-sm font-bold text-slate-800 dark:text-white">
+          {snapshot.status === 'ready' ? `Shared snapshot: ${snapshot.league.name}` : 'Shared snapshot'}
+        </div>
+        <div className="text-xs text-slate-500">
+          {snapshot.status === 'ready' ? `Read-only · taken ${new Date(snapshot.createdAt).toLocaleString()}` :
+            snapshot.status === 'loading' ? 'Opening snapshot...' : snapshot.error}
+        </div>
+      </div>
+    </div>
+    <div className="flex gap-2">
+      {snapshot.status === 'ready' && <Button onClick={onAdopt} size="sm"><Plus size={14} /> Adopt rivals</Button>}
+      <Button onClick={onExit} variant="secondary" size="sm">Back to my rivals</Button>
+    </div>
+  </Card>
+);
+
+const ScoreBreakdown = ({ breakdown }) => (
+  <div className="px-4 pb-4 pl-[3.75rem] flex flex-wrap gap-2">
+    {breakdown.length === 0 ? <span className="text-xs text-slate-400">No points in this period.</span> : 
+      breakdown.map(item => (
+        <span key={item.key} className={`text-[11px] px-2 py-1 rounded-md border ${item.points < 0 ? 'border-red-500/20 bg-red-500/5 text-red-500' : 'border-slate-200 dark:border-slate-700 bg-slate-50 dark:bg-slate-900/40 text-slate-600 dark:text-slate-300'}`}>
+          {item.label} <span className="text-slate-400">×{item.count}</span> <span className="font-bold">{item.points > 0 ? '+' : ''}{item.points}</span>
+        </span>
+      ))
+    }
+  </div>
+);
+
+const StreakBadge = ({ days }) => {
+  if (!days) return null;
+  return <span className="flex items-center gap-0.5 text-[11px] font-bold text-orange-500" title={`${days}-day streak`}><Flame size={12} />{days}</span>;
+};
+
+const MeBadge = () => (
+  <span className="text-[9px] uppercase font-bold px-1.5 py-0.5 rounded bg-emerald-500 text-white">You</span>
+);
+
+const RivalGaps = ({ gaps }) => {
+  if (!gaps) return null;
+  const { above, below } = gaps;
+  return (
+    <div className="text-[11px] text-slate-400 mt-1">
+      {above ? <span>{above.points} pts behind <span className="font-bold text-slate-500">{above.user.username}</span></span> : <span className="font-bold text-emerald-500">Leading</span>}
+      {below && <span> · {below.points} pts ahead of <span className="font-bold text-slate-500">{below.user.username}</span></span>}
+    </div>
+  );
+};
+
+const FEED_ICONS = {
+  overtaken: { icon: ArrowDown, className: 'text-red-500' },
+  first: { icon: Crown, className: 'text-amber-500' },
+  climbed: { icon: ArrowUp, className: 'text-emerald-500' },
+  milestone: { icon: Award, className: 'text-sky-500' },
+  bigDay: { icon: Flame, className: 'text-orange-500' }
+};
+
+const FeedPanel = ({ items, users, meId, onSelectUser }) => (
+  <Card className="p-5 mb-6">
+    <h3 className="font-bold mb-1 flex items-center gap-2"><Bell size={16} className="text-emerald-500" /> Activity</h3>
+    <p className="text-xs text-slate-400 mb-4">
+      Rank changes, milestones and big solve days from the last {FEED_DAYS} days.
+      {meId === null && ' Mark a rival as "me" on their profile to follow your rank.'}
+    </p>
+    {items.length === 0 ? <p className="text-xs text-slate-400">Nothing happened yet.</p> : (
+      <div className="divide-y divide-slate-100 dark:divide-slate-700/50 max-h-80 overflow-y-auto">
+        {items.map(item => {
+          const { icon: Icon, className } = FEED_ICONS[item.type];
+          return (
+            <div key={item.id} className="py-2 flex items-start gap-3 text-sm">
+              <Icon size={14} className={`mt-0.5 shrink-0 ${className}`} />
+              <button onClick={() => onSelectUser(item.userId ?? meId)} className="flex-1 text-left text-slate-600 dark:text-slate-300 hover:text-emerald-500">
+                {describeFeedItem(item, users, meId)}
+              </button>
+              <span className="text-[11px] text-slate-400 whitespace-nowrap flex items-center gap-1.5">
+                {item.isNew && <span className="w-1.5 h-1.5 rounded-full bg-emerald-500" title="New since your last visit" />}
+                {item.time ? formatTimeAgo(item.time) : parseDateKey(item.date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+    )}
+  </Card>
+);
+
+// Compact "on track" indicator for dashboard cards
+const GoalSummary = ({ goals, className = "" }) => {
+  if (!goals?.length) return null;
+  const behind = goals.filter(g => g.status === 'behind');
+  const status = behind.length ? GOAL_STATUS.behind : GOAL_STATUS['on-track'];
+  return (
+    <div className={`flex items-center gap-1 text-[11px] font-bold ${status.textClass} ${className}`} title={goals.map(g => `${g.label}: ${g.current}/${g.target} (${GOAL_STATUS[g.status].label})`).join('\n')}>
+      <Target size={12} />
+      {behind.length ? `${behind.length} of ${goals.length} goal${goals.length === 1 ? '' : 's'} behind` : `Goals on track (${goals.length})`}
+    </div>
+  );
+};
+
+const EMPTY_GOAL_FORM = { type: 'solves', period: 'day', target: 5, platformId: '', minRating: 0 };
+
+const GoalForm = ({ linkedPlatforms, onAdd, onCancel }) => {
+  const [form, setForm] = useState(EMPTY_GOAL_FORM);
+  const ratedPlatforms = linkedPlatforms.filter(p => p.ratingTiers);
+  const canFilterRating = RATED_PROBLEM_PLATFORMS.some(p => p.id === form.platformId);
+  const selectClass = "bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-lg px-2 py-1.5 text-xs outline-none focus:ring-2 focus:ring-emerald-500";
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (form.type === 'rating') {
+      onAdd(createGoal({ type: 'rating', platformId: form.platformId || ratedPlatforms[0]?.id, target: form.target }));
+    } else {
+      onAdd(createGoal({
+        type: 'solves',
+        period: form.period,
+        target: form.target,
+        ...(form.platformId ? { platformId: form.platformId } : {}),
+        ...(canFilterRating && form.minRating ? { minRating: form.minRating } : {})
+      }));
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="p-4 mb-6 rounded-lg border border-slate-200 dark:border-slate-700 bg-slate-50/50 dark:bg-slate-900/30 flex flex-wrap items-end gap-3">
+      <label className="text-xs text-slate-500 space-y-1">
+        <span className="block">Goal</span>
+        <select className={selectClass} value={form.type} onChange={e => setForm({ ...EMPTY_GOAL_FORM, type: e.target.value, target: e.target.value === 'rating' ? 1900 : 5 })}>
+          <option value="solves">Solve problems</option>
+          {ratedPlatforms.length > 0 && <option value="rating">Reach a rating</option>}
+        </select>
+      </label>
+      <NumberField label="Target" value={form.target} min={1} onChange={(v) => setForm({ ...form, target: v })} />
+      {form.type === 'solves' && (
+        <label className="text-xs text-slate-500 space-y-1">
+          <span className="block">Every</span>
+          <select className={selectClass} value={form.period} onChange={e => setForm({ ...form, period: e.target.value })}>
+            {Object.values(GOAL_PERIODS).map(p => <option key={p.id} value={p.id}>{p.noun}</option>)}
+          </select>
+        </label>
+      )}
+      <label className="text-xs text-slate-500 space-y-1">
+        <span className="block">Platform</span>
+        <select className={selectClass} value={form.platformId} onChange={e => setForm({ ...form, platformId: e.target.value })}>
+          {form.type === 'solves' && <option value="">Any</option>}
+          {(form.type === 'rating' ? ratedPlatforms : linkedPlatforms).map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+        </select>
+      </label>
+      {form.type === 'solves' && canFilterRating && (
+        <NumberField label="Min rating (0 = any)" value={form.minRating} onChange={(v) => setForm({ ...form, minRating: v })} />
+      )}
+      <div className="flex gap-2 ml-auto">
+        <Button onClick={onCancel} variant="ghost" size="sm">Cancel</Button>
+        <Button type="submit" size="sm">Add Goal</Button>
+      </div>
+    </form>
+  );
+};
+
+const GoalsPanel = ({ user, goals, readOnly, onChange }) => {
+  const [isAdding, setIsAdding] = useState(false);
+  const linkedPlatforms = getLinkedPlatforms(user);
+
+  const addGoal = (goal) => {
+    onChange([...(user.goals || []), goal]);
+    setIsAdding(false);
+  };
+
+  return (
+    <div>
+      {isAdding && <GoalForm linkedPlatforms={linkedPlatforms} onAdd={addGoal} onCancel={() => setIsAdding(false)} />}
+      {goals.length === 0 && !isAdding && (
+        <div className="py-8 text-center text-slate-500 text-sm">No goals yet.</div>
+      )}
+      <div className="space-y-5">
+        {goals.map(g => {
+          const status = GOAL_STATUS[g.status];
+          const hits = g.history.filter(h => h.hit).length;
+          return (
+            <div key={g.goal.id}>
+              <div className="flex items-center justify-between gap-3 mb-1.5">
+                <div className="text-sm font-medium text-slate-700 dark:text-slate-200">{g.label}</div>
+                <div className="flex items-center gap-3 shrink-0">
+                  <span className="text-xs font-mono text-slate-500">{g.current} / {g.target}</span>
+                  <span className={`text-[11px] font-bold ${status.textClass}`}>{status.label}</span>
+                  {!readOnly && (
+                    <button onClick={() => onChange(user.goals.filter(goal => goal.id !== g.goal.id))} className="text-slate-400 hover:text-red-500" title="Remove goal">
+                      <Trash2 size={12} />
+                    </button>
+                  )}
+                </div>
+              </div>
+              <div className="h-2 bg-slate-100 dark:bg-slate-900 rounded-full overflow-hidden">
+                <div className={`h-full rounded-full transition-all duration-500 ${status.barClass}`} style={{ width: `${g.percent}%` }} />
+              </div>
+              {g.goal.type === 'rating' ? (
+                <div className="text-[11px] text-slate-400 mt-1.5">{g.reachedAt ? `Reached on ${g.reachedAt}` : 'Not reached yet'}</div>
+              ) : (
+                <div className="flex items-center gap-2 mt-1.5">
+                  <div className="flex gap-0.5">
+                    {g.history.map(h => (
+                      <span key={h.periodStart.getTime()} title={`${toDateKey(h.periodStart)}: ${h.hit ? 'hit' : 'missed'}`} className={`w-2.5 h-2.5 rounded-sm ${h.hit ? 'bg-emerald-500' : 'bg-slate-200 dark:bg-slate-700'}`} />
+                    ))}
+                  </div>
+                  <span className="text-[11px] text-slate-400">Hit {hits} of the last {g.history.length} {GOAL_PERIODS[g.goal.period].noun}s</span>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      {!readOnly && !isAdding && (
+        <div className="flex justify-end mt-4">
+          <Button onClick={() => setIsAdding(true)} variant="ghost" size="sm"><Plus size={14} /> Add Goal</Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Most recently unlocked achievements as small icon badges
+const AchievementBadges = ({ achievements, max = 5, className = "" }) => {
+  const unlocked = achievements
+    .filter(a => a.unlocked)
+    .sort((a, b) => (b.unlockedAt || '').localeCompare(a.unlockedAt || ''));
+  if (unlocked.length === 0) return null;
+
+  return (
+    <div className={`flex items-center gap-1 ${className}`}>
+      {unlocked.slice(0, max).map(a => (
+        <span key={a.id} title={`${a.title}: ${a.description}`} className="w-6 h-6 rounded-md bg-amber-500/10 text-amber-500 border border-amber-500/20 flex items-center justify-center">
+          <a.icon size={12} />
+        </span>
+      ))}
+      {unlocked.length > max && <span className="text-[10px] font-bold text-slate-400 ml-1">+{unlocked.length - max}</span>}
+    </div>
+  );
+};
+
+const RankMovement = ({ delta }) => {
+  if (delta === null || delta === undefined) return null;
+  if (delta > 0) return <span className="flex items-center text-[10px] font-bold text-emerald-500" title={`Up ${delta} from the previous period`}><ArrowUp size={10} />{delta}</span>;
+  if (delta < 0) return <span className="flex items-center text-[10px] font-bold text-red-500" title={`Down ${-delta} from the previous period`}><ArrowDown size={10} />{-delta}</span>;
+  return <span className="text-slate-400" title="Same rank as the previous period"><Minus size={10} /></span>;
+};
+
+// Minimal SVG line chart. Each series is { key, label, color, points: [{ x, y, label }] }
+// with x as a UNIX timestamp; point labels show up as hover titles.
+const LineGraph = ({ series, height = 200, showDots = true }) => {
+  const width = 600;
+  const pad = { top: 10, right: 12, bottom: 24, left: 44 };
+  const all = series.flatMap(s => s.points);
+  if (all.length === 0) return <div className="py-12 text-center text-slate-500 text-sm">No data yet.</div>;
+
+  let minX = Math.min(...all.map(p => p.x));
+  let maxX = Math.max(...all.map(p => p.x));
+  if (minX === maxX) { minX -= 86400; maxX += 86400; }
+  let minY = Math.min(...all.map(p => p.y));
+  let maxY = Math.max(...all.map(p => p.y));
+  const spanY = Math.max(maxY - minY, 1);
+  minY -= spanY * 0.1;
+  maxY += spanY * 0.1;
+
+  const sx = (x) => pad.left + (x - minX) / (maxX - minX) * (width - pad.left - pad.right);
+  const sy = (y) => height - pad.bottom - (y - minY) / (maxY - minY) * (height - pad.top - pad.bottom);
+  const ticks = [0, 1 / 3, 2 / 3, 1].map(f => minY + f * (maxY - minY));
+  const formatX = (x) => new Date(x * 1000).toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto">
+        {ticks.map(t => (
+          <g key={t}>
+            <line x1={pad.left} x2={width - pad.right} y1={sy(t)} y2={sy(t)} className="stroke-slate-200 dark:stroke-slate-700" strokeDasharray="3 3" />
+            <text x={pad.left - 6} y={sy(t)} textAnchor="end" dominantBaseline="middle" className="fill-slate-400 text-[10px]">{Math.round(t)}</text>
+          </g>
+        ))}
+        <text x={pad.left} y={height - 6} className="fill-slate-400 text-[10px]">{formatX(minX)}</text>
+        <text x={width - pad.right} y={height - 6} textAnchor="end" className="fill-slate-400 text-[10px]">{formatX(maxX)}</text>
+        {series.map(s => (
+          <g key={s.key}>
+            <polyline fill="none" stroke={s.color} strokeWidth="2" strokeLinejoin="round" points={s.points.map(p => `${sx(p.x)},${sy(p.y)}`).join(' ')} />
+            {showDots && s.points.map((p, i) => (
+              <circle key={i} cx={sx(p.x)} cy={sy(p.y)} r="3" fill={s.color}><title>{p.label}</title></circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+      {series.length > 1 && (
+        <div className="flex flex-wrap justify-center gap-4 mt-2">
+          {series.map(s => (
+            <span key={s.key} className="flex items-center gap-1.5 text-xs text-slate-500">
+              <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: s.color }} /> {s.label}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const getRatingSeries = (user) => RATED_PLATFORMS
+  .filter(p => user.data?.[p.id]?.contests?.history?.length)
+  .map(p => ({
+    key: p.id,
+    label: p.name,
+    color: p.chartColor,
+    points: user.data[p.id].contests.history.map(h => ({
+      x: h.time,
+      y: h.rating,
+      label: `${h.contest}: ${h.rating}${h.rank ? ` (rank ${h.rank})` : ''}`
+    }))
+  }));
+
+const RatingValue = ({ platform, rating, className = "" }) => {
+  const tier = getRatingTier(platform, rating);
+  if (!tier) return <span className={`text-slate-400 ${className}`}>—</span>;
+  return <span className={`${tier.textClass} ${className}`} title={tier.title}>{rating}</span>;
+};
+
+const RatingLeaderboard = ({ users, onSelectUser }) => {
+  const [platformId, setPlatformId] = useState(RATED_PLATFORMS[0].id);
+  const platform = getPlatform(platformId);
+  const rated = users
+    .filter(u => u.data?.[platformId]?.contests?.current != null)
+    .sort((a, b) => b.data[platformId].contests.current - a.data[platformId].contests.current);
+
+  return (
+    <>
+      <div className="px-4 py-2 border-b border-slate-100 dark:border-slate-700/50 flex justify-center gap-2">
+        {RATED_PLATFORMS.map(p => (
+          <button key={p.id} onClick={() => setPlatformId(p.id)} className={`px-3 py-1 text-xs rounded-md transition-all ${platformId === p.id ? 'bg-slate-100 dark:bg-slate-700 font-bold text-slate-700 dark:text-slate-200' : 'text-slate-500'}`}>
+            {p.name}
+          </button>
+        ))}
+      </div>
+      <div className="divide-y divide-slate-100 dark:divide-slate-700/50">
+        {rated.length === 0 ? (
+          <div className="p-8 text-center text-slate-500">No {platform.name} contest ratings yet. Sync a rival with a {platform.name} handle.</div>
+        ) : (
+          rated.map((user, idx) => {
+            const { current, peak, history } = user.data[platformId].contests;
+            return (
+              <div key={user.id} className="p-4 flex items-center justify-between hover:bg-slate-50 dark:hover:bg-slate-700/30 transition-colors cursor-pointer" onClick={() => onSelectUser(user.id)}>
+                <div className="flex items-center gap-4">
+                  <div className={`w-7 h-7 rounded-full flex items-center justify-center font-bold text-xs ${idx === 0 ? 'bg-amber-100 text-amber-600 dark:bg-amber-900/30' : 'bg-slate-100 dark:bg-slate-700 text-slate-400'}`}>{idx + 1}</div>
+                  <div>
+                    <div className="font-semibold text-sm text-slate-800 dark:text-slate-200">{user.username}</div>
+                    <div className={`text-[11px] font-medium ${getRatingTier(platform, current).textClass}`}>{getRatingTier(platform, current).title}</div>
+                  </div>
+                </div>
+                <div className="text-right">
+                  <RatingValue platform={platform} rating={current} className="text-lg font-black" />
+                  <div className="text-[9px] uppercase font-bold text-slate-400">Peak {peak} · {history.length} contests</div>
+                </div>
+              </div>
+            );
+          })
+        )}
+      </div>
+    </>
+  );
+};
+
+const HallOfFame = ({ hallOfFame, onSelectUser }) => {
+  const { periods, champions, periodType } = hallOfFame;
+  if (periods.length === 0) return <div className="p-8 text-center text-slate-500">No completed {periodType.noun}s yet. Check back when this one ends.</div>;
+
+  return (
+    <div className="p-4 space-y-6">
+      <div>
+        <div className="text-[10px] uppercase font-bold text-slate-400 tracking-widest mb-2">Champions</div>
+        {champions.length === 0 ? <div className="text-sm text-slate-500">Nobody has won a {periodType.noun} yet.</div> : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-[10px] uppercase text-slate-400 text-left">
+                <th className="py-1 font-bold">Rival</th>
+                <th className="py-1 font-bold text-right">{periodType.label} Wins</th>
+                <th className="py-1 font-bold text-right">Longest Run</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100 dark:divide-slate-700/50">
+              {champions.map((c, idx) => (
+                <tr key={c.user.id} className="hover:bg-slate-50 dark:hover:bg-slate-700/30 cursor-pointer" onClick={() => onSelectUser(c.user.id)}>
+                  <td className="py-2 font-semibold flex items-center gap-2">
+                    {idx === 0 && <Crown size={14} className="text-amber-500" />}{c.user.username}
+                  </td>
+                  <td className="py-2 text-right font-black text-emerald-500">{c.wins}</td>
+                  <td className="py-2 text-right text-slate-500">{c.longestStreak} {periodType.noun}{c.longestStreak === 1 ? '' : 's'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+      <div>
+        <div className="text-[10px] uppercase font-bold text-slate-400 tracking-widest mb-2">{periodType.label} Winners</div>
+        <div className="space-y-2">
+          {periods.map(w => (
+            <div key={w.periodStart.getTime()} className="flex items-center justify-between p-3 bg-slate-50 dark:bg-slate-900/40 rounded-lg border border-slate-100 dark:border-slate-800">
+              <div className="text-xs font-mono text-slate-500">{periodType.format(w.periodStart)}</div>
+              {w.winners.length === 0 ? <div className="text-xs text-slate-400">No winner</div> : (
+                <div className="flex items-center gap-3">
+                  <div className="flex gap-2">
+                    {w.winners.map(u => (
+                      <button key={u.id} onClick={() => onSelectUser(u.id)} className="font-bold text-sm flex items-center gap-1 hover:text-emerald-500">
+                        <Trophy size={12} className="text-amber-500" /> {u.username}
+                      </button>
+                    ))}
+                  </div>
+                  <div className="text-xs font-bold text-emerald-500">{w.score} pts</div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ActivityHeatmap = ({ activity, platforms, timeZone, weekPeriod = PERIOD_TYPES.week }) => {
+  const [platformFilter, setPlatformFilter] = useState('all');
+  const [hovered, setHovered] = useState(null);
+  const [selectedDate, setSelectedDate] = useState(null);
+  const wrapperRef = useRef(null);
+
+  const countFor = (day) => {
+    if (!day) return 0;
+    return platformFilter === 'all' ? day.count : (day.platforms[platformFilter] || 0);
+  };
+
+  // Columns are weeks (starting on the league's week start day), ending with the current week
+  const today = getToday(timeZone);
+  const todayKey = toDateKey(today);
+  const start = weekPeriod.shift(weekPeriod.getStart(today), 1 - HEATMAP_WEEKS);
+  const weeks = Array.from({ length: HEATMAP_WEEKS }, (_, w) => Array.from({ length: 7 }, (_, d) => {
+    const date = toDateKey(addDays(start, w * 7 + d));
+    return date > todayKey ? null : date;
+  }));
+  const monthLabels = weeks.map((week, w) => {
+    const month = parseDateKey(week[0]).getMonth();
+    const prevMonth = w > 0 ? parseDateKey(weeks[w - 1][0]).getMonth() : null;
+    return month !== prevMonth ? parseDateKey(week[0]).toLocaleDateString(undefined, { month: 'short' }) : '';
+  });
+  const yearTotal = weeks.flat().reduce((acc, date) => acc + countFor(activity[date]), 0);
+
+  const selectedDay = selectedDate ? activity[selectedDate] : null;
+  const describeDay = (date) => parseDateKey(date).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <div className="text-xs text-slate-500"><span className="font-bold text-slate-700 dark:text-slate-200">{yearTotal}</span> solves in the last year</div>
+        <div className="flex bg-slate-100 dark:bg-slate-900 p-1 rounded-lg">
+          {[{ id: 'all', name: 'All' }, ...platforms].map(p => (
+            <button key={p.id} onClick={() => setPlatformFilter(p.id)} className={`px-3 py-1 text-xs rounded-md transition-all ${platformFilter === p.id ? 'bg-white dark:bg-slate-700 shadow-sm text-emerald-500 font-bold' : 'text-slate-500'}`}>
+              {p.name}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* The tooltip lives outside the scrolling grid so it isn't clipped at the edges */}
+      <div ref={wrapperRef} className="relative">
+        <div className="overflow-x-auto pb-2">
+          <div className="inline-flex gap-1.5" onMouseLeave={() => setHovered(null)}>
+            <div className="flex flex-col gap-[3px] pt-4 text-[9px] text-slate-400">
+              {Array.from({ length: 7 }, (_, i) => (
+                <div key={i} className="h-[11px] leading-[11px]">{i % 2 === 0 && i < 6 ? WEEKDAYS[(weekPeriod.weekStartsOn + i) % 7].slice(0, 3) : ''}</div>
+              ))}
+            </div>
+            {weeks.map((week, w) => (
+              <div key={w} className="flex flex-col gap-[3px]">
+                <div className="h-4 text-[9px] text-slate-400 whitespace-nowrap">{monthLabels[w]}</div>
+                {week.map((date, d) => date ? (
+                  <div
+                    key={d}
+                    onMouseEnter={(e) => {
+                      const cell = e.currentTarget.getBoundingClientRect();
+                      const wrapper = wrapperRef.current.getBoundingClientRect();
+                      setHovered({ date, left: cell.left - wrapper.left + cell.width / 2, top: cell.top - wrapper.top });
+                    }}
+                    onClick={() => setSelectedDate(date === selectedDate ? null : date)}
+                    className={`w-[11px] h-[11px] rounded-sm cursor-pointer ${HEATMAP_COLORS[getHeatmapLevel(countFor(activity[date]))]} ${date === selectedDate ? 'ring-2 ring-emerald-500 ring-offset-1 dark:ring-offset-slate-800' : ''}`}
+                  />
+                ) : <div key={d} className="w-[11px] h-[11px]" />)}
+              </div>
+            ))}
+          </div>
+        </div>
+        {hovered && (
+          <div className="absolute z-10 pointer-events-none -translate-x-1/2 -translate-y-full px-2.5 py-1.5 rounded-md bg-slate-900 text-white text-[11px] shadow-lg whitespace-nowrap" style={{ left: hovered.left, top: hovered.top - 4 }}>
+            <div className="font-bold">{countFor(activity[hovered.date])} solved · {describeDay(hovered.date)}</div>
+            {platforms.filter(p => activity[hovered.date]?.platforms[p.id]).map(p => (
+              <div key={p.id} className="flex items-center gap-1.5 text-slate-300">
+                <span className="w-2 h-2 rounded-full" style={{ backgroundColor: p.chartColor }} /> {p.name}: {activity[hovered.date].platforms[p.id]}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="flex items-center justify-end gap-1 text-[10px] text-slate-400 mt-1">
+        Less {HEATMAP_COLORS.map((c, i) => <div key={i} className={`w-[11px] h-[11px] rounded-sm ${c}`} />)} More
+      </div>
+
+      {selectedDate && (
+        <div className="mt-4 p-4 bg-slate-50 dark:bg-slate-900/40 rounded-lg border border-slate-100 dark:border-slate-800">
+          <div className="font-bold text-sm mb-3">{describeDay(selectedDate)}</div>
+          {!selectedDay ? <div className="text-xs text-slate-500">Nothing solved this day.</div> : (
+            <div className="space-y-3">
+              {platforms.filter(p => selectedDay.platforms[p.id]).map(p => (
+                <div key={p.id}>
+                  <div className="flex items-center gap-2 mb-1.5">
+                    <PlatformBadge type={p.id} />
+                    <span className="text-xs text-slate-500">{selectedDay.platforms[p.id]} solved</span>
+                  </div>
+                  {selectedDay.problems[p.id] && (
+                    <div className="flex flex-wrap gap-1.5">
+                      {selectedDay.problems[p.id].map(id => (
+                        p.problemUrl ? (
+                          <a key={id} href={p.problemUrl(id)} target="_blank" rel="noreferrer" className="text-[11px] font-mono px-2 py-0.5 rounded bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 hover:text-emerald-500">{id}</a>
+                        ) : (
+                          <span key={id} className="text-[11px] font-mono px-2 py-0.5 rounded bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700">{id}</span>
+                        )
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const PROBLEMS_PAGE_SIZE = 25;
+
+const SolvedProblemsTable = ({ user, timeZone }) => {
+  const [query, setQuery] = useState('');
+  const [platformFilter, setPlatformFilter] = useState('all');
+  const [visible, setVisible] = useState(PROBLEMS_PAGE_SIZE);
+
+  const problems = useMemo(() => getSolvedProblems(user), [user]);
+  const platforms = getLinkedPlatforms(user).filter(p => problems.some(pr => pr.platform.id === p.id));
+  const filtered = problems.filter(p => (platformFilter === 'all' || p.platform.id === platformFilter) && matchesProblemSearch(p, query));
+  const partial = platforms.filter(p => p.partialProblemList && (platformFilter === 'all' || platformFilter === p.id));
+
+  if (problems.length === 0) {
+    return <div className="py-12 text-center text-slate-500 text-sm">No problem details yet. Sync to fetch them.</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <input 
+          value={query} 
+          onChange={e => { setQuery(e.target.value); setVisible(PROBLEMS_PAGE_SIZE); }}
+          placeholder="Search by name, id or tag"
+          className="flex-1 min-w-[12rem] bg-slate-100 dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-lg px-3 py-1.5 text-xs outline-none focus:ring-2 focus:ring-emerald-500"
+        />
+        <div className="flex bg-slate-100 dark:bg-slate-900 p-1 rounded-lg">
+          {[{ id: 'all', name: 'All' }, ...platforms].map(p => (
+            <button key={p.id} onClick={() => { setPlatformFilter(p.id); setVisible(PROBLEMS_PAGE_SIZE); }} className={`px-3 py-1 text-xs rounded-md transition-all ${platformFilter === p.id ? 'bg-white dark:bg-slate-700 shadow-sm text-emerald-500 font-bold' : 'text-slate-500'}`}>
+              {p.name}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-[10px] uppercase tracking-widest text-slate-400 border-b border-slate-200 dark:border-slate-700">
+              <th className="py-2 pr-3 font-bold">Problem</th>
+              <th className="py-2 pr-3 font-bold">Platform</th>
+              <th className="py-2 pr-3 font-bold text-right">Rating</th>
+              <th className="py-2 pr-3 font-bold">Tags</th>
+              <th className="py-2 font-bold text-right">Solved</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filtered.slice(0, visible).map(p => (
+              <tr key={p.key} className="border-b border-slate-100 dark:border-slate-800 align-top">
+                <td className="py-2 pr-3">
+                  {p.url ? <a href={p.url} target="_blank" rel="noreferrer" className="font-medium text-slate-700 dark:text-slate-200 hover:text-emerald-500">{p.name}</a> : <span className="font-medium">{p.name}</span>}
+                  {p.name !== p.id && <div className="text-[10px] font-mono text-slate-400">{p.id}</div>}
+                </td>
+                <td className="py-2 pr-3"><PlatformBadge type={p.platform.id} /></td>
+                <td className="py-2 pr-3 text-right font-mono">{p.rating ?? <span className="text-slate-400">–</span>}</td>
+                <td className="py-2 pr-3">
+                  <div className="flex flex-wrap gap-1">
+                    {p.tags.map(tag => (
+                      <button key={tag} onClick={() => setQuery(tag)} className="text-[10px] px-1.5 py-0.5 rounded bg-slate-100 dark:bg-slate-900 text-slate-500 hover:text-emerald-500">{tag}</button>
+                    ))}
+                  </div>
+                </td>
+                <td className="py-2 text-right text-slate-500 whitespace-nowrap">{getLocalDate(p.solvedAt, timeZone)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {filtered.length === 0 && <div className="py-8 text-center text-slate-500 text-sm">No solved problems match.</div>}
+      <div className="flex flex-wrap items-center justify-between gap-2 mt-3">
+        <p className="text-[11px] text-slate-400">
+          {filtered.length} problem{filtered.length === 1 ? '' : 's'}
+          {partial.length > 0 && ` · ${partial.map(p => p.name).join(', ')} only reports recent solves, so older ones are missing.`}
+        </p>
+        {filtered.length > visible && (
+          <Button onClick={() => setVisible(visible + PROBLEMS_PAGE_SIZE)} variant="ghost" size="sm">Show more</Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const TOP_TAGS_COUNT = 12;
+
+// Difficulty split per platform plus solves per topic tag
+const ProblemBreakdown = ({ user }) => {
+  const [showAllTags, setShowAllTags] = useState(false);
+  const problems = useMemo(() => getSolvedProblems(user), [user]);
+  const tags = useMemo(() => getTagBreakdown(problems), [problems]);
+  const bandPlatforms = getLinkedPlatforms(user).filter(p => p.getDifficultyBands);
+  const maxTagCount = tags.length ? tags[0].count : 0;
+  const taggedTotal = problems.filter(p => p.tags.length).length;
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+      <div>
+        <div className="text-[10px] uppercase font-bold text-slate-400 tracking-widest mb-3">Difficulty</div>
+        {bandPlatforms.length === 0 ? <p className="text-xs text-slate-500">None of the linked platforms report difficulty.</p> : (
+          <div className="space-y-5">
+            {bandPlatforms.map(platform => {
+              const bands = platform.getDifficultyBands(user.data?.[platform.id]);
+              const total = bands.reduce((acc, b) => acc + b.count, 0);
+              return (
+                <div key={platform.id}>
+                  <div className="mb-2"><PlatformBadge type={platform.id} /></div>
+                  <div className="space-y-1.5">
+                    {bands.map(band => (
+                      <div key={band.key} className="flex items-center gap-2 text-xs">
+                        <span className="w-20 shrink-0 text-slate-500">{band.label}</span>
+                        <div className="flex-1 h-2 bg-slate-100 dark:bg-slate-900 rounded-full overflow-hidden">
+                          <div className="h-full rounded-full" style={{ width: `${total ? (band.count / total) * 100 : 0}%`, backgroundColor: platform.chartColor }} />
+                        </div>
+                        <span className="w-16 shrink-0 text-right font-mono text-slate-600 dark:text-slate-300">{band.count} <span className="text-slate-400">{total ? Math.round((band.count / total) * 100) : 0}%</span></span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+      <div>
+        <div className="text-[10px] uppercase font-bold text-slate-400 tracking-widest mb-3">Topics</div>
+        {tags.length === 0 ? <p className="text-xs text-slate-500">No tagged solves yet. Codeforces problems come with topic tags.</p> : (
+          <>
+            <div className="space-y-1.5">
+              {(showAllTags ? tags : tags.slice(0, TOP_TAGS_COUNT)).map(t => (
+                <div key={t.tag} className="flex items-center gap-2 text-xs" title={t.avgRating ? `Average rating ${t.avgRating}` : undefined}>
+                  <span className="w-28 shrink-0 truncate text-slate-500">{t.tag}</span>
+                  <div className="flex-1 h-2 bg-slate-100 dark:bg-slate-900 rounded-full overflow-hidden">
+                    <div className="h-full rounded-full bg-emerald-500" style={{ width: `${(t.count / maxTagCount) * 100}%` }} />
+                  </div>
+                  <span className="w-16 shrink-0 text-right font-mono text-slate-600 dark:text-slate-300">{t.count} <span className="text-slate-400">{Math.round((t.count / taggedTotal) * 100)}%</span></span>
+                </div>
+              ))}
+            </div>
+            {tags.length > TOP_TAGS_COUNT && (
+              <button onClick={() => setShowAllTags(!showAllTags)} className="mt-3 text-xs text-emerald-500 font-bold hover:underline">
+                {showAllTags ? 'Show top topics' : `Show all ${tags.length} topics`}
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const RECOMMENDATIONS_PAGE_SIZE = 10;
+
+const ProblemTags = ({ tags }) => (
+  <div className="flex flex-wrap gap-1 mt-1">
+    {tags.map(tag => <span key={tag} className="text-[10px] px-1.5 py-0.5 rounded bg-slate-100 dark:bg-slate-900 text-slate-500">{tag}</span>)}
+  </div>
+);
+
+// The user's queue, then what their rivals solved filtered by rating band and weak topics
+const PracticePanel = ({ user, users, readOnly, onChange }) => {
+  const [bandId, setBandId] = useState('near');
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [visible, setVisible] = useState(RECOMMENDATIONS_PAGE_SIZE);
+
+  const rivals = useMemo(() => users.filter(u => u.id !== user.id && u.data?.codeforces), [users, user.id]);
+  const recommendations = useMemo(() => getRecommendations(user, rivals), [user, rivals]);
+  const weakTags = useMemo(() => getWeakTags(user, rivals), [user, rivals]);
+  const level = getPracticeLevel(user.data?.codeforces);
+  const band = PRACTICE_BANDS.find(b => b.id === bandId);
+  const filtered = filterRecommendations(recommendations, { band, level, tags: selectedTags });
+  const queue = getPracticeQueue(user);
+  const queuedIds = new Set(queue.map(p => p.id));
+  const clearedCount = (user.practice || []).length - queue.length;
+  const problemUrl = getPlatform('codeforces').problemUrl;
+
+  const toggleTag = (tag) => {
+    setSelectedTags(selectedTags.includes(tag) ? selectedTags.filter(t => t !== tag) : [...selectedTags, tag]);
+    setVisible(RECOMMENDATIONS_PAGE_SIZE);
+  };
+  // Writing the queue also drops whatever was solved since it was last saved
+  const addToQueue = ({ id, name, rating, tags }) => onChange([...queue, { id, name, rating, tags, addedAt: Date.now() }]);
+
+  if (getHandles(user, 'codeforces').length === 0) {
+    return <div className="py-8 text-center text-slate-500 text-sm">Link a Codeforces handle to get practice recommendations.</div>;
+  }
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <div className="flex items-center justify-between mb-3">
+          <div className="text-[10px] uppercase font-bold text-slate-400 tracking-widest">Queue</div>
+          {clearedCount > 0 && <span className="text-[11px] text-emerald-500 font-bold">{clearedCount} solved and cleared</span>}
+        </div>
+        {queue.length === 0 ? <p className="text-xs text-slate-500">Nothing queued. Add problems from the recommendations below.</p> : (
+          <div className="divide-y divide-slate-100 dark:divide-slate-700/50">
+            {queue.map(p => (
+              <div key={p.id} className="py-2 flex items-start justify-between gap-3">
+                <div>
+                  <a href={problemUrl(p.id)} target="_blank" rel="noreferrer" className="text-sm font-semibold hover:text-emerald-500 flex items-center gap-1">
+                    {p.name || p.id} <ExternalLink size={12} className="text-slate-400" />
+                  </a>
+                  <div className="text-[11px] text-slate-400 font-mono">{p.id}{p.rating ? ` · ${p.rating}` : ''}</div>
+                </div>
+                {!readOnly && (
+                  <button onClick={() => onChange(queue.filter(q => q.id !== p.id))} className="text-slate-400 hover:text-red-500" title="Remove from queue">
+                    <Trash2 size={14} />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+          <div className="text-[10px] uppercase font-bold text-slate-400 tracking-widest">Solved by rivals</div>
+          <div className="flex bg-slate-100 dark:bg-slate-900 p-1 rounded-lg">
+            {PRACTICE_BANDS.map(b => (
+              <button key={b.id} onClick={() => { setBandId(b.id); setVisible(RECOMMENDATIONS_PAGE_SIZE); }} className={`px-3 py-1 text-xs rounded-md transition-all ${bandId === b.id ? 'bg-white dark:bg-slate-700 shadow-sm text-emerald-500 font-bold' : 'text-slate-500'}`}>
+                {b.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <p className="text-[11px] text-slate-400 mb-3">
+          {level === null ? 'No rated solves yet, so every rating is shown.' : band.min === undefined ? `Your level: ${level}.` : `Your level: ${level}, showing ${level + band.min}–${level + band.max}.`}
+        </p>
+        {weakTags.length > 0 && (
+          <div className="flex flex-wrap items-center gap-1.5 mb-4">
+            <span className="text-[11px] text-slate-400 mr-1">Weak topics:</span>
+            {weakTags.map(tag => (
+              <button key={tag} onClick={() => toggleTag(tag)} className={`text-[11px] px-2 py-0.5 rounded-full border transition-colors ${selectedTags.includes(tag) ? 'border-emerald-500 bg-emerald-500/10 text-emerald-500 font-bold' : 'border-slate-200 dark:border-slate-700 text-slate-500 hover:text-emerald-500'}`}>
+                {tag}
+              </button>
+            ))}
+          </div>
+        )}
+        {rivals.length === 0 ? <p className="text-xs text-slate-500">No other rivals have Codeforces data yet.</p> : filtered.length === 0 ? <p className="text-xs text-slate-500">Nothing matches these filters.</p> : (
+          <>
+            <div className="divide-y divide-slate-100 dark:divide-slate-700/50">
+              {filtered.slice(0, visible).map(p => (
+                <div key={p.id} className="py-2 flex items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <a href={problemUrl(p.id)} target="_blank" rel="noreferrer" className="text-sm font-semibold hover:text-emerald-500">{p.name}</a>
+                    <div className="text-[11px] text-slate-400">
+                      <span className="font-mono">{p.id}{p.rating ? ` · ${p.rating}` : ''}</span> · solved by {p.solvedBy.map(u => u.username).join(', ')}
+                    </div>
+                    {p.tags.length > 0 && <ProblemTags tags={p.tags} />}
+                  </div>
+                  {!readOnly && (
+                    <Button onClick={() => addToQueue(p)} variant="ghost" size="sm" disabled={queuedIds.has(p.id)}>
+                      {queuedIds.has(p.id) ? 'Queued' : <><Plus size={14} /> Queue</>}
+                    </Button>
+                  )}
+                </div>
+              ))}
+            </div>
+            {filtered.length > visible && (
+              <button onClick={() => setVisible(visible + RECOMMENDATIONS_PAGE_SIZE)} className="mt-3 text-xs text-emerald-500 font-bold hover:underline">
+                Show more ({filtered.length - visible} left)
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const DUEL_STATUS = {
+  upcoming: { label: 'Upcoming', className: 'bg-sky-500/10 text-sky-500' },
+  running: { label: 'Live', className: 'bg-red-500/10 text-red-500' },
+  finished: { label: 'Finished', className: 'bg-slate-500/10 text-slate-400' }
+};
+
+const DuelStatusBadge = ({ duel }) => {
+  const status = DUEL_STATUS[getDuelStatus(duel)];
+  return <span className={`text-[9px] uppercase font-bold px-1.5 py-0.5 rounded ${status.className}`}>{status.label}</span>;
 };
 
-// 1. Codeforces Fetcher
-const fetchCodeforcesData = async (handle) => {
-  try {
-    const response = await fetch(`https://codeforces.com/api/user.status?handle=${handle}&from=1&count=500`);
-    const data = await response.json();
-    if (data.status !== "OK") throw new Error("User not found");
-    
-    const dailySolved = {};
-    const totalUnique = new Set();
-    
-    data.result.forEach(sub => {
-      if (sub.verdict === "OK") {
-        const problemId = `${sub.problem.contestId}-${sub.problem.index}`;
-        totalUnique.add(problemId);
-        
-        // Safety check for creationTimeSeconds
-        if (sub.creationTimeSeconds) {
-            const date = getLocalDate(sub.creationTimeSeconds);
-            if (!dailySolved[date]) {
-              dailySolved[date] = new Set();
-            }
-            dailySolved[date].add(problemId);
-        }
+// Start times are entered in the browser's local time
+const toDateTimeInput = (ms) => {
+  const d = new Date(ms);
+  return `${toDateKey(d)}T${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+};
+
+const DuelForm = ({ users, duelCount, onCreate, onCancel }) => {
+  const cfUsers = users.filter(u => getScoredHandles(u, 'codeforces').length > 0);
+  const [name, setName] = useState(`Duel #${duelCount + 1}`);
+  const [mode, setMode] = useState('rating');
+  const [idsText, setIdsText] = useState('');
+  const [range, setRange] = useState({ minRating: 1200, maxRating: 1600, count: 3 });
+  const [participantIds, setParticipantIds] = useState(cfUsers.map(u => u.id));
+  const [startsNow, setStartsNow] = useState(true);
+  const [startInput, setStartInput] = useState(() => toDateTimeInput(Date.now() + 60 * 60 * 1000));
+  const [durationMinutes, setDurationMinutes] = useState(DUEL_DURATIONS[1].minutes);
+  const [status, setStatus] = useState(null);
+  const inputClass = "bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-lg px-3 py-1.5 text-sm outline-none focus:ring-2 focus:ring-emerald-500";
+
+  const toggleParticipant = (id) => setParticipantIds(participantIds.includes(id) ? participantIds.filter(p => p !== id) : [...participantIds, id]);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const participants = cfUsers.filter(u => participantIds.includes(u.id));
+    if (participants.length < 2) return setStatus({ error: 'Pick at least two rivals with a Codeforces handle.' });
+    const startAt = startsNow ? Date.now() : new Date(startInput).getTime();
+    if (!startsNow && !(startAt > Date.now())) return setStatus({ error: 'Pick a start time in the future, or start now.' });
+
+    let problems;
+    if (mode === 'ids') {
+      // Names of problems a participant already solved are known without a request
+      const known = Object.assign({}, ...participants.map(u => u.data?.codeforces?.problems || {}));
+      problems = parseProblemIds(idsText).map(id => ({ id, name: known[id]?.name, rating: known[id]?.rating }));
+      if (problems.length === 0) return setStatus({ error: 'No problem IDs found. Use the form 1900A or paste problem links.' });
+    } else {
+      if (range.minRating > range.maxRating) return setStatus({ error: 'The minimum rating is above the maximum.' });
+      setStatus({ busy: true });
+      try {
+        problems = pickDuelProblems(await fetchCodeforcesProblemset(), range, participants);
+      } catch (err) {
+        return setStatus({ error: `Could not load the problemset: ${err.message}` });
       }
-    });
+      if (problems.length === 0) return setStatus({ error: 'No unsolved problems in that rating range.' });
+    }
 
-    const history = Object.keys(dailySolved).map(date => ({
-      date,
-      count: dailySolved[date].size
-    }));
-    
-    return {
-      totalSolved: totalUnique.size,
-      history: history
-    };
-  } catch (err) {
-    console.error("CF Fetch error:", err);
-    return null;
-  }
-};
+    onCreate({ name: name.trim() || `Duel #${duelCount + 1}`, problems, participantIds: participants.map(u => u.id), startAt, endAt: startAt + durationMinutes * 60 * 1000 });
+  };
 
-// 2. LeetCode Fetcher
-const fetchLeetCodeData = async (handle) => {
-  try {
-    const response = await fetch(`https://leetcode-stats-api.herokuapp.com/${handle}`);
-    const data = await response.json();
+  return (
+    <div className="p-5 mb-4 rounded-xl border border-emerald-500/20 bg-emerald-500/[0.02]">
+      <form onSubmit={submit} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-xs font-bold text-slate-500 uppercase mb-1">Name</label>
+            <input className={`${inputClass} w-full`} value={name} onChange={e => setName(e.target.value)} />
+          </div>
+          <div>
+            <label className="block text-xs font-bold text-slate-500 uppercase mb-1">Problems</label>
+            <div className="flex bg-slate-100 dark:bg-slate-900 p-1 rounded-lg">
+              {[['rating', 'By rating'], ['ids', 'By ID']].map(([id, label]) => (
+                <button key={id} type="button" onClick={() => setMode(id)} className={`flex-1 px-3 py-1.5 text-xs rounded-md transition-all ${mode === id ? 'bg-white dark:bg-slate-700 shadow-sm text-emerald-500 font-bold' : 'text-slate-500'}`}>
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
 
-    if (data.status !== "success") throw new Error("User not found or API error");
+        {mode === 'ids' ? (
+          <textarea className={`${inputClass} w-full font-mono`} rows={2} placeholder="1900A, 1901B, https://codeforces.com/contest/1902/problem/C" value={idsText} onChange={e => setIdsText(e.target.value)} />
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <NumberField label="Min rating" value={range.minRating} min={800} onChange={minRating => setRange({ ...range, minRating })} />
+            <NumberField label="Max rating" value={range.maxRating} min={800} onChange={maxRating => setRange({ ...range, maxRating })} />
+            <NumberField label="Problems" value={range.count} min={1} onChange={count => setRange({ ...range, count })} />
+          </div>
+        )}
 
-    const history = Object.entries(data.submissionCalendar || {}).map(([ts, count]) => ({
-      date: getLocalDate(parseInt(ts)),
-      count: count
-    }));
+        <div>
+          <label className="block text-xs font-bold text-slate-500 uppercase mb-2">Participants</label>
+          {cfUsers.length < 2 ? <p className="text-xs text-slate-400">Duels need at least two rivals with a Codeforces handle.</p> : (
+            <div className="flex flex-wrap gap-2">
+              {cfUsers.map(u => (
+                <button key={u.id} type="button" onClick={() => toggleParticipant(u.id)} className={`px-3 py-1.5 rounded-lg text-xs font-bold border-2 transition-all ${participantIds.includes(u.id) ? 'border-emerald-500 text-emerald-500 bg-emerald-500/10' : 'border-slate-200 dark:border-slate-700 text-slate-500'}`}>
+                  {u.username}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
 
-    return {
-      totalSolved: data.totalSolved,
-      history: history
-    };
-  } catch (err) {
-    console.error("LC Fetch error:", err);
-    return null;
-  }
-};
+        <div className="flex flex-wrap items-end gap-4">
+          <div>
+            <label className="block text-xs font-bold text-slate-500 uppercase mb-1">Start</label>
+            <div className="flex items-center gap-2">
+              <select className={inputClass} value={startsNow ? 'now' : 'later'} onChange={e => setStartsNow(e.target.value === 'now')}>
+                <option value="now">Now</option>
+                <option value="later">At...</option>
+              </select>
+              {!startsNow && <input type="datetime-local" className={inputClass} value={startInput} onChange={e => setStartInput(e.target.value)} />}
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs font-bold text-slate-500 uppercase mb-1">Duration</label>
+            <select className={inputClass} value={durationMinutes} onChange={e => setDurationMinutes(Number(e.target.value))}>
+              {DUEL_DURATIONS.map(d => <option key={d.minutes} value={d.minutes}>{d.label}</option>)}
+            </select>
+          </div>
+        </div>
 
-const extractHandle = (input, platform) => {
-  if (!input) return '';
-  const cleanInput = input.trim();
-  
-  if (platform === 'LeetCode') {
-    const match = cleanInput.match(/leetcode\.com\/(?:u\/)?([^\/]+)/);
-    return match ? match[1] : cleanInput;
-  }
-  
-  if (platform === 'Codeforces') {
-    const match = cleanInput.match(/codeforces\.com\/profile\/([^\/]+)/);
-    return match ? match[1] : cleanInput;
-  }
-  
-  return cleanInput;
+        {status?.error && <p className="text-xs text-red-500">{status.error}</p>}
+        <div className="flex justify-end gap-2">
+          <Button onClick={onCancel} variant="ghost" size="sm">Cancel</Button>
+          <Button type="submit" size="sm" disabled={status?.busy}><Swords size={14} /> {status?.busy ? 'Picking problems...' : 'Start duel'}</Button>
+        </div>
+      </form>
+    </div>
+  );
 };
 
-// --- DATE UTILS ---
+// Running and upcoming duels first, then the most recent finished ones
+const DuelList = ({ duels, users, onOpen }) => {
+  const order = { running: 0, upcoming: 1, finished: 2 };
+  const sorted = [...duels].sort((a, b) => order[getDuelStatus(a)] - order[getDuelStatus(b)] || b.startAt - a.startAt);
+  if (sorted.length === 0) return <p className="text-xs text-slate-400">No duels yet. Challenge your rivals to a set of Codeforces problems.</p>;
 
-const getStartOfWeek = () => {
-  const now = new Date();
-  const d = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  const day = d.getDay(); 
-  const diff = d.getDate() - day + (day === 0 ? -6 : 1); 
-  d.setDate(diff);
-  d.setHours(0, 0, 0, 0);
-  return d;
+  return (
+    <div className="divide-y divide-slate-100 dark:divide-slate-700/50">
+      {sorted.map(duel => {
+        const winner = getDuelWinner(duel, users);
+        return (
+          <button key={duel.id} onClick={() => onOpen(duel.id)} className="w-full py-2 flex items-center justify-between gap-3 text-left hover:text-emerald-500">
+            <div>
+              <div className="text-sm font-semibold flex items-center gap-2">{duel.name} <DuelStatusBadge duel={duel} /></div>
+              <div className="text-[11px] text-slate-400">
+                {duel.problems.length} problem{duel.problems.length === 1 ? '' : 's'} · {duel.participantIds.map(id => findById(users, id)?.username || 'Removed rival').join(' vs ')}
+              </div>
+            </div>
+            <div className="text-[11px] text-slate-400 text-right whitespace-nowrap">
+              {winner ? <span className="font-bold text-amber-500 flex items-center gap-1"><Trophy size={12} /> {winner.user?.username}</span> : new Date(duel.startAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+            </div>
+          </button>
+        );
+      })}
+    </div>
+  );
 };
 
-const isDateInCurrentWeek = (dateStr) => {
-  if (!dateStr) return false;
-  const [y, m, d] = dateStr.split('-').map(Number);
-  const date = new Date(y, m - 1, d);
-  
-  const startOfWeek = getStartOfWeek();
-  const endOfWeek = new Date(startOfWeek);
-  endOfWeek.setDate(endOfWeek.getDate() + 7);
-  
-  return date.getTime() >= startOfWeek.getTime() && date.getTime() < endOfWeek.getTime();
-};
+// Finished duels one rival took part in, with their place in each
+const DuelHistory = ({ duels, user, users, onOpen }) => {
+  const history = duels
+    .filter(d => isDuelFinal(d) && d.participantIds.some(id => String(id) === String(user.id)))
+    .sort((a, b) => b.startAt - a.startAt)
+    .map(duel => {
+      const rows = rankDuel(duel, users);
+      const place = rows.findIndex(r => String(r.userId) === String(user.id)) + 1;
+      return { duel, row: rows[place - 1], place, of: rows.length, won: getDuelWinner(duel, users)?.userId === rows[place - 1].userId };
+    });
+  if (history.length === 0) return null;
+  const wins = history.filter(h => h.won).length;
 
-// --- COMPONENTS ---
+  return (
+    <Card className="p-6 mb-8">
+      <h3 className="font-bold mb-1 flex items-center gap-2"><Swords size={18} className="text-emerald-500"/> Duels</h3>
+      <p className="text-xs text-slate-400 mb-4">Won {wins} of {history.length} finished duel{history.length === 1 ? '' : 's'}.</p>
+      <div className="divide-y divide-slate-100 dark:divide-slate-700/50">
+        {history.map(({ duel, row, place, of, won }) => (
+          <button key={duel.id} onClick={() => onOpen(duel.id)} className="w-full py-2 flex items-center justify-between gap-3 text-left text-sm hover:text-emerald-500">
+            <span className="flex items-center gap-2">
+              {won ? <Trophy size={14} className="text-amber-500" /> : <span className="w-3.5" />}
+              <span className="font-semibold">{duel.name}</span>
+              <span className="text-[11px] text-slate-400">{new Date(duel.startAt).toLocaleDateString()}</span>
+            </span>
+            <span className="text-xs text-slate-500 whitespace-nowrap">#{place} of {of} · {row.solved}/{duel.problems.length} solved</span>
+          </button>
+        ))}
+      </div>
+    </Card>
+  );
+};
 
-const Card = ({ children, className = "", onClick }) => (
-  <div 
-    onClick={onClick} 
-    className={`bg-white dark:bg-slate-800 rounded-xl shadow-sm border border-slate-200 dark:border-slate-700 transition-all ${onClick ? 'cursor-pointer hover:shadow-md hover:border-emerald-500/30' : ''} ${className}`}
-  >
-    {children}
+// Each linked account's own numbers. Excluded accounts keep syncing but don't count
+// towards the rival's totals or scores.
+const AccountList = ({ user, readOnly, onToggleExcluded }) => (
+  <div className="space-y-4">
+    {getLinkedPlatforms(user).map(platform => {
+      const scored = getScoredHandles(user, platform.id);
+      const overlap = scored.length > 1
+        ? sumBy(scored, h => user.accountData?.[platform.id]?.[h]?.totalSolved) - (user.data?.[platform.id]?.totalSolved || 0)
+        : 0;
+      return (
+        <div key={platform.id}>
+          <div className="divide-y divide-slate-100 dark:divide-slate-700/50">
+            {getHandles(user, platform.id).map(handle => {
+              const data = user.accountData?.[platform.id]?.[handle];
+              const status = user.syncStatus?.[platform.id]?.[handle];
+              const excluded = isHandleExcluded(user, platform.id, handle);
+              return (
+                <div key={handle} className="py-2 flex flex-wrap items-center justify-between gap-3">
+                  <div className={`flex items-center gap-2 min-w-0 ${excluded ? 'opacity-60' : ''}`}>
+                    <PlatformBadge type={platform.id} />
+                    <a href={platform.profileUrl(handle)} target="_blank" rel="noreferrer" className="font-mono text-sm text-slate-600 dark:text-slate-300 truncate hover:text-emerald-500">{handle}</a>
+                    {excluded && <span className="text-[9px] uppercase font-bold px-1.5 py-0.5 rounded bg-slate-100 dark:bg-slate-700 text-slate-400">Not counted</span>}
+                  </div>
+                  <div className="flex items-center gap-5 text-right">
+                    <div className={excluded ? 'opacity-60' : ''}>
+                      <div className="text-sm font-bold text-slate-700 dark:text-slate-200">{data?.totalSolved ?? '—'}</div>
+                      <div className="text-[9px] uppercase font-bold text-slate-400">Solved</div>
+                    </div>
+                    {platform.ratingTiers && (
+                      <div className={excluded ? 'opacity-60' : ''}>
+                        <RatingValue platform={platform} rating={data?.contests?.current} className="text-sm font-bold" />
+                        <div className="text-[9px] uppercase font-bold text-slate-400">Rating</div>
+                      </div>
+                    )}
+                    <div className={`w-20 text-[11px] ${status?.error ? 'text-red-500' : 'text-slate-400'}`} title={status?.error || undefined}>
+                      {status?.error ? 'Sync failed' : status?.lastSyncedAt ? `Synced ${formatTimeAgo(status.lastSyncedAt)}` : 'Not synced'}
+                    </div>
+                    {!readOnly && (
+                      <Button onClick={() => onToggleExcluded(platform.id, handle)} variant={excluded ? 'secondary' : 'outline'} size="sm">{excluded ? 'Count' : 'Exclude'}</Button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+          {overlap > 0 && (
+            <p className="text-[11px] text-slate-400 mt-1">
+              {overlap} {platform.name} problem{overlap === 1 ? ' was' : 's were'} solved on more than one account and {overlap === 1 ? 'counts' : 'count'} once.
+            </p>
+          )}
+          {scored.length > 1 && platform.partialProblemList && (
+            <p className="text-[11px] text-slate-400 mt-1">
+              {platform.name} only reports each account's recent solves, so older problems solved on more than one account can't be matched and may count twice.
+            </p>
+          )}
+        </div>
+      );
+    })}
   </div>
 );
 
-const Button = ({ children, onClick, variant = "primary", className = "", disabled = false, size = "md", type = "button" }) => {
-  const baseStyle = "rounded-lg font-medium transition-all duration-200 flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed";
-  const sizes = { sm: "px-3 py-1.5 text-xs", md: "px-4 py-2 text-sm", lg: "px-6 py-3 text-base" };
-  const variants = {
-    primary: "bg-emerald-500 hover:bg-emerald-600 text-white shadow-emerald-500/20 shadow-lg",
-    secondary: "bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-200 dark:hover:bg-slate-600",
-    outline: "border-2 border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-400 hover:border-emerald-500 hover:text-emerald-500",
-    danger: "text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20",
-    ghost: "text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800"
-  };
-  return <button type={type} onClick={onClick} className={`${baseStyle} ${sizes[size]} ${variants[variant]} ${className}`} disabled={disabled}>{children}</button>;
-};
-
-const PlatformBadge = ({ type }) => {
-  if (type === 'LeetCode') return <span className="text-[10px] bg-yellow-500/10 text-yellow-600 dark:text-yellow-400 px-1.5 py-0.5 rounded border border-yellow-500/20">LeetCode</span>;
-  if (type === 'Codeforces') return <span className="text-[10px] bg-blue-500/10 text-blue-600 dark:text-blue-400 px-1.5 py-0.5 rounded border border-blue-500/20">Codeforces</span>;
-  return null;
-};
-
 // --- VIEWS ---
 
-const ProfileView = ({ user, onBack, onUpdateUser, onDeleteUser }) => {
+const ProfileView = ({ user, progress, range, weekPeriod, timeZone, readOnly, isMe, duels, users, isSyncing, syncMaxAge, onBack, onToggleMe, onOpenDuel, onChangeRange, onSaveProfile, onUpdateGoals, onUpdatePractice, onToggleHandleExcluded, onSync, onDeleteUser, onCompare }) => {
   // HOOKS MUST BE AT THE TOP - Unconditional
-  const [timeframe, setTimeframe] = useState('Month');
   const [isEditing, setIsEditing] = useState(false);
   
   // Initialize state with user data (safe access)
   const [editName, setEditName] = useState(user?.username || '');
-  const [lcHandle, setLcHandle] = useState(user?.handles?.leetcode || '');
-  const [cfHandle, setCfHandle] = useState(user?.handles?.codeforces || '');
-  const [isSyncing, setIsSyncing] = useState(false);
+  const [editHandles, setEditHandles] = useState(formatHandles(user?.handles));
+
+  const dailyActivity = useMemo(() => getDailyActivity(user), [user]);
 
   const combinedHistory = useMemo(() => {
     if (!user) return [];
-    const historyMap = {};
-    
-    const merge = (hist) => {
-      if (!hist) return;
-      hist.forEach(entry => {
-        historyMap[entry.date] = (historyMap[entry.date] || 0) + entry.count;
-      });
-    };
-
-    merge(user.data?.leetcode?.history);
-    merge(user.data?.codeforces?.history);
 
-    const now = new Date();
-    const cutoff = new Date();
-    if (timeframe === 'Week') cutoff.setDate(now.getDate() - 7);
-    if (timeframe === 'Month') cutoff.setDate(now.getDate() - 30);
-    if (timeframe === 'Year') cutoff.setDate(now.getDate() - 365);
+    const cutoff = PROFILE_RANGES.find(r => r.id === range).getStart(getToday(timeZone), weekPeriod);
 
-    return Object.keys(historyMap)
-      .filter(dateStr => {
-         const [y, m, d] = dateStr.split('-').map(Number);
-         return new Date(y, m - 1, d) >= cutoff;
-      })
+    return Object.keys(dailyActivity)
+      .filter(dateStr => parseDateKey(dateStr) >= cutoff)
       .sort((a, b) => new Date(b) - new Date(a))
-      .map(date => ({ date, count: historyMap[date] }));
-  }, [user, timeframe]);
+      .map(date => ({ date, count: dailyActivity[date].count }));
+  }, [user, dailyActivity, range, weekPeriod, timeZone]);
 
   if (!user) return null; // Safe to return null after hooks if user is missing
 
-  const saveProfile = async () => {
-    setIsSyncing(true);
-    const updates = { 
-      username: editName,
-      handles: { leetcode: extractHandle(lcHandle, 'LeetCode'), codeforces: extractHandle(cfHandle, 'Codeforces') },
-      data: { ...user.data }
-    };
-
-    if (updates.handles.leetcode && updates.handles.leetcode !== user.handles?.leetcode) {
-      const data = await fetchLeetCodeData(updates.handles.leetcode);
-      if (data) updates.data.leetcode = data;
-    }
-    if (updates.handles.codeforces && updates.handles.codeforces !== user.handles?.codeforces) {
-      const data = await fetchCodeforcesData(updates.handles.codeforces);
-      if (data) updates.data.codeforces = data;
-    }
+  const ratingSeries = getRatingSeries(user);
 
-    onUpdateUser(user.id, updates);
+  const saveProfile = () => {
+    onSaveProfile(user.id, editName, extractHandles(editHandles));
     setIsEditing(false);
-    setIsSyncing(false);
   };
 
-  const manualSync = async () => {
-    setIsSyncing(true);
-    const updates = { data: { ...user.data } };
-    
-    if (user.handles?.leetcode) {
-      const data = await fetchLeetCodeData(user.handles.leetcode);
-      if (data) updates.data.leetcode = data;
-    }
-    if (user.handles?.codeforces) {
-      const data = await fetchCodeforcesData(user.handles.codeforces);
-      if (data) updates.data.codeforces = data;
-    }
-    
-    onUpdateUser(user.id, updates);
-    setIsSyncing(false);
-  };
-
-  const totalSolved = (user.data?.leetcode?.totalSolved || 0) + (user.data?.codeforces?.totalSolved || 0);
+  const totalSolved = getTotalSolved(user);
 
   return (
     <div className="animate-in slide-in-from-bottom-4 fade-in duration-500">
@@ -259,257 +3807,1362 @@ const ProfileView = ({ user, onBack, onUpdateUser, onDeleteUser }) => {
                     onChange={(e) => setEditName(e.target.value)}
                     placeholder="Display Name"
                   />
-                  <div className="relative">
-                     <input 
-                      className="w-full text-sm font-mono bg-slate-100 dark:bg-slate-900 border border-slate-300 dark:border-slate-700 rounded px-3 py-1.5 pl-8 outline-none focus:ring-2 focus:ring-yellow-500"
-                      value={lcHandle}
-                      onChange={(e) => setLcHandle(e.target.value)}
-                      placeholder="LeetCode Handle/URL"
-                    />
-                    <Activity size={14} className="absolute left-2.5 top-2 text-slate-400" />
-                  </div>
-                  <div className="relative">
-                    <input 
-                      className="w-full text-sm font-mono bg-slate-100 dark:bg-slate-900 border border-slate-300 dark:border-slate-700 rounded px-3 py-1.5 pl-8 outline-none focus:ring-2 focus:ring-blue-500"
-                      value={cfHandle}
-                      onChange={(e) => setCfHandle(e.target.value)}
-                      placeholder="Codeforces Handle/URL"
-                    />
-                    <Terminal size={14} className="absolute left-2.5 top-2 text-slate-400" />
-                  </div>
+                  {PLATFORMS.map(p => (
+                    <div key={p.id} className="relative">
+                      <input 
+                        className={`w-full text-sm font-mono bg-slate-100 dark:bg-slate-900 border border-slate-300 dark:border-slate-700 rounded px-3 py-1.5 pl-8 outline-none focus:ring-2 ${p.ringClass}`}
+                        value={editHandles[p.id] || ''}
+                        onChange={(e) => setEditHandles({ ...editHandles, [p.id]: e.target.value })}
+                        placeholder={`${p.name} Handles/URLs, comma separated`}
+                      />
+                      <p.icon size={14} className="absolute left-2.5 top-2 text-slate-400" />
+                    </div>
+                  ))}
                 </div>
               ) : (
                 <>
-                  <h1 className="text-2xl font-bold text-slate-800 dark:text-white mb-2">{user.username}</h1>
+                  <h1 className="text-2xl font-bold text-slate-800 dark:text-white mb-2 flex items-center gap-2">{user.username}{isMe && <MeBadge />}</h1>
                   <div className="flex flex-wrap gap-2">
-                    {user.handles?.leetcode && (
-                      <div className="flex items-center gap-1.5 text-xs bg-slate-100 dark:bg-slate-700 px-2 py-1 rounded">
-                        <PlatformBadge type="LeetCode" />
-                        <span className="font-mono text-slate-600 dark:text-slate-300">{user.handles.leetcode}</span>
-                      </div>
-                    )}
-                    {user.handles?.codeforces && (
-                      <div className="flex items-center gap-1.5 text-xs bg-slate-100 dark:bg-slate-700 px-2 py-1 rounded">
-                        <PlatformBadge type="Codeforces" />
-                        <span className="font-mono text-slate-600 dark:text-slate-300">{user.handles.codeforces}</span>
-                      </div>
-                    )}
+                    {getLinkedAccounts(user).map(({ platform: p, handle }) => (
+                      <a key={`${p.id}:${handle}`} href={p.profileUrl(handle)} target="_blank" rel="noreferrer" className="flex items-center gap-1.5 text-xs bg-slate-100 dark:bg-slate-700 px-2 py-1 rounded hover:ring-1 hover:ring-emerald-500/40">
+                        <PlatformBadge type={p.id} />
+                        <span className="font-mono text-slate-600 dark:text-slate-300">{handle}</span>
+                        <ExternalLink size={10} className="text-slate-400" />
+                      </a>
+                    ))}
                   </div>
+                  {!readOnly && <SyncStatus user={user} maxAgeMs={syncMaxAge} isSyncing={isSyncing} className="mt-3" />}
                 </>
               )}
             </div>
           </div>
-          <div className="flex flex-row md:flex-col items-end gap-2">
-            {isEditing ? (
-              <Button onClick={saveProfile} size="sm" disabled={isSyncing}>{isSyncing ? 'Saving...' : 'Save Profile'}</Button>
-            ) : (
-              <>
-                 <Button onClick={manualSync} variant="outline" size="sm" disabled={isSyncing}>
-                    <RefreshCw size={14} className={isSyncing ? "animate-spin" : ""} /> Sync Data
-                 </Button>
-                 <div className="flex gap-2">
-                    <Button onClick={() => setIsEditing(true)} variant="secondary" size="sm"><Edit2 size={14}/> Edit</Button>
-                    <Button onClick={() => onDeleteUser(user.id)} variant="danger" size="sm" className="bg-red-500/10"><Trash2 size={14}/></Button>
-                 </div>
-              </>
+          <div className="flex flex-row md:flex-col items-end gap-2">
+            {isEditing ? (
+              <Button onClick={saveProfile} size="sm">Save Profile</Button>
+            ) : (
+              <>
+                 {!readOnly && (
+                   <Button onClick={() => onSync(user.id)} variant="outline" size="sm" disabled={isSyncing}>
+                      <RefreshCw size={14} className={isSyncing ? "animate-spin" : ""} /> {isSyncing ? 'Syncing...' : 'Sync Data'}
+                   </Button>
+                 )}
+                 <div className="flex gap-2">
+                    {!readOnly && (
+                      <Button onClick={() => onToggleMe(user.id)} variant={isMe ? "primary" : "secondary"} size="sm" title={isMe ? 'Stop following this rival as you' : 'Follow your rank and get overtake notifications'}>
+                        <UserCheck size={14}/> {isMe ? "That's me" : 'This is me'}
+                      </Button>
+                    )}
+                    <Button onClick={() => onCompare(user.id)} variant="secondary" size="sm"><GitCompare size={14}/> Compare</Button>
+                    {!readOnly && <Button onClick={() => setIsEditing(true)} variant="secondary" size="sm"><Edit2 size={14}/> Edit</Button>}
+                    {!readOnly && <Button onClick={() => onDeleteUser(user.id)} variant="danger" size="sm" className="bg-red-500/10"><Trash2 size={14}/></Button>}
+                 </div>
+              </>
+            )}
+          </div>
+        </div>
+      </Card>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+        <Card className="p-4 text-center">
+            <div className="text-[10px] uppercase font-bold text-slate-400 tracking-widest mb-1">Total Solved</div>
+            <div className="text-3xl font-black text-slate-800 dark:text-white">{totalSolved}</div>
+        </Card>
+        {PLATFORMS.map(p => (
+          <Card key={p.id} className="p-4 text-center">
+               <div className="text-[10px] uppercase font-bold text-slate-400 tracking-widest mb-1">{p.shortName} Solved</div>
+               <div className={`text-xl font-bold ${p.textClass}`}>{user.data?.[p.id]?.totalSolved || 0}</div>
+          </Card>
+        ))}
+        <Card className="p-4 text-center">
+             <div className="text-[10px] uppercase font-bold text-slate-400 tracking-widest mb-1">Activity</div>
+             <div className="text-xl font-medium text-slate-500">{combinedHistory.length} days</div>
+        </Card>
+        <Card className="p-4 text-center">
+             <div className="text-[10px] uppercase font-bold text-slate-400 tracking-widest mb-1">Streak</div>
+             <div className="text-xl font-bold text-orange-500 flex items-center justify-center gap-1"><Flame size={18} />{progress?.streaks.current || 0}</div>
+             <div className="text-[10px] text-slate-400">Longest {progress?.streaks.longest || 0} days</div>
+        </Card>
+      </div>
+
+      {!readOnly && getLinkedPlatforms(user).length > 0 && (
+        <Card className="p-6 mb-8">
+          <h3 className="font-bold flex items-center gap-2 mb-4"><LinkIcon size={18} className="text-emerald-500"/> Accounts</h3>
+          <AccountList user={user} readOnly={readOnly} onToggleExcluded={onToggleHandleExcluded} />
+        </Card>
+      )}
+
+      {progress && (
+        <Card className="p-6 mb-8">
+          <h3 className="font-bold flex items-center gap-2 mb-6"><Target size={18} className="text-emerald-500"/> Goals</h3>
+          <GoalsPanel user={user} goals={progress.goals} readOnly={readOnly} onChange={onUpdateGoals} />
+        </Card>
+      )}
+
+      <DuelHistory duels={duels} user={user} users={users} onOpen={onOpenDuel} />
+
+      {progress && (
+        <Card className="p-6 mb-8">
+          <div className="flex items-center justify-between mb-6">
+            <h3 className="font-bold flex items-center gap-2"><Award size={18} className="text-emerald-500"/> Achievements</h3>
+            <span className="text-xs text-slate-400">{progress.achievements.filter(a => a.unlocked).length} / {progress.achievements.length} unlocked</span>
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-3">
+            {progress.achievements.map(a => (
+              <div key={a.id} className={`flex items-center gap-3 p-3 rounded-lg border ${a.unlocked ? 'border-amber-500/30 bg-amber-500/5' : 'border-slate-100 dark:border-slate-800 opacity-50'}`}>
+                <div className={`w-9 h-9 shrink-0 rounded-lg flex items-center justify-center ${a.unlocked ? 'bg-amber-500 text-white' : 'bg-slate-100 dark:bg-slate-800 text-slate-400'}`}>
+                  {a.unlocked ? <a.icon size={16} /> : <Lock size={14} />}
+                </div>
+                <div className="min-w-0">
+                  <div className="font-bold text-sm truncate">{a.title}</div>
+                  <div className="text-[11px] text-slate-500">{a.description}</div>
+                  {a.unlocked && <div className="text-[10px] text-amber-600 dark:text-amber-400 mt-0.5">{a.unlockedAt ? `Unlocked ${parseDateKey(a.unlockedAt).toLocaleDateString()}` : 'Unlocked'}</div>}
+                </div>
+              </div>
+            ))}
+          </div>
+        </Card>
+      )}
+
+      {ratingSeries.length > 0 && (
+        <Card className="p-6 mb-8">
+          <h3 className="font-bold flex items-center gap-2 mb-6"><LineChartIcon size={18} className="text-emerald-500"/> Contest Rating</h3>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+            {RATED_PLATFORMS.filter(p => user.data?.[p.id]?.contests?.current != null).map(p => {
+              const { current, peak, history } = user.data[p.id].contests;
+              const tier = getRatingTier(p, current);
+              return (
+                <div key={p.id} className="p-4 bg-slate-50 dark:bg-slate-900/40 rounded-lg border border-slate-100 dark:border-slate-800">
+                  <div className="flex items-center justify-between mb-2">
+                    <PlatformBadge type={p.id} />
+                    <span className="text-[10px] text-slate-400">{history.length} contests</span>
+                  </div>
+                  <div className="flex items-end justify-between">
+                    <div>
+                      <RatingValue platform={p} rating={current} className="text-2xl font-black" />
+                      <div className={`text-xs font-medium ${tier.textClass}`}>{tier.title}</div>
+                    </div>
+                    <div className="text-right text-xs text-slate-400">
+                      Peak <RatingValue platform={p} rating={peak} className="font-bold" />
+                      <div>{getRatingTier(p, peak).title}</div>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+          <LineGraph series={ratingSeries} />
+        </Card>
+      )}
+
+      <Card className="p-6 mb-8">
+        <h3 className="font-bold flex items-center gap-2 mb-6"><Flame size={18} className="text-emerald-500"/> Contributions</h3>
+        <ActivityHeatmap activity={dailyActivity} platforms={getLinkedPlatforms(user)} timeZone={timeZone} weekPeriod={weekPeriod} />
+      </Card>
+
+      <Card className="p-6 mb-8">
+        <h3 className="font-bold flex items-center gap-2 mb-6"><Tags size={18} className="text-emerald-500"/> Topics & Difficulty</h3>
+        <ProblemBreakdown user={user} />
+      </Card>
+
+      <Card className="p-6 mb-8">
+        <h3 className="font-bold flex items-center gap-2 mb-6"><Rocket size={18} className="text-emerald-500"/> Practice Queue</h3>
+        <PracticePanel user={user} users={users} readOnly={readOnly} onChange={onUpdatePractice} />
+      </Card>
+
+      <Card className="p-6 mb-8">
+        <h3 className="font-bold flex items-center gap-2 mb-6"><ListChecks size={18} className="text-emerald-500"/> Solved Problems</h3>
+        <SolvedProblemsTable user={user} timeZone={timeZone} />
+      </Card>
+
+      <Card className="p-6">
+        <div className="flex items-center justify-between mb-8">
+          <h3 className="font-bold flex items-center gap-2"><CalendarIcon size={18} className="text-emerald-500"/> Activity Log</h3>
+          <div className="flex bg-slate-100 dark:bg-slate-900 p-1 rounded-lg">
+            {PROFILE_RANGES.map(r => (
+              <button key={r.id} onClick={() => onChangeRange(r.id)} className={`px-4 py-1.5 text-xs rounded-md transition-all ${range === r.id ? 'bg-white dark:bg-slate-700 shadow-sm text-emerald-500 font-bold' : 'text-slate-500'}`}>
+                {r.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="space-y-2">
+          {combinedHistory.length === 0 ? <div className="py-12 text-center text-slate-500 text-sm">No activity found. Try syncing or check handles.</div> : 
+            combinedHistory.map((h, i) => (
+              <div key={i} className="flex items-center justify-between p-3 bg-slate-50 dark:bg-slate-900/40 rounded-lg border border-slate-100 dark:border-slate-800">
+                <div className="flex items-center gap-4">
+                  <div className="text-xs font-mono text-slate-500 w-20">{h.date}</div>
+                  <div className="font-bold text-sm">Solved {h.count} problem{h.count > 1 ? 's' : ''}</div>
+                </div>
+                {h.count >= 3 && <Award size={16} className="text-amber-500" />}
+              </div>
+            ))
+          }
+        </div>
+      </Card>
+    </div>
+  );
+};
+
+const CompareView = ({ users, selectedIds, progressByUser, scoringRules, weekPeriod, timeZone, onChangeSelection, onSelectUser, onBack }) => {
+  const [problemPlatformId, setProblemPlatformId] = useState('codeforces');
+  const selected = useMemo(() => (
+    selectedIds.map(id => users.find(u => u.id === id)).filter(Boolean)
+  ), [users, selectedIds]);
+  const colorOf = (user) => RIVAL_COLORS[users.indexOf(user) % RIVAL_COLORS.length];
+
+  const toggleUser = (id) => {
+    if (selectedIds.includes(id)) onChangeSelection(selectedIds.filter(x => x !== id));
+    else onChangeSelection([...selectedIds, id]);
+  };
+
+  const weeklyScores = useMemo(() => (
+    getArchivePeriods(selected, weekPeriod, timeZone).slice(1).map(weekStart => Object.fromEntries(
+      selected.map(u => [u.id, calculateWeeklyScore(u, scoringRules, weekStart).total])
+    ))
+  ), [selected, scoringRules, weekPeriod, timeZone]);
+
+  const problemPlatforms = PLATFORMS.filter(p => p.problemUrl && !p.partialProblemList);
+  const problemPlatform = getPlatform(problemPlatformId);
+  const uniqueProblems = useMemo(() => {
+    const solved = Object.fromEntries(selected.map(u => [u.id, getSolvedProblemIds(u.data?.[problemPlatformId])]));
+    const ratings = Object.assign({}, ...selected.map(u => u.data?.[problemPlatformId]?.ratings || {}));
+    return selected.map(u => ({
+      user: u,
+      problems: [...solved[u.id]]
+        .filter(id => selected.every(other => other.id === u.id || !solved[other.id].has(id)))
+        .sort((a, b) => (ratings[b] || 0) - (ratings[a] || 0))
+        .map(id => ({ id, rating: ratings[id] }))
+    }));
+  }, [selected, problemPlatformId]);
+
+  const pairs = selected.flatMap((a, i) => selected.slice(i + 1).map(b => [a, b]));
+  const maxFor = (getValue) => Math.max(...selected.map(getValue));
+
+  return (
+    <div className="animate-in slide-in-from-bottom-4 fade-in duration-500">
+      <button onClick={onBack} className="flex items-center gap-2 text-slate-500 hover:text-emerald-500 mb-6 transition-colors text-sm font-medium">
+        <ArrowLeft size={16} /> Dashboard
+      </button>
+
+      <Card className="p-6 mb-6">
+        <h1 className="text-2xl font-bold text-slate-800 dark:text-white mb-4 flex items-center gap-2"><GitCompare className="text-emerald-500" /> Head to Head</h1>
+        <div className="flex flex-wrap gap-2">
+          {users.map(u => (
+            <button 
+              key={u.id} 
+              onClick={() => toggleUser(u.id)} 
+              className={`px-3 py-1.5 rounded-lg text-xs font-bold border-2 transition-all ${selectedIds.includes(u.id) ? 'text-white' : 'border-slate-200 dark:border-slate-700 text-slate-500'}`}
+              style={selectedIds.includes(u.id) ? { backgroundColor: colorOf(u), borderColor: colorOf(u) } : {}}
+            >
+              {u.username}
+            </button>
+          ))}
+        </div>
+      </Card>
+
+      {selected.length < 2 ? (
+        <div className="p-12 text-center text-slate-500">Pick at least two rivals to compare.</div>
+      ) : (
+        <>
+          <Card className="p-6 mb-6">
+            <h3 className="font-bold flex items-center gap-2 mb-6"><TrendingUp size={18} className="text-emerald-500"/> Cumulative Solves</h3>
+            <LineGraph 
+              showDots={false}
+              series={selected.map(u => ({ key: u.id, label: u.username, color: colorOf(u), points: getCumulativeSolvePoints(u) }))} 
+            />
+          </Card>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+            <Card className="p-6">
+              <h3 className="font-bold mb-4">Platform Totals</h3>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-[10px] uppercase text-slate-400 text-left">
+                    <th className="py-1 font-bold">Platform</th>
+                    {selected.map(u => <th key={u.id} className="py-1 font-bold text-right" style={{ color: colorOf(u) }}>{u.username}</th>)}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100 dark:divide-slate-700/50">
+                  {[...PLATFORMS.map(p => ({ key: p.id, label: <PlatformBadge type={p.id} />, value: (u) => u.data?.[p.id]?.totalSolved || 0 })),
+                    { key: 'total', label: <span className="font-bold">Total</span>, value: getTotalSolved }
+                  ].map(row => (
+                    <tr key={row.key}>
+                      <td className="py-2">{row.label}</td>
+                      {selected.map(u => (
+                        <td key={u.id} className={`py-2 text-right font-mono ${row.value(u) > 0 && row.value(u) === maxFor(row.value) ? 'font-black text-emerald-500' : 'text-slate-500'}`}>{row.value(u)}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </Card>
+
+            <Card className="p-6">
+              <h3 className="font-bold mb-4 flex items-center gap-2"><Flame size={18} className="text-orange-500"/> Streaks</h3>
+              <div className="space-y-3">
+                {selected.map(u => {
+                  const streaks = progressByUser[u.id]?.streaks || { current: 0, longest: 0 };
+                  return (
+                    <div key={u.id} className="flex items-center justify-between">
+                      <span className="font-semibold text-sm" style={{ color: colorOf(u) }}>{u.username}</span>
+                      <span className="text-xs text-slate-500">
+                        <span className="font-bold text-orange-500">{streaks.current}</span> current · <span className="font-bold text-slate-700 dark:text-slate-200">{streaks.longest}</span> longest
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            </Card>
+          </div>
+
+          <Card className="p-6 mb-6">
+            <h3 className="font-bold mb-1 flex items-center gap-2"><Swords size={18} className="text-emerald-500"/> Weekly Record</h3>
+            <p className="text-xs text-slate-400 mb-4">Head-to-head weekly scores over {weeklyScores.length} completed week{weeklyScores.length === 1 ? '' : 's'}.</p>
+            <div className="space-y-2">
+              {pairs.map(([a, b]) => {
+                const record = getHeadToHeadRecord(weeklyScores, a.id, b.id);
+                return (
+                  <div key={`${a.id}-${b.id}`} className="flex items-center justify-between p-3 bg-slate-50 dark:bg-slate-900/40 rounded-lg border border-slate-100 dark:border-slate-800 text-sm">
+                    <span className="font-semibold w-1/3 truncate" style={{ color: colorOf(a) }}>{a.username}</span>
+                    <span className="font-mono font-black">
+                      {record.wins} <span className="text-slate-400 font-normal">–</span> {record.losses}
+                      {record.ties > 0 && <span className="text-[10px] text-slate-400 font-normal ml-2">({record.ties} tied)</span>}
+                    </span>
+                    <span className="font-semibold w-1/3 truncate text-right" style={{ color: colorOf(b) }}>{b.username}</span>
+                  </div>
+                );
+              })}
+            </div>
+          </Card>
+
+          <Card className="p-6">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+              <h3 className="font-bold">Solved Only By</h3>
+              <div className="flex bg-slate-100 dark:bg-slate-900 p-1 rounded-lg">
+                {problemPlatforms.map(p => (
+                  <button key={p.id} onClick={() => setProblemPlatformId(p.id)} className={`px-3 py-1 text-xs rounded-md transition-all ${problemPlatformId === p.id ? 'bg-white dark:bg-slate-700 shadow-sm text-emerald-500 font-bold' : 'text-slate-500'}`}>
+                    {p.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {uniqueProblems.map(({ user, problems }) => (
+                <div key={user.id}>
+                  <button onClick={() => onSelectUser(user.id)} className="text-sm font-bold mb-2 hover:underline" style={{ color: colorOf(user) }}>
+                    {user.username} <span className="text-slate-400 font-normal">· {problems.length}</span>
+                  </button>
+                  <div className="flex flex-wrap gap-1.5 max-h-48 overflow-y-auto">
+                    {problems.length === 0 ? <span className="text-xs text-slate-400">Nothing unique here.</span> : problems.map(({ id, rating }) => (
+                      <a key={id} href={problemPlatform.problemUrl(id)} target="_blank" rel="noreferrer" className="text-[11px] font-mono px-2 py-0.5 rounded bg-slate-50 dark:bg-slate-900 border border-slate-200 dark:border-slate-700 hover:text-emerald-500">
+                        {id}{rating ? <span className="text-slate-400"> · {rating}</span> : null}
+                      </a>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+};
+
+const DuelView = ({ duel, users, readOnly, isRefreshing, onRefresh, onDelete, onSelectUser, onBack }) => {
+  const [now, setNow] = useState(Date.now);
+  const status = getDuelStatus(duel, now);
+  const rows = rankDuel(duel, users);
+  const solveOrder = getDuelSolveOrder(duel, users);
+  const winner = getDuelWinner(duel, users);
+  const problemLabel = (id) => String.fromCharCode(65 + duel.problems.findIndex(p => p.id === id));
+
+  // Ticks the clock every second and refreshes standings while the duel runs, then
+  // once more after it ends so late verdicts are counted
+  useEffect(() => {
+    if (status === 'finished') return;
+    const tick = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(tick);
+  }, [status]);
+
+  useEffect(() => {
+    if (readOnly || !needsDuelRefresh(duel)) return;
+    if (status === 'finished') return onRefresh();
+    const poll = setInterval(onRefresh, DUEL_REFRESH_MS);
+    return () => clearInterval(poll);
+  }, [status, readOnly]);
+
+  return (
+    <div className="animate-in fade-in slide-in-from-bottom-4 duration-500">
+      <Button onClick={onBack} variant="ghost" className="mb-6 pl-0 hover:bg-transparent hover:text-emerald-500"><ArrowLeft size={18} /> Back to Dashboard</Button>
+
+      <Card className="p-6 mb-8">
+        <div className="flex flex-col md:flex-row justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold flex items-center gap-2"><Swords size={22} className="text-emerald-500" /> {duel.name} <DuelStatusBadge duel={duel} /></h1>
+            <p className="text-sm text-slate-500 mt-1">
+              {new Date(duel.startAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })} – {new Date(duel.endAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}
+            </p>
+          </div>
+          <div className="flex items-start gap-4">
+            <div className="text-right">
+              <div className="text-[10px] uppercase font-bold text-slate-400 tracking-widest">{status === 'upcoming' ? 'Starts in' : status === 'running' ? 'Time left' : 'Ended'}</div>
+              <div className="text-2xl font-mono font-bold">
+                {status === 'upcoming' ? formatDuelClock(duel.startAt - now) : status === 'running' ? formatDuelClock(duel.endAt - now) : formatDuelClock(duel.endAt - duel.startAt)}
+              </div>
+            </div>
+            {!readOnly && (
+              <div className="flex gap-2">
+                <Button onClick={onRefresh} variant="secondary" size="sm" disabled={isRefreshing || status === 'upcoming'}><RefreshCw size={14} className={isRefreshing ? 'animate-spin' : ''} /></Button>
+                <Button onClick={onDelete} variant="danger" size="sm" className="bg-red-500/10"><Trash2 size={14} /></Button>
+              </div>
             )}
           </div>
         </div>
+        {winner && (
+          <div className="mt-4 p-3 rounded-lg bg-amber-500/10 text-amber-500 text-sm font-bold flex items-center gap-2">
+            <Crown size={16} /> {winner.user?.username || 'Removed rival'} wins with {winner.solved} solved and {winner.penalty} penalty minutes
+          </div>
+        )}
+        {isDuelFinal(duel) && !winner && <p className="mt-4 text-sm text-slate-400">Nobody solved a problem, so there is no winner.</p>}
       </Card>
 
-      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
-        <Card className="p-4 text-center">
-            <div className="text-[10px] uppercase font-bold text-slate-400 tracking-widest mb-1">Total Solved</div>
-            <div className="text-3xl font-black text-slate-800 dark:text-white">{totalSolved}</div>
-        </Card>
-        <Card className="p-4 text-center">
-             <div className="text-[10px] uppercase font-bold text-slate-400 tracking-widest mb-1">LC Solved</div>
-             <div className="text-xl font-bold text-yellow-500">{user.data?.leetcode?.totalSolved || 0}</div>
-        </Card>
-        <Card className="p-4 text-center">
-             <div className="text-[10px] uppercase font-bold text-slate-400 tracking-widest mb-1">CF Solved</div>
-             <div className="text-xl font-bold text-blue-500">{user.data?.codeforces?.totalSolved || 0}</div>
-        </Card>
-        <Card className="p-4 text-center">
-             <div className="text-[10px] uppercase font-bold text-slate-400 tracking-widest mb-1">Activity</div>
-             <div className="text-xl font-medium text-slate-500">{combinedHistory.length} days</div>
-        </Card>
-      </div>
+      <Card className="overflow-x-auto mb-8">
+        <table className="w-full text-sm">
+          <thead className="bg-slate-50 dark:bg-slate-900/50 text-[10px] uppercase text-slate-400 tracking-wider">
+            <tr>
+              <th className="p-3 text-left">#</th>
+              <th className="p-3 text-left">Rival</th>
+              <th className="p-3 text-center">Solved</th>
+              <th className="p-3 text-center">Penalty</th>
+              {duel.problems.map(p => (
+                <th key={p.id} className="p-3 text-center normal-case">
+                  <a href={getPlatform('codeforces').problemUrl(p.id)} target="_blank" rel="noreferrer" className="hover:text-emerald-500" title={p.name || p.id}>
+                    <div className="font-bold">{problemLabel(p.id)}</div>
+                    <div className="font-mono font-normal">{p.id}{p.rating ? ` · ${p.rating}` : ''}</div>
+                  </a>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100 dark:divide-slate-700/50">
+            {rows.map((row, i) => (
+              <tr key={row.userId}>
+                <td className="p-3 font-mono text-slate-400">{i + 1}</td>
+                <td className="p-3 font-semibold">
+                  {row.user ? <button onClick={() => onSelectUser(row.user.id)} className="hover:text-emerald-500">{row.user.username}</button> : <span className="text-slate-400">Removed rival</span>}
+                </td>
+                <td className="p-3 text-center font-bold">{row.solved}</td>
+                <td className="p-3 text-center font-mono">{row.penalty}</td>
+                {duel.problems.map(p => {
+                  const cell = row.cells[p.id];
+                  if (!cell) return <td key={p.id} className="p-3 text-center text-slate-300 dark:text-slate-600">·</td>;
+                  return (
+                    <td key={p.id} className={`p-3 text-center font-mono text-xs ${cell.solvedAt ? (cell.first ? 'bg-emerald-500/20 text-emerald-500 font-bold' : 'bg-emerald-500/10 text-emerald-500') : 'bg-red-500/10 text-red-500'}`}>
+                      {cell.solvedAt ? formatDuelClock(cell.solvedAt - duel.startAt) : '—'}
+                      {cell.wrongAttempts > 0 && <div className="text-[10px]">-{cell.wrongAttempts}</div>}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!duel.checkedAt && status !== 'upcoming' && <p className="p-3 text-xs text-slate-400">Loading submissions...</p>}
+      </Card>
 
       <Card className="p-6">
-        <div className="flex items-center justify-between mb-8">
-          <h3 className="font-bold flex items-center gap-2"><CalendarIcon size={18} className="text-emerald-500"/> Activity Log</h3>
-          <div className="flex bg-slate-100 dark:bg-slate-900 p-1 rounded-lg">
-            {['Week', 'Month', 'Year'].map(t => (
-              <button key={t} onClick={() => setTimeframe(t)} className={`px-4 py-1.5 text-xs rounded-md transition-all ${timeframe === t ? 'bg-white dark:bg-slate-700 shadow-sm text-emerald-500 font-bold' : 'text-slate-500'}`}>
-                {t}
-              </button>
+        <h3 className="font-bold mb-4 flex items-center gap-2"><Activity size={18} className="text-emerald-500" /> Solve order</h3>
+        {solveOrder.length === 0 ? <p className="text-xs text-slate-400">No accepted solutions yet.</p> : (
+          <ol className="space-y-2">
+            {solveOrder.map(s => (
+              <li key={`${s.userId}-${s.problemId}`} className="flex items-center gap-3 text-sm">
+                <span className="font-mono text-xs text-slate-400 w-12">{formatDuelClock(s.solvedAt - duel.startAt)}</span>
+                <span className="font-semibold">{s.user?.username || 'Removed rival'}</span>
+                <span className="text-slate-500">solved {problemLabel(s.problemId)}</span>
+                {rows.find(r => r.userId === s.userId)?.cells[s.problemId]?.first && <span className="text-[9px] uppercase font-bold px-1.5 py-0.5 rounded bg-emerald-500/10 text-emerald-500">First</span>}
+              </li>
             ))}
-          </div>
-        </div>
-        <div className="space-y-2">
-          {combinedHistory.length === 0 ? <div className="py-12 text-center text-slate-500 text-sm">No activity found. Try syncing or check handles.</div> : 
-            combinedHistory.map((h, i) => (
-              <div key={i} className="flex items-center justify-between p-3 bg-slate-50 dark:bg-slate-900/40 rounded-lg border border-slate-100 dark:border-slate-800">
-                <div className="flex items-center gap-4">
-                  <div className="text-xs font-mono text-slate-500 w-20">{h.date}</div>
-                  <div className="font-bold text-sm">Solved {h.count} problem{h.count > 1 ? 's' : ''}</div>
-                </div>
-                {h.count >= 3 && <Award size={16} className="text-amber-500" />}
-              </div>
-            ))
-          }
-        </div>
+          </ol>
+        )}
+        {duel.checkedAt && <p className="text-[11px] text-slate-400 mt-4">Last checked {new Date(duel.checkedAt).toLocaleTimeString()}. Wrong attempts add {DUEL_PENALTY_MINUTES} penalty minutes each.</p>}
       </Card>
     </div>
   );
 };
 
+const NotFoundView = ({ title, message, onBack }) => (
+  <Card className="p-12 text-center animate-in fade-in duration-500">
+    <div className="w-12 h-12 mx-auto mb-4 rounded-xl bg-slate-100 dark:bg-slate-900 flex items-center justify-center text-slate-400">
+      <AlertCircle size={22} />
+    </div>
+    <h2 className="text-lg font-bold text-slate-800 dark:text-white mb-1">{title}</h2>
+    <p className="text-sm text-slate-500 mb-6">{message}</p>
+    <Button onClick={onBack} variant="secondary" size="sm" className="mx-auto"><ArrowLeft size={14} /> Back to dashboard</Button>
+  </Card>
+);
+
 // --- MAIN APP ---
 
-export default function App() {
+const RivalsApp = ({ initialState, demoMode, teamServer, onToggleDemoMode, onConnectTeamServer, onDisconnectTeamServer }) => {
   const [darkMode, setDarkMode] = useState(true);
-  const [activeView, setActiveView] = useState('dashboard');
-  const [selectedUserId, setSelectedUserId] = useState(null);
   const [isAdding, setIsAdding] = useState(false);
-  const [newUser, setNewUser] = useState({ name: '', leetcode: '', codeforces: '' });
-  const [isLoading, setIsLoading] = useState(false);
+  const [newUser, setNewUser] = useState({ name: '', handles: {} });
+  const [showScoringRules, setShowScoringRules] = useState(false);
+  const [expandedUserId, setExpandedUserId] = useState(null);
+  const [leaderboardTab, setLeaderboardTab] = useState('weekly');
+  const [periodOffset, setPeriodOffset] = useState(0);
+  const [showLeagueSettings, setShowLeagueSettings] = useState(false);
   
-  // Initialize state structure
-  const [users, setUsers] = useState(() => {
-    try {
-      const saved = localStorage.getItem('code_rivals_users_v2'); 
-      return saved ? JSON.parse(saved) : [];
-    } catch (e) { return []; }
+  const [showDataPanel, setShowDataPanel] = useState(false);
+  
+  // Initialize state structure (loaded and migrated to the current schema by App)
+  const [storedUsers, setUsers] = useState(initialState.users);
+  const [localScoringRules, setScoringRules] = useState(initialState.scoringRules);
+  const [localLeagues, setLeagues] = useState(initialState.leagues);
+  const [activeLeagueId, setActiveLeagueId] = useState(initialState.activeLeagueId);
+  const [syncSettings, setSyncSettings] = useState(initialState.syncSettings);
+  const [meId, setMeId] = useState(initialState.meId);
+  const [feed, setFeed] = useState(initialState.feed);
+  const [duels, setDuels] = useState(initialState.duels);
+  const [showDuelForm, setShowDuelForm] = useState(false);
+  const [refreshingDuelIds, setRefreshingDuelIds] = useState([]);
+  // This visit is stored as the last one straight away; the feed compares against the previous
+  const [previousVisitAt] = useState(initialState.lastVisitAt);
+  const [visitStartedAt] = useState(Date.now);
+  const [showFeed, setShowFeed] = useState(false);
+  const [feedOpened, setFeedOpened] = useState(false);
+  // Keys of queued or running sync jobs, jobs held until the connection returns, and how
+  // many finished since the queue was last empty
+  const [syncQueue, setSyncQueue] = useState({ pending: teamServer?.pending || [], waiting: [], done: 0 });
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [teamError, setTeamError] = useState(null);
+  const [shareUrl, setShareUrl] = useState(null);
+  const [showDigest, setShowDigest] = useState(false);
+
+  // The URL decides what is shown. Opening the bare site resumes the last viewed league.
+  const [route, setRoute] = useState(() => {
+    const current = getCurrentRoute();
+    if (current.view !== 'dashboard' || current.leagueId || current.snapshot || initialState.activeLeagueId === ALL_RIVALS_LEAGUE.id) return current;
+    const resumed = dashboardRoute(initialState.activeLeagueId);
+    window.history.replaceState(null, '', buildPath(resumed));
+    return resumed;
+  });
+
+  useEffect(() => {
+    const onPopState = () => setRoute(getCurrentRoute());
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  // Stays inside the open snapshot unless `next` sets `snapshot` itself
+  const navigate = (next, { replace = false } = {}) => {
+    const path = buildPath('snapshot' in next ? next : { ...next, snapshot: route.snapshot });
+    if (path !== window.location.pathname + window.location.search + window.location.hash) {
+      window.history[replace ? 'replaceState' : 'pushState'](null, '', path);
+      if (!replace) window.scrollTo(0, 0);
+    }
+    setRoute(getCurrentRoute());
+  };
+
+  // A #snapshot fragment swaps the local rivals for a shared league, shown read-only
+  const [snapshot, setSnapshot] = useState(null);
+  useEffect(() => {
+    setSnapshot(route.snapshot ? { status: 'loading' } : null);
+    if (!route.snapshot) return;
+    let cancelled = false;
+    decodeSnapshot(route.snapshot)
+      .then(decoded => { if (!cancelled) setSnapshot({ status: 'ready', ...decoded }); })
+      .catch(err => { if (!cancelled) setSnapshot({ status: 'error', error: err.message }); });
+    return () => { cancelled = true; };
+  }, [route.snapshot]);
+
+  const readOnly = Boolean(route.snapshot);
+  const sharedView = snapshot?.status === 'ready' ? snapshot : null;
+  const leagues = sharedView ? [sharedView.league] : localLeagues;
+  const routeLeague = route.view === 'dashboard' && route.leagueId ? findById(leagues, route.leagueId) : null;
+  const activeLeague = routeLeague || leagues.find(l => l.id === activeLeagueId) || leagues[0];
+  // Every view dates solves in the active league's timezone
+  const timeZone = activeLeague.timeZone;
+  const localUsers = useMemo(() => storedUsers.map(u => getMergedUser(u, timeZone)), [storedUsers, timeZone]);
+  const users = sharedView ? sharedView.users : localUsers;
+  const scoringRules = sharedView ? sharedView.scoringRules : localScoringRules;
+
+  const appState = useMemo(() => ({
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    users: storedUsers,
+    leagues: localLeagues,
+    scoringRules: localScoringRules,
+    activeLeagueId,
+    syncSettings,
+    meId,
+    feed,
+    lastVisitAt: visitStartedAt,
+    duels
+  }), [storedUsers, localLeagues, localScoringRules, activeLeagueId, syncSettings, meId, feed, visitStartedAt, duels]);
+
+  // Starts from what was just loaded, so mounting doesn't rewrite every record
+  const storedDataRef = useRef(null);
+  if (!storedDataRef.current) storedDataRef.current = indexPlatformData(initialState.users);
+
+  // In team mode: the server's last seen revision and data version, the shared state it was
+  // last sent (or sent us), sync jobs waiting to be posted, and a chain that keeps saves,
+  // syncs and reloads in order
+  const teamRef = useRef(null);
+  if (teamServer && !teamRef.current) {
+    teamRef.current = {
+      revision: teamServer.revision,
+      dataVersion: teamServer.dataVersion,
+      sharedJson: JSON.stringify(getSharedState(initialState)),
+      jobs: [],
+      writes: 0,
+      chain: Promise.resolve(),
+      wake: null
+    };
+  }
+
+  const enqueueTeamRequest = (request) => {
+    const team = teamRef.current;
+    team.chain = team.chain.then(request).catch(err => {
+      console.error("Team server request failed:", err);
+      setTeamError(err.message);
+    });
+    return team.chain;
+  };
+
+  const applyTeamPending = (pending) => setSyncQueue(q => {
+    const finished = q.pending.filter(key => !pending.includes(key)).length;
+    return { ...q, pending, done: pending.length ? q.done + finished : 0 };
   });
 
+  // Replaces the shared state with the server's, unless a local change is still waiting to
+  // be saved (its save then conflicts, which reloads again)
+  const pullTeamState = async () => {
+    const team = teamRef.current;
+    const { state, ...status } = await requestTeamServer(teamServer.url, 'state');
+    applyTeamPending(status.pending);
+    setTeamError(null);
+    if (team.writes > 0) return;
+    const next = normalizeAppState(state);
+    team.revision = status.revision;
+    team.dataVersion = status.dataVersion;
+    team.sharedJson = JSON.stringify(getSharedState(next));
+    setUsers(next.users);
+    setLeagues(next.leagues);
+    setScoringRules(next.scoringRules);
+    setDuels(next.duels);
+  };
+
+  const pushTeamState = () => {
+    const team = teamRef.current;
+    const shared = getSharedState(appState);
+    const json = JSON.stringify(shared);
+    if (json === team.sharedJson) return;
+    team.sharedJson = json;
+    team.writes += 1;
+    enqueueTeamRequest(async () => {
+      let conflict = false;
+      try {
+        const { revision } = await requestTeamServer(teamServer.url, 'state', { method: 'PUT', body: { baseRevision: team.revision, state: shared } });
+        team.revision = revision;
+      } catch (err) {
+        if (err.status !== 409) {
+          // Resent with the next change
+          team.sharedJson = null;
+          throw err;
+        }
+        conflict = true;
+      } finally {
+        team.writes -= 1;
+      }
+      if (conflict) {
+        await pullTeamState();
+        setTeamError("Someone else changed the shared rivals at the same time, so their version was loaded. Please redo your last change.");
+      }
+    });
+  };
+
   useEffect(() => {
-    localStorage.setItem('code_rivals_users_v2', JSON.stringify(users));
-  }, [users]);
+    if (demoMode) return;
+    if (teamServer) {
+      saveTeamPersonalState(appState);
+      pushTeamState();
+      return;
+    }
+    const { written, done } = writeStoredState(appState, storedDataRef.current);
+    storedDataRef.current = written;
+    done.catch(err => {
+      console.error("Failed to save state:", err);
+      storedDataRef.current = new Map();
+    });
+  }, [appState]);
 
   useEffect(() => {
     if (darkMode) document.documentElement.classList.add('dark');
     else document.documentElement.classList.remove('dark');
   }, [darkMode]);
 
-  const handleAddUser = async (e) => {
+  // The queue reads users through a ref so jobs that start later see the latest stored data
+  const usersRef = useRef(storedUsers);
+  usersRef.current = storedUsers;
+  const pendingSyncRef = useRef(new Set());
+  const waitingJobsRef = useRef(new Map());
+
+  // Offline, jobs wait by key (a later request for the same job replaces the earlier one)
+  const holdSyncJobs = (jobs) => {
+    jobs.forEach(job => waitingJobsRef.current.set(getSyncJobKey(job), job));
+    setSyncQueue(q => ({ ...q, waiting: [...waitingJobsRef.current.keys()] }));
+  };
+
+  const queueSync = (jobs) => {
+    if (!navigator.onLine) return holdSyncJobs(jobs);
+    // The team server does the fetching. Jobs are posted after the render, once any rival
+    // or handle change made alongside them has been saved there.
+    if (teamServer) {
+      teamRef.current.jobs.push(...jobs);
+      setSyncQueue(q => ({ ...q, pending: [...new Set([...q.pending, ...jobs.map(getSyncJobKey)])] }));
+      return;
+    }
+    const fresh = jobs.filter(job => !pendingSyncRef.current.has(getSyncJobKey(job)));
+    if (fresh.length === 0) return;
+    fresh.forEach(job => pendingSyncRef.current.add(getSyncJobKey(job)));
+    setSyncQueue(q => ({ ...q, pending: [...q.pending, ...fresh.map(getSyncJobKey)] }));
+
+    runSyncQueue(
+      fresh,
+      job => usersRef.current.find(u => u.id === job.userId)?.accountData?.[job.platformId]?.[job.handle],
+      (job, result) => {
+        const key = getSyncJobKey(job);
+        pendingSyncRef.current.delete(key);
+        // A job that failed because the connection dropped is retried when it returns
+        if (!result.data && !navigator.onLine) holdSyncJobs([job]);
+        else setUsers(prev => prev.map(u => applySyncResult(u, job, result)));
+        setSyncQueue(q => {
+          const pending = q.pending.filter(k => k !== key);
+          return { ...q, pending, done: pending.length ? q.done + 1 : 0 };
+        });
+      }
+    );
+  };
+
+  const syncUsers = (ids, { staleOnly = false } = {}) => {
+    queueSync(usersRef.current
+      .filter(u => !ids || ids.includes(u.id))
+      .flatMap(u => createSyncJobs(u).filter(job => !staleOnly || isAccountStale(u, job, getSyncMaxAge(syncSettings)))));
+  };
+
+  // Declared after the save effect so it runs after it
+  useEffect(() => {
+    const team = teamRef.current;
+    if (!team || team.jobs.length === 0) return;
+    const jobs = team.jobs.splice(0).map(({ userId, platformId, handle, full }) => ({ userId, platformId, handle, full }));
+    enqueueTeamRequest(async () => {
+      const { pending } = await requestTeamServer(teamServer.url, 'sync', { method: 'POST', body: { jobs } });
+      applyTeamPending(pending);
+      team.wake?.();
+    });
+  });
+
+  // Polls the team server, reloading whenever someone saved or new data was fetched
+  useEffect(() => {
+    if (!teamServer) return;
+    const team = teamRef.current;
+    let timer = null;
+    let stopped = false;
+    const schedule = (ms) => {
+      clearTimeout(timer);
+      if (!stopped) timer = setTimeout(poll, ms);
+    };
+    const poll = async () => {
+      let busy = false;
+      try {
+        const status = await requestTeamServer(teamServer.url, 'status');
+        busy = status.pending.length > 0;
+        if (status.revision !== team.revision || status.dataVersion !== team.dataVersion) await enqueueTeamRequest(pullTeamState);
+        else applyTeamPending(status.pending);
+      } catch (err) {
+        console.error("Failed to reach the team server:", err);
+      }
+      schedule(busy ? TEAM_POLL_BUSY_MS : TEAM_POLL_MS);
+    };
+    team.wake = () => schedule(TEAM_POLL_BUSY_MS);
+    schedule(teamServer.pending.length ? TEAM_POLL_BUSY_MS : TEAM_POLL_MS);
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }, []);
+
+  // Scheduled refreshes only fetch platforms that are stale or failed last time. The team
+  // server schedules its own.
+  useEffect(() => {
+    if (teamServer) return;
+    syncUsers(null, { staleOnly: true });
+  }, []);
+
+  useEffect(() => {
+    const onOnline = () => {
+      setIsOnline(true);
+      const jobs = [...waitingJobsRef.current.values()];
+      waitingJobsRef.current.clear();
+      setSyncQueue(q => ({ ...q, waiting: [] }));
+      queueSync(jobs);
+    };
+    const onOffline = () => setIsOnline(false);
+    window.addEventListener('online', onOnline);
+    window.addEventListener('offline', onOffline);
+    return () => {
+      window.removeEventListener('online', onOnline);
+      window.removeEventListener('offline', onOffline);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (teamServer || !syncSettings.intervalMinutes) return;
+    const timer = setInterval(() => syncUsers(null, { staleOnly: true }), syncSettings.intervalMinutes * 60 * 1000);
+    return () => clearInterval(timer);
+  }, [syncSettings.intervalMinutes]);
+
+  const syncMaxAge = getSyncMaxAge(syncSettings);
+  const isUserSyncing = (id) => syncQueue.pending.some(key => key.startsWith(`${id}:`));
+  const isSyncInProgress = syncQueue.pending.length > 0;
+
+  const handleAddUser = (e) => {
     e.preventDefault();
     if (!newUser.name) return;
-    setIsLoading(true);
 
     const userObj = {
       id: Date.now(),
       username: newUser.name,
-      handles: {
-        leetcode: extractHandle(newUser.leetcode, 'LeetCode'),
-        codeforces: extractHandle(newUser.codeforces, 'Codeforces')
-      },
-      data: {}
+      handles: extractHandles(newUser.handles),
+      accountData: {},
+      syncStatus: {},
+      excludedHandles: {}
     };
 
-    if (userObj.handles.leetcode) {
-      userObj.data.leetcode = await fetchLeetCodeData(userObj.handles.leetcode);
-    }
-    if (userObj.handles.codeforces) {
-      userObj.data.codeforces = await fetchCodeforcesData(userObj.handles.codeforces);
-    }
-
     setUsers(prev => [...prev, userObj]);
-    setNewUser({ name: '', leetcode: '', codeforces: '' });
+    queueSync(createSyncJobs(userObj, undefined, true));
+    if (activeLeague.memberIds) {
+      updateLeague(activeLeague.id, { memberIds: [...activeLeague.memberIds, userObj.id] });
+    }
+    setNewUser({ name: '', handles: {} });
     setIsAdding(false);
-    setIsLoading(false);
   };
 
   const updateUser = (id, updates) => {
     setUsers(prev => prev.map(u => u.id === id ? { ...u, ...updates } : u));
   };
 
+  // Saves edited handles and fetches only the accounts that were added
+  const updateUserHandles = (id, username, handles) => {
+    const user = storedUsers.find(u => u.id === id);
+    if (!user) return;
+    const updated = pruneUnlinkedData({ ...user, username, handles });
+    setUsers(prev => prev.map(u => u.id === id ? updated : u));
+    queueSync(createSyncJobs(updated, undefined, true).filter(job => !getHandles(user, job.platformId).includes(job.handle)));
+  };
+
+  // Excluded accounts keep syncing but are left out of the merged data, so out of every score
+  const toggleHandleExcluded = (id, platformId, handle) => {
+    setUsers(prev => prev.map(u => {
+      if (u.id !== id) return u;
+      const excluded = u.excludedHandles?.[platformId] || [];
+      const next = excluded.includes(handle) ? excluded.filter(h => h !== handle) : [...excluded, handle];
+      return { ...u, excludedHandles: { ...u.excludedHandles, [platformId]: next } };
+    }));
+  };
+
   const deleteUser = (id) => {
-    setUsers(users.filter(u => u.id !== id));
-    setActiveView('dashboard');
+    setUsers(prev => prev.filter(u => u.id !== id));
+    if (id === meId) setMeId(null);
+    setLeagues(prev => prev.map(l => l.memberIds ? { ...l, memberIds: l.memberIds.filter(m => m !== id) } : l));
+    navigate(dashboardRoute(activeLeagueId), { replace: true });
   };
 
-  const calculateWeeklyScore = (user) => {
-    let score = 0;
-    const sumWeekly = (history) => {
-      if (!history) return 0;
-      return history
-        .filter(h => isDateInCurrentWeek(h.date))
-        .reduce((acc, curr) => acc + curr.count, 0);
-    };
-    score += sumWeekly(user.data?.leetcode?.history);
-    score += sumWeekly(user.data?.codeforces?.history);
-    return score;
+  // Dashboard routes pick the league; other views keep the last one for context
+  useEffect(() => {
+    if (route.view !== 'dashboard' || readOnly) return;
+    setActiveLeagueId(routeLeague ? routeLeague.id : ALL_RIVALS_LEAGUE.id);
+    setPeriodOffset(0);
+  }, [route.view, routeLeague?.id]);
+  const periodType = useMemo(() => getLeaguePeriodType(activeLeague), [activeLeague]);
+  // Personal views (profiles, goals, comparisons) use the active league's week start
+  const weekPeriod = getLeagueWeekPeriod(activeLeague);
+  const members = useMemo(() => getLeagueMembers(activeLeague, users), [activeLeague, users]);
+
+  const switchLeague = (id, options) => {
+    setShowLeagueSettings(false);
+    setShareUrl(null);
+    navigate(dashboardRoute(id), options);
+  };
+
+  const addLeague = () => {
+    const league = createLeague(`League ${leagues.length}`, activeLeague.timeZone);
+    setLeagues(prev => [...prev, league]);
+    switchLeague(league.id);
+    setShowLeagueSettings(true);
   };
 
+  const updateLeague = (id, updates) => {
+    setLeagues(prev => prev.map(l => l.id === id ? { ...l, ...updates } : l));
+    if (updates.period || updates.weekStart !== undefined || updates.customRange || updates.timeZone) setPeriodOffset(0);
+  };
+
+  const deleteLeague = (id) => {
+    setLeagues(prev => prev.filter(l => l.id !== id));
+    switchLeague(ALL_RIVALS_LEAGUE.id, { replace: true });
+  };
+
+  const archivePeriods = useMemo(() => getArchivePeriods(members, periodType, timeZone), [members, periodType, timeZone]);
+  const selectedPeriod = archivePeriods[Math.min(periodOffset, archivePeriods.length - 1)];
+
   const rankedUsers = useMemo(() => {
-    return users.map(user => ({
-      ...user,
-      weeklyScore: calculateWeeklyScore(user)
-    })).sort((a, b) => b.weeklyScore - a.weeklyScore);
-  }, [users]);
+    const previous = rankUsersForPeriod(members, scoringRules, periodType, periodType.shift(selectedPeriod, -1));
+    const previousRank = Object.fromEntries(previous.map((u, idx) => [u.id, idx]));
+    return rankUsersForPeriod(members, scoringRules, periodType, selectedPeriod)
+      .map((user, idx) => ({ ...user, rankDelta: previousRank[user.id] - idx }));
+  }, [members, scoringRules, periodType, selectedPeriod]);
+
+  const hallOfFame = useMemo(() => (
+    leaderboardTab === 'hall' ? buildHallOfFame(members, scoringRules, periodType, timeZone) : null
+  ), [members, scoringRules, periodType, leaderboardTab, timeZone]);
+
+  // Achievements are personal, so weekly wins are counted across all rivals, not per league
+  const weeklyHallOfFame = useMemo(() => buildHallOfFame(users, scoringRules, weekPeriod, timeZone), [users, scoringRules, weekPeriod, timeZone]);
+
+  const progressByUser = useMemo(() => Object.fromEntries(
+    users.map(u => [u.id, getUserProgress(u, weeklyHallOfFame, timeZone)])
+  ), [users, weeklyHallOfFame, timeZone]);
+
+  // Overtakes are judged on the active league's current period, whichever one is browsed
+  const liveRanking = useMemo(() => (
+    periodOffset === 0 ? rankedUsers : rankUsersForPeriod(members, scoringRules, periodType, archivePeriods[0])
+  ), [periodOffset, rankedUsers, members, scoringRules, periodType, archivePeriods]);
+  const myGaps = useMemo(() => getRivalGaps(rankedUsers, meId), [rankedUsers, meId]);
+
+  // The leaderboard is captured when a sync starts and compared once it has finished
+  const syncBaselineRef = useRef(null);
+  useEffect(() => {
+    if (readOnly) return;
+    const key = `${activeLeague.id}:${toDateKey(archivePeriods[0])}`;
+    if (isSyncInProgress) {
+      if (!syncBaselineRef.current) syncBaselineRef.current = { key, scores: getScoreMap(liveRanking) };
+      return;
+    }
+    const baseline = syncBaselineRef.current;
+    syncBaselineRef.current = null;
+    if (!baseline || baseline.key !== key || meId === null) return;
+
+    const events = diffRankings(baseline.scores, getScoreMap(liveRanking), meId, activeLeague.name);
+    if (events.length === 0) return;
+    setFeed(prev => [...events, ...prev].slice(0, FEED_LIMIT));
+    events.filter(e => e.type !== 'climbed').forEach(e => showNotification(
+      e.type === 'first' ? 'You\'re in first place!' : `${findById(users, e.userId)?.username} overtook you`,
+      describeFeedItem(e, users, meId)
+    ));
+  }, [isSyncInProgress]);
+
+  const feedItems = useMemo(() => buildFeed(feed, users, progressByUser, previousVisitAt, timeZone), [feed, users, progressByUser, previousVisitAt, timeZone]);
+  const newFeedCount = feedItems.filter(item => item.isNew).length;
+
+  // Notification permission is asked for when it becomes useful, from the user's click
+  const toggleMe = (id) => {
+    if (meId === id) return setMeId(null);
+    setMeId(id);
+    if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+      Notification.requestPermission().catch(err => console.error("Notification permission request failed:", err));
+    }
+  };
+
+  // Reads duels and users through refs so the duel view's polling timer sees the latest ones.
+  // A participant whose fetch fails keeps their previous results, and the duel isn't marked
+  // as checked so its standings can't become final from stale data.
+  const duelsRef = useRef(duels);
+  duelsRef.current = duels;
+  const refreshingDuelsRef = useRef(new Set());
+
+  const refreshDuel = async (id) => {
+    const duel = findById(duelsRef.current, id);
+    if (!duel || refreshingDuelsRef.current.has(id) || getDuelStatus(duel) === 'upcoming') return;
+    refreshingDuelsRef.current.add(id);
+    setRefreshingDuelIds([...refreshingDuelsRef.current]);
+    const checkedAt = Date.now();
+    const results = { ...duel.results };
+    const details = {};
+    let failed = false;
+    await Promise.all(duel.participantIds.map(async userId => {
+      const handles = getScoredHandles(findById(usersRef.current, userId), 'codeforces');
+      if (handles.length === 0) return;
+      try {
+        const fetched = await fetchDuelResults(handles, duel);
+        results[userId] = fetched.results;
+        Object.assign(details, fetched.details);
+      } catch (err) {
+        console.error(`Duel refresh failed for ${handles.join(', ')}:`, err);
+        failed = true;
+      }
+    }));
+    setDuels(prev => prev.map(d => d.id === id ? {
+      ...d,
+      results,
+      checkedAt: failed ? d.checkedAt : checkedAt,
+      problems: d.problems.map(p => ({ ...p, name: p.name || details[p.id]?.name, rating: p.rating || details[p.id]?.rating }))
+    } : d));
+    refreshingDuelsRef.current.delete(id);
+    setRefreshingDuelIds([...refreshingDuelsRef.current]);
+  };
+
+  const createDuel = (fields) => {
+    const duel = { id: Date.now(), ...fields, results: {}, checkedAt: null };
+    duelsRef.current = [...duelsRef.current, duel];
+    setDuels(duelsRef.current);
+    setShowDuelForm(false);
+    navigate({ view: 'duel', duelId: duel.id });
+  };
+
+  const deleteDuel = (id) => {
+    setDuels(prev => prev.filter(d => d.id !== id));
+    navigate(dashboardRoute(activeLeagueId), { replace: true });
+  };
+
+  // Duels that ended while the app was closed still need their final standings
+  useEffect(() => {
+    if (demoMode) return;
+    duels.filter(needsDuelRefresh).forEach(d => refreshDuel(d.id));
+  }, []);
+
+  const importState = (imported, mode) => {
+    const next = mode === 'replace' ? imported : mergeAppStates(appState, imported);
+    setUsers(next.users);
+    setLeagues(next.leagues);
+    setScoringRules(next.scoringRules);
+    setSyncSettings(next.syncSettings);
+    setMeId(next.meId);
+    setFeed(next.feed);
+    setDuels(next.duels);
+    setPeriodOffset(0);
+    setExpandedUserId(null);
+    switchLeague(next.leagues.some(l => l.id === next.activeLeagueId) ? next.activeLeagueId : ALL_RIVALS_LEAGUE.id, { replace: true });
+  };
+
+  const shareLeague = async () => {
+    try {
+      setShareUrl(buildSnapshotUrl(await encodeSnapshot(activeLeague, members, scoringRules)));
+    } catch (err) {
+      console.error("Snapshot encoding failed:", err);
+    }
+  };
+
+  // Adds the snapshot's rivals that aren't tracked yet and fetches fresh data for them
+  const adoptSnapshot = () => {
+    const known = new Set(storedUsers.map(u => String(u.id)));
+    // Their data is dated again from the fresh fetch
+    const adopted = sharedView.users.filter(u => !known.has(String(u.id))).map(({ data, ...u }) => u);
+    setUsers(prev => [...prev, ...adopted]);
+    queueSync(adopted.flatMap(u => createSyncJobs(u, undefined, true)));
+    navigate({ ...dashboardRoute(ALL_RIVALS_LEAGUE.id), snapshot: null });
+  };
 
-  // Resolve user before render to prevent hook violation
-  const selectedUser = users.find(u => u.id === selectedUserId);
+  const exitSnapshot = () => navigate({ ...dashboardRoute(activeLeagueId), snapshot: null });
+
+  const goToDashboard = () => navigate(dashboardRoute(readOnly ? ALL_RIVALS_LEAGUE.id : activeLeagueId));
+  const openProfile = (id) => navigate({ view: 'profile', userId: id });
+  const openCompare = (ids) => navigate({ view: 'compare', userIds: ids });
+  const openDuel = (id) => navigate({ view: 'duel', duelId: id });
+
+  // Resolve route targets before render to prevent hook violation
+  const selectedUser = route.view === 'profile' ? findById(users, route.userId) : null;
+  const selectedDuel = route.view === 'duel' ? findById(duels, route.duelId) : null;
+  const compareUsers = route.view === 'compare' ? route.userIds.map(id => findById(users, id)) : [];
+  const compareIds = compareUsers.filter(Boolean).map(u => u.id);
 
   return (
     <div className={`min-h-screen transition-all duration-500 font-sans ${darkMode ? 'bg-slate-950 text-slate-200' : 'bg-slate-50 text-slate-800'}`}>
       <nav className="border-b border-slate-200 dark:border-slate-800 bg-white/80 dark:bg-slate-950/80 backdrop-blur-md sticky top-0 z-50">
         <div className="max-w-4xl mx-auto px-4 h-16 flex items-center justify-between">
-          <div className="flex items-center gap-2 cursor-pointer" onClick={() => setActiveView('dashboard')}>
+          <div className="flex items-center gap-2 cursor-pointer" onClick={goToDashboard}>
             <div className="w-8 h-8 bg-emerald-500 rounded-lg flex items-center justify-center text-white">
               <Activity size={18} />
             </div>
             <span className="font-black text-lg tracking-tighter uppercase">Code<span className="text-emerald-500">Rivals</span></span>
           </div>
-          <button onClick={() => setDarkMode(!darkMode)} className="p-2 rounded-xl bg-slate-100 dark:bg-slate-900 text-slate-500 hover:text-emerald-500 transition-colors">
-            {darkMode ? <Sun size={18} /> : <Moon size={18} />}
-          </button>
+          <div className="flex items-center gap-2">
+            {!readOnly && (
+              <button onClick={onToggleDemoMode} title={demoMode ? 'Exit demo mode' : 'Demo mode (sample data, works offline)'} className={`p-2 rounded-xl bg-slate-100 dark:bg-slate-900 transition-colors ${demoMode ? 'text-emerald-500' : 'text-slate-500 hover:text-emerald-500'}`}>
+                <FlaskConical size={18} />
+              </button>
+            )}
+            {!readOnly && (
+              <button onClick={() => { setShowFeed(!showFeed); setFeedOpened(true); if (route.view !== 'dashboard') goToDashboard(); }} title="Activity" className={`relative p-2 rounded-xl bg-slate-100 dark:bg-slate-900 transition-colors ${showFeed ? 'text-emerald-500' : 'text-slate-500 hover:text-emerald-500'}`}>
+                <Bell size={18} />
+                {newFeedCount > 0 && !feedOpened && (
+                  <span className="absolute -top-1 -right-1 min-w-[16px] h-4 px-1 rounded-full bg-emerald-500 text-white text-[9px] font-bold flex items-center justify-center">{newFeedCount}</span>
+                )}
+              </button>
+            )}
+            {!readOnly && (
+              <button onClick={() => { setShowDataPanel(!showDataPanel); if (route.view !== 'dashboard') goToDashboard(); }} title="Import / export" className={`p-2 rounded-xl bg-slate-100 dark:bg-slate-900 transition-colors ${showDataPanel ? 'text-emerald-500' : 'text-slate-500 hover:text-emerald-500'}`}>
+                <Database size={18} />
+              </button>
+            )}
+            <button onClick={() => setDarkMode(!darkMode)} className="p-2 rounded-xl bg-slate-100 dark:bg-slate-900 text-slate-500 hover:text-emerald-500 transition-colors">
+              {darkMode ? <Sun size={18} /> : <Moon size={18} />}
+            </button>
+          </div>
         </div>
       </nav>
 
       <main className="max-w-4xl mx-auto px-4 py-8">
-        {activeView === 'dashboard' ? (
+        {demoMode && !readOnly && (
+          <div className="mb-6 px-4 py-3 rounded-xl border border-emerald-500/20 bg-emerald-500/5 flex items-center justify-between gap-3">
+            <div className="flex items-center gap-3 text-xs text-slate-500">
+              <FlaskConical size={16} className="text-emerald-500 shrink-0" />
+              <span>Demo mode: sample rivals with recorded Codeforces and LeetCode data. Changes here aren't saved.</span>
+            </div>
+            <Button onClick={onToggleDemoMode} variant="secondary" size="sm">Exit demo</Button>
+          </div>
+        )}
+        {!isOnline && (
+          <div className="mb-6 px-4 py-3 rounded-xl border border-amber-500/20 bg-amber-500/5 flex items-center gap-3 text-xs text-slate-500">
+            <WifiOff size={16} className="text-amber-500 shrink-0" />
+            <span>
+              You're offline, showing the last synced data.
+              {syncQueue.waiting.length > 0 && ` ${syncQueue.waiting.length} sync${syncQueue.waiting.length === 1 ? '' : 's'} will run when the connection returns.`}
+            </span>
+          </div>
+        )}
+        {teamServer && teamError && !readOnly && (
+          <div className="mb-6 px-4 py-3 rounded-xl border border-amber-500/20 bg-amber-500/5 flex items-center justify-between gap-3">
+            <div className="flex items-center gap-3 text-xs text-slate-500">
+              <Server size={16} className="text-amber-500 shrink-0" />
+              <span>{teamError}</span>
+            </div>
+            <Button onClick={() => setTeamError(null)} variant="secondary" size="sm">Dismiss</Button>
+          </div>
+        )}
+        {snapshot && <SnapshotBanner snapshot={snapshot} onAdopt={adoptSnapshot} onExit={exitSnapshot} />}
+
+        {readOnly && !sharedView ? null : route.view === 'notFound' ? (
+          <NotFoundView title="Page not found" message="There is nothing at this address." onBack={goToDashboard} />
+        ) : route.view === 'dashboard' && route.leagueId && !routeLeague ? (
+          <NotFoundView title="League not found" message="This league doesn't exist here. It may have been deleted, or it was created on another device." onBack={() => switchLeague(ALL_RIVALS_LEAGUE.id)} />
+        ) : route.view === 'compare' ? (
+          compareUsers.every(Boolean) ? (
+            <CompareView 
+              users={users}
+              selectedIds={compareIds}
+              progressByUser={progressByUser}
+              scoringRules={scoringRules}
+              weekPeriod={weekPeriod}
+              timeZone={timeZone}
+              onChangeSelection={(ids) => navigate({ view: 'compare', userIds: ids }, { replace: true })}
+              onSelectUser={openProfile}
+              onBack={goToDashboard}
+            />
+          ) : (
+            <NotFoundView title="Rival not found" message="This comparison includes a rival who isn't tracked here." onBack={goToDashboard} />
+          )
+        ) : route.view === 'duel' ? (
+          selectedDuel ? (
+            <DuelView
+              key={selectedDuel.id}
+              duel={selectedDuel}
+              users={localUsers}
+              readOnly={readOnly}
+              isRefreshing={refreshingDuelIds.includes(selectedDuel.id)}
+              onRefresh={() => refreshDuel(selectedDuel.id)}
+              onDelete={() => deleteDuel(selectedDuel.id)}
+              onSelectUser={openProfile}
+              onBack={goToDashboard}
+            />
+          ) : (
+            <NotFoundView title="Duel not found" message="No duel with this id is stored here. It may have been deleted, or it was created on another device." onBack={goToDashboard} />
+          )
+        ) : route.view === 'dashboard' ? (
           <div className="animate-in fade-in duration-700">
+            {showFeed && !readOnly && <FeedPanel items={feedItems} users={users} meId={meId} onSelectUser={openProfile} />}
+            {showDataPanel && !readOnly && <DataPanel appState={appState} users={localUsers} teamServer={teamServer} onImport={importState} onConnectTeamServer={demoMode ? null : (url) => onConnectTeamServer(url, appState)} onDisconnectTeamServer={onDisconnectTeamServer} />}
+
+            {/* League switcher */}
+            {!readOnly && (
+              <div className="flex flex-wrap items-center gap-2 mb-4">
+                {leagues.map(l => (
+                  <button key={l.id} onClick={() => switchLeague(l.id)} className={`px-3 py-1.5 rounded-lg text-xs font-bold transition-all ${l.id === activeLeague.id ? 'bg-emerald-500 text-white shadow-lg shadow-emerald-500/20' : 'bg-slate-100 dark:bg-slate-800 text-slate-500 hover:text-emerald-500'}`}>
+                    {l.name}
+                  </button>
+                ))}
+                <button onClick={addLeague} className="px-2 py-1.5 rounded-lg text-xs text-slate-400 hover:text-emerald-500 flex items-center gap-1" title="New league">
+                  <Plus size={14} /> League
+                </button>
+                <button onClick={() => setShowLeagueSettings(!showLeagueSettings)} className={`ml-auto p-1.5 rounded-lg transition-colors ${showLeagueSettings ? 'text-emerald-500 bg-slate-100 dark:bg-slate-800' : 'text-slate-400 hover:text-emerald-500'}`} title="League settings">
+                  <Users size={16} />
+                </button>
+              </div>
+            )}
+
+            {showLeagueSettings && !readOnly && (
+              <LeagueSettingsPanel 
+                league={activeLeague} 
+                users={users} 
+                onChange={(updates) => updateLeague(activeLeague.id, updates)}
+                onDelete={() => deleteLeague(activeLeague.id)} 
+              />
+            )}
+
             {/* Leaderboard */}
             <Card className="p-0 overflow-hidden mb-8 border-none ring-1 ring-slate-200 dark:ring-slate-700">
-              <div className="bg-slate-50 dark:bg-slate-800/50 p-4 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center">
-                <h3 className="font-bold text-slate-700 dark:text-slate-200 flex items-center gap-2">
-                  <Trophy className="text-amber-500" size={18} /> Weekly Rankings
-                </h3>
+              <div className="bg-slate-50 dark:bg-slate-800/50 p-4 border-b border-slate-200 dark:border-slate-700 flex flex-wrap gap-2 justify-between items-center">
+                <div className="flex bg-slate-100 dark:bg-slate-900 p-1 rounded-lg">
+                  {[['weekly', `${periodType.label} Rankings`, Trophy], ['rating', 'Rating', LineChartIcon], ['hall', 'Hall of Fame', Crown]].map(([key, label, Icon]) => (
+                    <button key={key} onClick={() => setLeaderboardTab(key)} className={`px-3 py-1.5 text-xs rounded-md transition-all flex items-center gap-1.5 ${leaderboardTab === key ? 'bg-white dark:bg-slate-700 shadow-sm text-slate-700 dark:text-slate-200 font-bold' : 'text-slate-500'}`}>
+                      <Icon className="text-amber-500" size={14} /> {label}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex gap-1">
+                  {members.length >= 2 && (
+                    <Button onClick={() => openCompare(rankedUsers.slice(0, 2).map(u => u.id))} variant="ghost" size="sm">
+                      <GitCompare size={14} /> Compare
+                    </Button>
+                  )}
+                  {members.length > 0 && (
+                    <Button onClick={() => setShowDigest(!showDigest)} variant={showDigest ? "secondary" : "ghost"} size="sm">
+                      <Newspaper size={14} /> Digest
+                    </Button>
+                  )}
+                  {!readOnly && members.length > 0 && (
+                    <Button onClick={() => shareUrl ? setShareUrl(null) : shareLeague()} variant={shareUrl ? "secondary" : "ghost"} size="sm">
+                      <Share2 size={14} /> Share
+                    </Button>
+                  )}
+                  {leaderboardTab !== 'rating' && !readOnly && (
+                    <Button onClick={() => setShowScoringRules(!showScoringRules)} variant={showScoringRules ? "secondary" : "ghost"} size="sm">
+                      <Settings size={14} /> Scoring
+                    </Button>
+                  )}
+                </div>
               </div>
-              <div className="divide-y divide-slate-100 dark:divide-slate-700/50">
-                {rankedUsers.length === 0 ? (
-                  <div className="p-8 text-center text-slate-500">No rivals yet. Add a user to start.</div>
-                ) : (
-                  rankedUsers.map((user, idx) => (
-                    <div key={user.id} className="p-4 flex items-center justify-between hover:bg-slate-50 dark:hover:bg-slate-700/30 transition-colors cursor-pointer" onClick={() => { setSelectedUserId(user.id); setActiveView('profile'); }}>
-                      <div className="flex items-center gap-4">
-                        <div className={`w-7 h-7 rounded-full flex items-center justify-center font-bold text-xs ${idx === 0 ? 'bg-amber-100 text-amber-600 dark:bg-amber-900/30' : 'bg-slate-100 dark:bg-slate-700 text-slate-400'}`}>{idx + 1}</div>
-                        <div>
-                          <div className="font-semibold text-sm text-slate-800 dark:text-slate-200">{user.username}</div>
-                          <div className="flex gap-2 mt-0.5">
-                             {user.handles?.leetcode && <PlatformBadge type="LeetCode" />}
-                             {user.handles?.codeforces && <PlatformBadge type="Codeforces" />}
+              {showDigest && members.length > 0 && <DigestPanel users={members} scoringRules={scoringRules} weekPeriod={weekPeriod} timeZone={timeZone} leagueName={activeLeague.name} onClose={() => setShowDigest(false)} />}
+              {shareUrl && !readOnly && <SharePanel url={shareUrl} leagueName={activeLeague.name} onClose={() => setShareUrl(null)} />}
+              {showScoringRules && leaderboardTab !== 'rating' && !readOnly && <ScoringRulesPanel rules={scoringRules} onChange={setScoringRules} />}
+              {leaderboardTab === 'hall' ? (
+                <HallOfFame hallOfFame={hallOfFame} onSelectUser={openProfile} />
+              ) : leaderboardTab === 'rating' ? (
+                <RatingLeaderboard users={members} onSelectUser={openProfile} />
+              ) : (
+                <>
+                  {members.length > 0 && (
+                    <div className="px-4 py-2 border-b border-slate-100 dark:border-slate-700/50 flex items-center justify-between gap-2">
+                      <button onClick={() => setPeriodOffset(periodOffset + 1)} disabled={periodOffset >= archivePeriods.length - 1} className="p-1 rounded text-slate-400 hover:text-emerald-500 disabled:opacity-30 disabled:hover:text-slate-400">
+                        <ChevronLeft size={16} />
+                      </button>
+                      <select 
+                        value={periodOffset} 
+                        onChange={(e) => setPeriodOffset(Number(e.target.value))}
+                        className="bg-transparent text-xs font-bold text-slate-600 dark:text-slate-300 outline-none cursor-pointer text-center"
+                      >
+                        {archivePeriods.map((start, idx) => (
+                          <option key={start.getTime()} value={idx} className="bg-white dark:bg-slate-900">
+                            {idx === 0 ? `This ${periodType.noun}` : idx === 1 ? `Last ${periodType.noun}` : periodType.format(start)}
+                          </option>
+                        ))}
+                      </select>
+                      <button onClick={() => setPeriodOffset(periodOffset - 1)} disabled={periodOffset === 0} className="p-1 rounded text-slate-400 hover:text-emerald-500 disabled:opacity-30 disabled:hover:text-slate-400">
+                        <ChevronRight size={16} />
+                      </button>
+                    </div>
+                  )}
+                  <div className="divide-y divide-slate-100 dark:divide-slate-700/50">
+                    {rankedUsers.length === 0 ? (
+                      <div className="p-8 text-center text-slate-500">{users.length === 0 ? 'No rivals yet. Add a user to start.' : 'No rivals in this league yet. Add members in league settings.'}</div>
+                    ) : (
+                      rankedUsers.map((user, idx) => (
+                        <div key={user.id}>
+                          <div className={`p-4 flex items-center justify-between hover:bg-slate-50 dark:hover:bg-slate-700/30 transition-colors cursor-pointer ${user.id === meId ? 'bg-emerald-500/5 border-l-2 border-emerald-500' : ''}`} onClick={() => openProfile(user.id)}>
+                            <div className="flex items-center gap-4">
+                              <div className="flex flex-col items-center gap-0.5">
+                                <div className={`w-7 h-7 rounded-full flex items-center justify-center font-bold text-xs ${idx === 0 ? 'bg-amber-100 text-amber-600 dark:bg-amber-900/30' : 'bg-slate-100 dark:bg-slate-700 text-slate-400'}`}>{idx + 1}</div>
+                                <RankMovement delta={user.rankDelta} />
+                              </div>
+                              <div>
+                                <div className="font-semibold text-sm text-slate-800 dark:text-slate-200 flex items-center gap-2">
+                                  {user.username}
+                                  {user.id === meId && <MeBadge />}
+                                  <StreakBadge days={progressByUser[user.id]?.streaks.current} />
+                                </div>
+                                <div className="flex gap-2 mt-0.5">
+                                   <PlatformBadges user={user} />
+                                </div>
+                                {user.id === meId && <RivalGaps gaps={myGaps} />}
+                              </div>
+                            </div>
+                            <div className="flex items-center gap-3">
+                              <button 
+                                onClick={(e) => { e.stopPropagation(); setExpandedUserId(expandedUserId === user.id ? null : user.id); }}
+                                className="p-1 rounded text-slate-400 hover:text-emerald-500 hover:bg-slate-100 dark:hover:bg-slate-700"
+                                title="Score breakdown"
+                              >
+                                <ChevronDown size={14} className={`transition-transform ${expandedUserId === user.id ? 'rotate-180' : ''}`} />
+                              </button>
+                              <div className="text-right">
+                                <div className="text-lg font-black text-emerald-500">{user.periodScore}</div>
+                                <div className="text-[9px] uppercase font-bold text-slate-400">Points</div>
+                              </div>
+                            </div>
                           </div>
+                          {expandedUserId === user.id && <ScoreBreakdown breakdown={user.scoreBreakdown} />}
                         </div>
-                      </div>
-                      <div className="text-right">
-                        <div className="text-lg font-black text-emerald-500">{user.weeklyScore}</div>
-                        <div className="text-[9px] uppercase font-bold text-slate-400">Points</div>
-                      </div>
-                    </div>
-                  ))
-                )}
-              </div>
+                      ))
+                    )}
+                  </div>
+                </>
+              )}
             </Card>
 
+            {!readOnly && (
+              <Card className="p-6 mb-8">
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="font-bold flex items-center gap-2"><Swords size={18} className="text-emerald-500"/> Duels</h3>
+                  <Button onClick={() => setShowDuelForm(!showDuelForm)} variant={showDuelForm ? "secondary" : "ghost"} size="sm">
+                    {showDuelForm ? 'Close' : <><Plus size={14} /> New duel</>}
+                  </Button>
+                </div>
+                {showDuelForm && <DuelForm users={localUsers} duelCount={duels.length} onCreate={createDuel} onCancel={() => setShowDuelForm(false)} />}
+                <DuelList duels={duels} users={localUsers} onOpen={openDuel} />
+              </Card>
+            )}
+
             <div className="flex justify-between items-center mb-6">
               <h2 className="text-lg font-bold flex items-center gap-2"><TrendingUp size={18} className="text-emerald-500"/> Rivals</h2>
-              <Button onClick={() => setIsAdding(!isAdding)} variant={isAdding ? "secondary" : "primary"} size="sm">
-                {isAdding ? 'Close' : <><Plus size={16} /> Add User</>}
-              </Button>
+              {!readOnly && (
+                <div className="flex items-center gap-2">
+                  {teamServer ? (
+                    <span className="text-xs text-slate-400 flex items-center gap-1" title={teamServer.url}><Server size={12} /> Synced by the team server</span>
+                  ) : (
+                    <select 
+                      value={syncSettings.intervalMinutes} 
+                      onChange={e => setSyncSettings({ ...syncSettings, intervalMinutes: Number(e.target.value) })}
+                      title="Automatic sync"
+                      className="bg-slate-100 dark:bg-slate-800 text-xs text-slate-500 rounded-lg px-2 py-1.5 outline-none focus:ring-2 focus:ring-emerald-500"
+                    >
+                      {SYNC_INTERVAL_OPTIONS.map(o => <option key={o.minutes} value={o.minutes}>Auto-sync: {o.label}</option>)}
+                    </select>
+                  )}
+                  <Button onClick={() => syncUsers(null)} variant="outline" size="sm" disabled={isSyncInProgress || users.length === 0}>
+                    <RefreshCw size={14} className={isSyncInProgress ? "animate-spin" : ""} />
+                    {isSyncInProgress ? `Syncing ${syncQueue.done}/${syncQueue.done + syncQueue.pending.length}` : 'Sync all'}
+                  </Button>
+                  <Button onClick={() => setIsAdding(!isAdding)} variant={isAdding ? "secondary" : "primary"} size="sm">
+                    {isAdding ? 'Close' : <><Plus size={16} /> Add User</>}
+                  </Button>
+                </div>
+              )}
             </div>
+            {isSyncInProgress && !readOnly && (
+              <div className="h-1 bg-slate-100 dark:bg-slate-800 rounded-full overflow-hidden -mt-4 mb-6">
+                <div className="h-full bg-emerald-500 transition-all duration-500" style={{ width: `${(syncQueue.done / (syncQueue.done + syncQueue.pending.length)) * 100}%` }} />
+              </div>
+            )}
 
             {isAdding && (
               <Card className="mb-8 p-6 border-emerald-500/20 bg-emerald-500/[0.02]">
@@ -525,54 +5178,48 @@ export default function App() {
                     />
                   </div>
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                    <div>
-                      <label className="block text-xs font-bold text-slate-500 uppercase mb-1">LeetCode Handle / URL</label>
-                      <input 
-                        placeholder="leetcode.com/username" 
-                        className="w-full bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-lg px-4 py-2 text-sm outline-none focus:ring-2 focus:ring-yellow-500" 
-                        value={newUser.leetcode} 
-                        onChange={e => setNewUser({...newUser, leetcode: e.target.value})} 
-                      />
-                    </div>
-                    <div>
-                      <label className="block text-xs font-bold text-slate-500 uppercase mb-1">Codeforces Handle / URL</label>
-                      <input 
-                        placeholder="codeforces.com/profile/handle" 
-                        className="w-full bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-lg px-4 py-2 text-sm outline-none focus:ring-2 focus:ring-blue-500" 
-                        value={newUser.codeforces} 
-                        onChange={e => setNewUser({...newUser, codeforces: e.target.value})} 
-                      />
-                    </div>
+                    {PLATFORMS.map(p => (
+                      <div key={p.id}>
+                        <label className="block text-xs font-bold text-slate-500 uppercase mb-1">{p.name} Handles / URLs</label>
+                        <input 
+                          placeholder={p.placeholder} 
+                          className={`w-full bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-lg px-4 py-2 text-sm outline-none focus:ring-2 ${p.ringClass}`} 
+                          value={newUser.handles[p.id] || ''} 
+                          onChange={e => setNewUser({...newUser, handles: { ...newUser.handles, [p.id]: e.target.value }})} 
+                        />
+                      </div>
+                    ))}
                   </div>
-                  <Button type="submit" disabled={isLoading} className="mt-2 w-full md:w-auto self-end">
-                    {isLoading ? 'Fetching Data...' : 'Create Profile'}
-                  </Button>
+                  <p className="text-[11px] text-slate-400">Separate several accounts on the same platform with commas.</p>
+                  <Button type="submit" className="mt-2 w-full md:w-auto self-end">Create Profile</Button>
                 </form>
               </Card>
             )}
 
             <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-5">
-              {users.map(u => (
+              {members.map(u => (
                 <Card 
                   key={u.id} 
                   className="p-5 cursor-pointer hover:border-emerald-500/50 group"
-                  onClick={() => { setSelectedUserId(u.id); setActiveView('profile'); }}
+                  onClick={() => openProfile(u.id)}
                 >
                   <div className="flex justify-between items-start mb-4">
                     <div className="flex items-center gap-3">
                       <div className="w-10 h-10 rounded-xl bg-slate-100 dark:bg-slate-700 flex items-center justify-center font-bold">{u.username[0].toUpperCase()}</div>
                       <div>
                         <h4 className="font-bold group-hover:text-emerald-500 transition-colors">{u.username}</h4>
-                        <div className="flex gap-1 mt-1">
-                           {u.handles?.leetcode && <PlatformBadge type="LeetCode" />}
-                           {u.handles?.codeforces && <PlatformBadge type="Codeforces" />}
+                        <div className="flex flex-wrap gap-1 mt-1">
+                           <PlatformBadges user={u} />
                         </div>
                       </div>
                     </div>
                   </div>
+                  <AchievementBadges achievements={progressByUser[u.id]?.achievements || []} className="mb-3" />
+                  <GoalSummary goals={progressByUser[u.id]?.goals} className="mb-3" />
+                  {!readOnly && <SyncStatus user={u} maxAgeMs={syncMaxAge} isSyncing={isUserSyncing(u.id)} className="mb-3" />}
                   <div className="flex justify-between items-end border-t border-slate-100 dark:border-slate-700/50 pt-3">
                     <div className="text-xs text-slate-400">
-                      Total: <span className="font-bold text-slate-600 dark:text-slate-200">{(u.data?.leetcode?.totalSolved || 0) + (u.data?.codeforces?.totalSolved || 0)}</span>
+                      Total: <span className="font-bold text-slate-600 dark:text-slate-200">{getTotalSolved(u)}</span>
                     </div>
                     <div className="text-xs text-emerald-500 font-bold flex items-center gap-1">
                       View Profile <ArrowLeft className="rotate-180" size={10} />
@@ -585,20 +5232,125 @@ export default function App() {
         ) : (
           selectedUser ? (
             <ProfileView 
+              key={selectedUser.id}
               user={selectedUser} 
-              onBack={() => setActiveView('dashboard')} 
-              onUpdateUser={updateUser}
+              progress={progressByUser[selectedUser.id]}
+              range={route.range}
+              weekPeriod={weekPeriod}
+              timeZone={timeZone}
+              readOnly={readOnly}
+              isMe={selectedUser.id === meId}
+              duels={readOnly ? [] : duels}
+              users={users}
+              onToggleMe={toggleMe}
+              onOpenDuel={openDuel}
+              isSyncing={isUserSyncing(selectedUser.id)}
+              syncMaxAge={syncMaxAge}
+              onBack={goToDashboard} 
+              onChangeRange={(range) => navigate({ ...route, range }, { replace: true })}
+              onSaveProfile={updateUserHandles}
+              onUpdateGoals={(goals) => updateUser(selectedUser.id, { goals })}
+              onUpdatePractice={(practice) => updateUser(selectedUser.id, { practice })}
+              onToggleHandleExcluded={(platformId, handle) => toggleHandleExcluded(selectedUser.id, platformId, handle)}
+              onSync={(id) => syncUsers([id])}
               onDeleteUser={deleteUser}
+              onCompare={(id) => openCompare([id, ...rankedUsers.filter(u => u.id !== id).slice(0, 1).map(u => u.id)])}
             />
           ) : (
-             <div className="p-12 text-center text-slate-500">
-                <AlertCircle className="mx-auto mb-2 text-slate-400" />
-                User not found. 
-                <button onClick={() => setActiveView('dashboard')} className="text-emerald-500 font-bold ml-1 hover:underline">Go Back</button>
-             </div>
+            <NotFoundView title="Rival not found" message="No rival with this id is tracked here. They may have been deleted." onBack={goToDashboard} />
           )
         )}
       </main>
     </div>
   );
-}
\ No newline at end of file
+};
+
+// Storage is asynchronous, so the tracker mounts once the saved (demo, or team server)
+// state has loaded. Switching modes remounts it with the other state.
+export default function App() {
+  const [demoMode, setDemoMode] = useState(isDemoModeSaved);
+  const [teamServerUrl, setTeamServerUrl] = useState(getSavedTeamServer);
+  const [loadAttempt, setLoadAttempt] = useState(0);
+  const [loaded, setLoaded] = useState(null);
+  const mode = demoMode ? 'demo' : teamServerUrl ? `team:${teamServerUrl}` : 'live';
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = demoMode ? Promise.resolve({ state: createDemoState() })
+      : teamServerUrl ? loadTeamState(teamServerUrl)
+      : loadAppState().then(state => ({ state }));
+    load
+      .then(result => { if (!cancelled) setLoaded({ mode, ...result }); })
+      .catch(err => {
+        console.error("Failed to load state:", err);
+        if (!cancelled) setLoaded({ mode, error: err.message });
+      });
+    return () => { cancelled = true; };
+  }, [mode, loadAttempt]);
+
+  // Set during render so the tracker's first syncs already use the right source
+  setDataSource(demoMode ? 'demo' : 'live');
+
+  // Leagues and rivals differ between the modes, so switching lands on the dashboard
+  const switchMode = (apply) => {
+    window.history.pushState(null, '', buildPath(dashboardRoute(ALL_RIVALS_LEAGUE.id)));
+    apply();
+  };
+
+  const toggleDemoMode = () => switchMode(() => {
+    saveDemoMode(!demoMode);
+    setDemoMode(!demoMode);
+  });
+
+  const connect = async (input, localState) => {
+    const url = normalizeTeamServerUrl(input);
+    await connectTeamServer(url, localState);
+    switchMode(() => setTeamServerUrl(url));
+  };
+
+  const disconnect = () => switchMode(() => {
+    saveTeamServer(null);
+    setTeamServerUrl(null);
+  });
+
+  if (loaded?.mode !== mode) return <div className="min-h-screen bg-slate-950" />;
+  // The tracker isn't mounted without its state, so nothing gets saved over what failed to load
+  if (loaded.error) {
+    const isTeamMode = Boolean(teamServerUrl) && !demoMode;
+    return (
+      <div className="min-h-screen bg-slate-950 font-sans flex items-center justify-center p-4">
+        <Card className="p-8 max-w-md text-center">
+          {isTeamMode ? <Server size={32} className="mx-auto mb-4 text-amber-500" /> : <AlertCircle size={32} className="mx-auto mb-4 text-amber-500" />}
+          <h2 className="text-lg font-bold mb-2 text-slate-800 dark:text-slate-200">{isTeamMode ? 'Team server unavailable' : "Saved data couldn't be loaded"}</h2>
+          <p className="text-sm text-slate-500 mb-2">{loaded.error}</p>
+          {!isTeamMode && <p className="text-xs text-slate-400 mb-4">It has been left as it was, and nothing will be saved until it loads.</p>}
+          <div className="flex justify-center gap-2 mt-4">
+            <Button onClick={() => { setLoaded(null); setLoadAttempt(n => n + 1); }} variant="primary" size="sm"><RefreshCw size={14} /> Retry</Button>
+            {isTeamMode && <Button onClick={disconnect} variant="secondary" size="sm">Use this browser's data</Button>}
+          </div>
+        </Card>
+      </div>
+    );
+  }
+  return (
+    <RivalsApp
+      key={mode}
+      initialState={loaded.state}
+      demoMode={demoMode}
+      teamServer={demoMode || !teamServerUrl ? null : { url: teamServerUrl, ...loaded.status }}
+      onToggleDemoMode={toggleDemoMode}
+      onConnectTeamServer={connect}
+      onDisconnectTeamServer={disconnect}
+    />
+  );
+}
+
+// Internals, exported for the tests next to this file
+export {
+  scoreUser, toLeetCodeSolveEvents, DEFAULT_SCORING_RULES,
+  migrateState, parseImport, loadLocalStorageState, CURRENT_SCHEMA_VERSION, STORAGE_KEY,
+  PERIOD_TYPES, WEEK_PERIODS, createSprintPeriod, getPeriodFilter, getArchivePeriods, getToday, toDateKey, parseDateKey,
+  readAppState, writeStoredState,
+  parseProblemIds, fetchDuelResults, rankDuel, getDuelWinner,
+  getPlatform, extractHandles, formatHandles, mergeHistories, withMergedData
+};
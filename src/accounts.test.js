@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getPlatform, extractHandles, formatHandles, mergeHistories, withMergedData, scoreUser, DEFAULT_SCORING_RULES
+} from './App.jsx';
+import { getLeetCodeCnUsername } from './api.js';
+
+describe('mergeHistories', () => {
+  it('counts a problem on the account that solved it first', () => {
+    const merged = mergeHistories([
+      { history: [{ date: '2024-01-01', count: 1, problems: ['A'] }, { date: '2024-01-03', count: 1, problems: ['B'] }] },
+      { history: [{ date: '2024-01-02', count: 2, problems: ['A', 'C'] }, { date: '2024-01-03', count: 1, problems: ['B'] }] }
+    ]);
+    expect(merged).toEqual([
+      { date: '2024-01-01', count: 1, problems: ['A'] },
+      { date: '2024-01-03', count: 1, problems: ['B'] },
+      { date: '2024-01-02', count: 1, problems: ['C'] }
+    ]);
+  });
+
+  it('adds up days without problem lists', () => {
+    expect(mergeHistories([
+      { history: [{ date: '2024-01-05', count: 2 }] },
+      { history: [{ date: '2024-01-05', count: 3 }] }
+    ])).toEqual([{ date: '2024-01-05', count: 5 }]);
+  });
+});
+
+describe('withMergedData', () => {
+  const codeforcesAccount = (solvedIds, time) => ({
+    totalSolved: solvedIds.length,
+    solvedIds,
+    ratings: Object.fromEntries(solvedIds.map(id => [id, 800])),
+    acceptedTimes: Object.fromEntries(solvedIds.map(id => [id, [time]])),
+    problems: {}
+  });
+
+  const user = {
+    id: 1,
+    handles: { codeforces: ['main', 'alt'] },
+    accountData: {
+      codeforces: {
+        // 2024-01-01 and 2024-01-02, 12:00 UTC
+        main: codeforcesAccount(['1-A', '1-B'], 1704110400),
+        alt: codeforcesAccount(['1-B', '2-A'], 1704196800)
+      }
+    }
+  };
+
+  it('counts a Codeforces problem solved on two accounts once', () => {
+    const { data } = withMergedData(user, 'UTC');
+    expect(data.codeforces.totalSolved).toBe(3);
+    expect(data.codeforces.solvedIds).toEqual(['1-A', '1-B', '2-A']);
+    expect(scoreUser({ ...user, data }, DEFAULT_SCORING_RULES, () => true).total).toBe(3);
+  });
+
+  it('leaves out excluded accounts', () => {
+    const { data } = withMergedData({ ...user, excludedHandles: { codeforces: ['alt'] } }, 'UTC');
+    expect(data.codeforces.solvedIds).toEqual(['1-A', '1-B']);
+    expect(data.codeforces.history).toEqual([{ date: '2024-01-01', count: 2, problems: ['1-A', '1-B'] }]);
+  });
+
+  it('dates the same solve times in the given timezone', () => {
+    const single = { ...user, excludedHandles: { codeforces: ['alt'] } };
+    expect(withMergedData(single, 'Pacific/Kiritimati').data.codeforces.history[0].date).toBe('2024-01-02');
+    expect(withMergedData(single, 'America/Los_Angeles').data.codeforces.history[0].date).toBe('2024-01-01');
+  });
+
+  it('dates LeetCode calendar days by their midday and logged solves by their time', () => {
+    const leetcode = {
+      totalSolved: 1,
+      // 2024-03-03 and 2024-03-04 in the calendar's UTC days
+      submissionCalendar: { 1709424000: 2, 1709510400: 1 },
+      solvedByDifficulty: { easy: 1, medium: 0, hard: 0 },
+      // 2024-03-04 02:00 UTC, still the 3rd in Los Angeles
+      solveLog: [{ time: 1709517600, easy: 1, medium: 0, hard: 0 }],
+      trackedSince: 1709510400,
+      problems: {}
+    };
+    const dated = (timeZone) => withMergedData({ id: 1, handles: { leetcode: ['ann'] }, accountData: { leetcode: { ann: leetcode } } }, timeZone).data.leetcode;
+
+    expect(dated('UTC')).toMatchObject({
+      history: [{ date: '2024-03-03', count: 2 }, { date: '2024-03-04', count: 1 }],
+      difficultyHistory: [{ date: '2024-03-04', easy: 1, medium: 0, hard: 0 }],
+      untrackedHistory: [{ date: '2024-03-03', count: 2 }],
+      trackedSince: '2024-03-04'
+    });
+    expect(dated('America/Los_Angeles')).toMatchObject({
+      history: [{ date: '2024-03-03', count: 2 }, { date: '2024-03-04', count: 1 }],
+      difficultyHistory: [{ date: '2024-03-03', easy: 1, medium: 0, hard: 0 }],
+      untrackedHistory: [{ date: '2024-03-03', count: 2 }],
+      trackedSince: '2024-03-04'
+    });
+    expect(dated('UTC')).not.toHaveProperty('solveLog');
+  });
+
+  it('only deducts the LeetCode solves it can match across accounts', () => {
+    const merged = getPlatform('leetcode').mergeData([
+      { totalSolved: 10, solvedByDifficulty: { easy: 10 }, history: [], problems: { 'two-sum': { solvedAt: 2 } } },
+      { totalSolved: 5, solvedByDifficulty: { easy: 5 }, history: [], problems: { 'two-sum': { solvedAt: 1 }, 'add-two-numbers': { solvedAt: 3 } } }
+    ]);
+    expect(merged.totalSolved).toBe(14);
+    expect(merged.problems['two-sum'].solvedAt).toBe(1);
+    expect(merged.solvedByDifficulty).toEqual({ easy: 15, medium: 0, hard: 0 });
+  });
+});
+
+describe('extractHandles', () => {
+  it('reads several handles and profile URLs per platform, once each', () => {
+    expect(extractHandles({
+      codeforces: 'https://codeforces.com/profile/tourist, tourist petr',
+      atcoder: '  '
+    })).toEqual({ codeforces: ['tourist', 'petr'] });
+  });
+
+  it('keeps leetcode.cn accounts apart from leetcode.com ones', () => {
+    const handles = extractHandles({ leetcode: 'https://leetcode.cn/u/alice/ https://leetcode.com/u/alice/ leetcode.cn/bob' });
+    expect(handles).toEqual({ leetcode: ['leetcode.cn/alice', 'alice', 'leetcode.cn/bob'] });
+    expect(handles.leetcode.map(getLeetCodeCnUsername)).toEqual(['alice', null, 'bob']);
+    expect(getPlatform('leetcode').profileUrl(handles.leetcode[0])).toBe('https://leetcode.cn/u/alice');
+  });
+
+  it('reads back what formatHandles writes', () => {
+    const handles = { leetcode: ['leetcode.cn/alice', 'carol'], codeforces: ['tourist', 'petr'] };
+    expect(extractHandles(formatHandles(handles))).toEqual(handles);
+  });
+});
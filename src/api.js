@@ -0,0 +1,605 @@
+// Talking to the coding platforms: timezone dates, throttled requests, one fetcher per
+// platform and the sync job runner. Plain JavaScript with no browser-only APIs, so the app
+// and the optional team server (server/) share it.
+
+// --- API UTILITIES ---
+
+// Fetchers store exact solve times wherever the platform reports them, so the app can date
+// every solve in each league's canonical timezone (see ACCOUNTS in App.jsx). The helpers
+// below take that timezone; null falls back to the local timezone.
+
+export const getBrowserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-CA', { timeZone });
+    return typeof timeZone === 'string';
+  } catch (e) {
+    return false;
+  }
+};
+
+// Helper: Convert UNIX timestamp to YYYY-MM-DD in the canonical timezone
+// Added safety check to prevent crashes on invalid dates
+export const getLocalDate = (timestamp, timeZone) => {
+  const options = { timeZone: timeZone || undefined };
+  if (!timestamp || isNaN(timestamp)) return new Date().toLocaleDateString('en-CA', options);
+  try {
+    return new Date(timestamp * 1000).toLocaleDateString('en-CA', options); 
+  } catch (e) {
+    return new Date().toLocaleDateString('en-CA', options);
+  }
+};
+
+// Wall-clock time in the canonical timezone as a plain local Date. Period maths works on
+// these "calendar" Dates, so it never has to care about the browser's own offset.
+export const getNow = (timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone: timeZone || undefined,
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+  }).formatToParts(new Date()).map(p => [p.type, Number(p.value)]));
+  return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Solved problems are stored per platform as `data.problems`:
+//   { [problemId]: { name, rating, tags, solvedAt } }
+// where `solvedAt` is the UNIX time of the first accepted submission. Fields a platform
+// doesn't report are left out.
+const recordSolve = (problems, id, solvedAt, details = {}) => {
+  if (problems[id] && problems[id].solvedAt <= solvedAt) return;
+  problems[id] = { ...problems[id], ...details, solvedAt };
+};
+
+// Accepted submission times are stored per problem as { [problemId]: [time, ...] }. A
+// submission seen again (a refetch after it was still being judged) isn't added twice.
+const recordAcceptedTime = (acceptedTimes, id, time) => {
+  const times = acceptedTimes[id] || [];
+  if (!times.includes(time)) acceptedTimes[id] = [...times, time];
+};
+
+// Fetchers throw these so the sync manager can show what went wrong. Errors marked
+// `retryable: false` (unknown handles) are reported immediately instead of retried.
+export const syncError = (message, retryable = true) => Object.assign(new Error(message), { retryable });
+
+// Requests to the same host start at least `gapMs` apart, whichever user or view asked.
+// Each host has one record: `ready` chains its requests and `lastAt` is when the latest
+// one started, read and written only from inside the chain.
+const hostQueues = {};
+const throttledFetch = (url, gapMs = 0, init = undefined) => {
+  const host = new URL(url).host;
+  const queue = hostQueues[host] || (hostQueues[host] = { ready: Promise.resolve(), lastAt: 0 });
+  const ready = queue.ready.then(async () => {
+    const wait = queue.lastAt + gapMs - Date.now();
+    if (wait > 0) await sleep(wait);
+    queue.lastAt = Date.now();
+  });
+  queue.ready = ready;
+  return ready.then(() => fetch(url, init));
+};
+
+// Demo mode answers requests from recorded fixtures instead of the network. A handler
+// takes (url, platformName) and resolves to { ok, body }, the same as requestJson.
+let requestHandler = null;
+
+export const setRequestHandler = (handler) => { requestHandler = handler; };
+
+// Network failures, rate limiting and server errors are retryable; anything else is left
+// to the caller, which knows how its API reports unknown handles.
+const request = async (url, platformName, gapMs, readBody, init) => {
+  if (requestHandler) return requestHandler(url, platformName);
+  let response;
+  try {
+    response = await throttledFetch(url, gapMs, init);
+  } catch (err) {
+    throw syncError(`Could not reach ${platformName}`);
+  }
+  if (response.status === 429) throw syncError(`${platformName} rate limit reached`);
+  if (response.status >= 500) throw syncError(`${platformName} is unavailable (HTTP ${response.status})`);
+  const body = await readBody(response).catch(() => null);
+  return { ok: response.ok, body };
+};
+
+const requestJson = (url, platformName, gapMs = 0) => request(url, platformName, gapMs, response => response.json());
+
+// For the few sites that only have HTML pages
+const requestText = (url, platformName, gapMs = 0) => request(url, platformName, gapMs, response => response.text());
+
+// For GraphQL endpoints, which take the query as a POSTed body
+const requestGraphQL = (url, platformName, query, variables) => request(url, platformName, 0, response => response.json(), {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ query, variables })
+});
+
+const handleNotFound = (platformName, handle) => syncError(`${platformName} handle "${handle}" not found`, false);
+
+// Contest history is stored as { current, peak, history: [{ time, contest, rank, rating }] }
+const summarizeContests = (history) => ({
+  current: history.length ? history[history.length - 1].rating : null,
+  peak: history.length ? Math.max(...history.map(h => h.rating)) : null,
+  history
+});
+
+// Codeforces answers failed calls with { status: "FAILED", comment }
+const CF_REQUEST_GAP_MS = 2000; // Codeforces allows one API call every 2 seconds
+
+export const requestCodeforces = async (path, handle) => {
+  const { body } = await requestJson(`https://codeforces.com/api/${path}`, 'Codeforces', CF_REQUEST_GAP_MS);
+  if (body?.status === "OK") return body.result;
+  const comment = body?.comment || '';
+  if (/not found/i.test(comment)) throw handleNotFound('Codeforces', handle);
+  if (/limit exceeded/i.test(comment)) throw syncError('Codeforces rate limit reached');
+  throw syncError(comment || 'Codeforces API error');
+};
+
+const fetchCodeforcesContests = async (handle) => {
+  try {
+    const result = await requestCodeforces(`user.rating?handle=${handle}`, handle);
+
+    return summarizeContests(result.map(change => ({
+      time: change.ratingUpdateTimeSeconds,
+      contest: change.contestName,
+      rank: change.rank,
+      rating: change.newRating
+    })));
+  } catch (err) {
+    console.error("CF Rating fetch error:", err);
+    return null;
+  }
+};
+
+// 1. Codeforces Fetcher
+// user.status returns submissions newest first. The first sync pages through the whole
+// history; later syncs pass the stored data as `prevData` and stop paging as soon as they
+// reach a submission that was already seen, then merge the new solves into it.
+// `acceptedTimes` lists the time of every accepted submission per problem id.
+const CF_PAGE_SIZE = 1000;
+
+// Submissions still being judged have no verdict or TESTING
+const isFinalVerdict = (sub) => Boolean(sub.verdict) && sub.verdict !== 'TESTING';
+
+// The newest submission id whose verdict, and that of every submission before it, is
+// final. Syncs stop paging there, so anything still being judged is fetched again.
+const getLastFinalSubmissionId = (submissions, lastSeenId) => {
+  const pending = submissions.filter(sub => !isFinalVerdict(sub));
+  if (!pending.length) return submissions.length ? submissions[0].id : lastSeenId;
+  const oldestPendingId = Math.min(...pending.map(sub => sub.id));
+  return submissions.find(sub => sub.id < oldestPendingId)?.id ?? lastSeenId;
+};
+
+const fetchCodeforcesData = async (handle, prevData = null) => {
+  // Older stored data has no solvedIds, problem details or solve times, so it can't be merged
+  // into and gets replaced
+  const canMerge = Boolean(prevData?.solvedIds && prevData?.lastSubmissionId && prevData?.problems && prevData?.acceptedTimes);
+  const lastSeenId = canMerge ? prevData.lastSubmissionId : 0;
+
+  const submissions = [];
+  let from = 1;
+  let reachedSeen = false;
+  while (!reachedSeen) {
+    const result = await requestCodeforces(`user.status?handle=${handle}&from=${from}&count=${CF_PAGE_SIZE}`, handle);
+
+    for (const sub of result) {
+      if (sub.id <= lastSeenId) {
+        reachedSeen = true;
+        break;
+      }
+      submissions.push(sub);
+    }
+    if (result.length < CF_PAGE_SIZE) break;
+    from += CF_PAGE_SIZE;
+  }
+
+  const totalUnique = new Set(canMerge ? prevData.solvedIds : []);
+  const ratings = canMerge ? { ...prevData.ratings } : {};
+  const problems = canMerge ? { ...prevData.problems } : {};
+  const acceptedTimes = canMerge ? { ...prevData.acceptedTimes } : {};
+  
+  submissions.forEach(sub => {
+    if (sub.verdict === "OK") {
+      const problemId = `${sub.problem.contestId}-${sub.problem.index}`;
+      totalUnique.add(problemId);
+      if (sub.problem.rating) ratings[problemId] = sub.problem.rating;
+      
+      // Safety check for creationTimeSeconds
+      if (sub.creationTimeSeconds) {
+          recordAcceptedTime(acceptedTimes, problemId, sub.creationTimeSeconds);
+          recordSolve(problems, problemId, sub.creationTimeSeconds, {
+            name: sub.problem.name,
+            rating: sub.problem.rating,
+            tags: sub.problem.tags
+          });
+      }
+    }
+  });
+
+  const contests = await fetchCodeforcesContests(handle);
+  
+  return {
+    totalSolved: totalUnique.size,
+    acceptedTimes: acceptedTimes,
+    solvedIds: [...totalUnique],
+    ratings: ratings,
+    problems: problems,
+    lastSubmissionId: getLastFinalSubmissionId(submissions, lastSeenId),
+    contests: contests || prevData?.contests || null
+  };
+};
+
+// 2. LeetCode Fetcher
+export const LEETCODE_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// leetcode.cn is a separate site with its own accounts. Those are stored with the site in
+// the handle, as "leetcode.cn/<username>"; plain handles are leetcode.com accounts.
+export const LEETCODE_CN_PREFIX = 'leetcode.cn/';
+
+export const getLeetCodeCnUsername = (handle) => handle.startsWith(LEETCODE_CN_PREFIX) ? handle.slice(LEETCODE_CN_PREFIX.length) : null;
+
+// Each site's profile comes back as { totalSolved, submissionCalendar, solvedByDifficulty,
+// recentSolves: [{ slug, title, time, difficulty? }], contests }, which fetchLeetCodeData turns
+// into data.
+
+// leetcode-stats-api has no contest data, so contest history comes from alfa-leetcode-api
+const fetchLeetCodeContests = async (handle) => {
+  try {
+    const { body: data } = await requestJson(`https://alfa-leetcode-api.onrender.com/${handle}/contest`, 'LeetCode');
+    if (!data?.contestParticipation) throw new Error("Contest history not available");
+
+    return summarizeContests(data.contestParticipation
+      .filter(c => c.attended)
+      .map(c => ({
+        time: c.contest.startTime,
+        contest: c.contest.title,
+        rank: c.ranking,
+        rating: Math.round(c.rating)
+      }))
+      .sort((a, b) => a.time - b.time));
+  } catch (err) {
+    console.error("LC Contest fetch error:", err);
+    return null;
+  }
+};
+
+// The stats API has no per-problem data; alfa-leetcode-api lists recent accepted
+// submissions, which are merged into the stored problems on every sync
+const LC_RECENT_SOLVES_LIMIT = 50;
+
+const fetchLeetCodeRecentSolves = async (handle) => {
+  try {
+    const { body: data } = await requestJson(`https://alfa-leetcode-api.onrender.com/${handle}/acSubmission?limit=${LC_RECENT_SOLVES_LIMIT}`, 'LeetCode');
+    if (!Array.isArray(data?.submission)) throw new Error("Recent submissions not available");
+    return data.submission;
+  } catch (err) {
+    console.error("LC Recent solves fetch error:", err);
+    return [];
+  }
+};
+
+// Difficulty of one problem, for newly solved problems the recent solves don't rate.
+// Null when it can't be looked up.
+const fetchLeetCodeDifficulty = async (slug) => {
+  try {
+    const { body: data } = await requestJson(`https://alfa-leetcode-api.onrender.com/select?titleSlug=${slug}`, 'LeetCode');
+    const difficulty = data?.difficulty?.toLowerCase();
+    if (!LEETCODE_DIFFICULTIES.includes(difficulty)) throw new Error("Problem difficulty not available");
+    return difficulty;
+  } catch (err) {
+    console.error("LC Difficulty fetch error:", err);
+    return null;
+  }
+};
+
+const fetchLeetCodeComProfile = async (handle) => {
+  const { body: data } = await requestJson(`https://leetcode-stats-api.herokuapp.com/${handle}`, 'LeetCode');
+
+  if (data?.status !== "success") {
+    if (/not exist|not found/i.test(data?.message || '')) throw handleNotFound('LeetCode', handle);
+    throw syncError(data?.message || 'LeetCode API error');
+  }
+
+  return {
+    totalSolved: data.totalSolved,
+    submissionCalendar: data.submissionCalendar || {},
+    solvedByDifficulty: { easy: data.easySolved || 0, medium: data.mediumSolved || 0, hard: data.hardSolved || 0 },
+    recentSolves: (await fetchLeetCodeRecentSolves(handle)).map(sub => ({ slug: sub.titleSlug, title: sub.title, time: parseInt(sub.timestamp) })),
+    contests: await fetchLeetCodeContests(handle)
+  };
+};
+
+// The community APIs only cover leetcode.com, so leetcode.cn accounts are read from the
+// site's own GraphQL endpoint
+const LC_CN_GRAPHQL_URL = 'https://leetcode.cn/graphql/';
+
+const requestLeetCodeCn = async (query, username) => {
+  const { body } = await requestGraphQL(LC_CN_GRAPHQL_URL, 'leetcode.cn', query, { userSlug: username });
+  if (!body?.data) throw syncError(body?.errors?.[0]?.message || 'leetcode.cn API error');
+  return body.data;
+};
+
+const fetchLeetCodeCnRecentSolves = async (username) => {
+  try {
+    const data = await requestLeetCodeCn(`query ($userSlug: String!) {
+      recentACSubmissions(userSlug: $userSlug) { submitTime question { title titleSlug difficulty } }
+    }`, username);
+    if (!Array.isArray(data.recentACSubmissions)) throw new Error("Recent submissions not available");
+    return data.recentACSubmissions.map(sub => ({
+      slug: sub.question.titleSlug,
+      title: sub.question.title,
+      time: sub.submitTime,
+      difficulty: sub.question.difficulty?.toLowerCase()
+    }));
+  } catch (err) {
+    console.error("LC CN Recent solves fetch error:", err);
+    return [];
+  }
+};
+
+const fetchLeetCodeCnContests = async (username) => {
+  try {
+    const data = await requestLeetCodeCn(`query ($userSlug: String!) {
+      userContestRankingHistory(userSlug: $userSlug) { attended rating ranking contest { title startTime } }
+    }`, username);
+    if (!Array.isArray(data.userContestRankingHistory)) throw new Error("Contest history not available");
+
+    return summarizeContests(data.userContestRankingHistory
+      .filter(c => c.attended)
+      .map(c => ({
+        time: c.contest.startTime,
+        contest: c.contest.title,
+        rank: c.ranking,
+        rating: Math.round(c.rating)
+      }))
+      .sort((a, b) => a.time - b.time));
+  } catch (err) {
+    console.error("LC CN Contest fetch error:", err);
+    return null;
+  }
+};
+
+const fetchLeetCodeCnProfile = async (username, handle) => {
+  const data = await requestLeetCodeCn(`query ($userSlug: String!) {
+    userProfileUserQuestionProgress(userSlug: $userSlug) { numAcceptedQuestions { difficulty count } }
+    userCalendar(userSlug: $userSlug) { submissionCalendar }
+  }`, username);
+  if (!data.userProfileUserQuestionProgress) throw handleNotFound('LeetCode', handle);
+
+  const solvedByDifficulty = { easy: 0, medium: 0, hard: 0 };
+  data.userProfileUserQuestionProgress.numAcceptedQuestions.forEach(({ difficulty, count }) => {
+    const key = difficulty.toLowerCase();
+    if (key in solvedByDifficulty) solvedByDifficulty[key] = count;
+  });
+
+  return {
+    totalSolved: LEETCODE_DIFFICULTIES.reduce((acc, d) => acc + solvedByDifficulty[d], 0),
+    // The calendar arrives as a JSON string
+    submissionCalendar: JSON.parse(data.userCalendar?.submissionCalendar || '{}'),
+    solvedByDifficulty,
+    recentSolves: await fetchLeetCodeCnRecentSolves(username),
+    contests: await fetchLeetCodeCnContests(username)
+  };
+};
+
+// The calendar's keys are day starts in its own timezone (UTC midnights on leetcode.com,
+// China midnights on leetcode.cn), so any key gives the offset of its days
+const getCalendarDayStart = (calendar, time) => {
+  const key = Object.keys(calendar)[0];
+  const offset = key ? ((Number(key) % 86400) + 86400) % 86400 : 0;
+  return time - ((((time - offset) % 86400) + 86400) % 86400);
+};
+
+// Data stored before solve times were kept has dated entries instead: each dated count is
+// logged at its date's UTC midday, and `trackedSince` becomes that date's UTC midnight
+const upgradeLeetCodeData = (prevData) => {
+  if (!prevData?.solvedByDifficulty || prevData.solveLog) return prevData;
+  const toTime = (date) => Date.parse(`${date}T00:00:00Z`) / 1000;
+  const difficultyHistory = prevData.difficultyHistory || [];
+  // Data stored before `trackedSince` existed started tracking at its first difficulty delta
+  const since = prevData.trackedSince || difficultyHistory.map(e => e.date).sort()[0];
+  return {
+    ...prevData,
+    solveLog: difficultyHistory.map(({ date, ...counts }) => ({ time: toTime(date) + 12 * 60 * 60, ...counts })),
+    trackedSince: since ? toTime(since) : null
+  };
+};
+
+// Adds { easy, medium, hard } counts at `time` to `solveLog`
+const logSolves = (solveLog, time, counts) => {
+  if (!LEETCODE_DIFFICULTIES.some(d => counts[d] > 0)) return;
+  solveLog.push({ time, ...Object.fromEntries(LEETCODE_DIFFICULTIES.map(d => [d, counts[d] || 0])) });
+};
+
+// Recent solves of problems not stored yet, made at or after `since`: each problem once, at
+// its first accepted submission, newest first and with its difficulty where it can be found
+const getFirstSolvesSince = async (recentSolves, known, since) => {
+  const firstSolves = {};
+  recentSolves.forEach(sub => {
+    if (!known[sub.slug] && (!firstSolves[sub.slug] || sub.time < firstSolves[sub.slug].time)) firstSolves[sub.slug] = sub;
+  });
+  const solves = Object.values(firstSolves)
+    .map(sub => ({ ...sub }))
+    .filter(sub => sub.time >= since)
+    .sort((a, b) => b.time - a.time);
+  for (const sub of solves) {
+    if (!LEETCODE_DIFFICULTIES.includes(sub.difficulty)) sub.difficulty = await fetchLeetCodeDifficulty(sub.slug);
+  }
+  return solves;
+};
+
+// submissionCalendar only counts raw submissions and is stored as it arrives. The API also
+// reports accepted totals per difficulty, so each sync diffs those against the previous sync
+// to find the newly solved problems and logs them in `solveLog`: at their first accepted
+// submission when the recent solves list them, otherwise at the time of the sync.
+// `trackedSince` is the start of the calendar day of the first sync: from then on solves are
+// known by difficulty, before it only the calendar has them. The first sync logs the recent
+// solves from that day, which the calendar no longer covers. The app dates all of it.
+const fetchLeetCodeData = async (handle, prevData = null) => {
+  const cnUsername = getLeetCodeCnUsername(handle);
+  const profile = cnUsername ? await fetchLeetCodeCnProfile(cnUsername, handle) : await fetchLeetCodeComProfile(handle);
+  const prev = upgradeLeetCodeData(prevData);
+
+  const { solvedByDifficulty, submissionCalendar } = profile;
+  const now = Math.floor(Date.now() / 1000);
+  const trackedSince = prev?.solvedByDifficulty && prev.trackedSince != null
+    ? prev.trackedSince
+    : getCalendarDayStart(submissionCalendar, now);
+
+  // Solves still to log per difficulty; the first sync has no totals to diff, so it logs
+  // whatever recent solves it finds
+  const unlogged = prev?.solvedByDifficulty
+    ? Object.fromEntries(LEETCODE_DIFFICULTIES.map(d => [d, Math.max(0, solvedByDifficulty[d] - (prev.solvedByDifficulty[d] || 0))]))
+    : null;
+  const solveLog = [...(prev?.solveLog || [])];
+  if (!unlogged || LEETCODE_DIFFICULTIES.some(d => unlogged[d] > 0)) {
+    const solves = await getFirstSolvesSince(profile.recentSolves, prev?.problems || {}, trackedSince);
+    // A problem solved long ago can reappear as a recent solve, so no difficulty takes more
+    // timed solves than its total grew by. The newest ones are the likeliest to be new.
+    solves.forEach(sub => {
+      if (!sub.difficulty || (unlogged && !(unlogged[sub.difficulty] > 0))) return;
+      if (unlogged) unlogged[sub.difficulty] -= 1;
+      logSolves(solveLog, sub.time, { [sub.difficulty]: 1 });
+    });
+    if (unlogged) logSolves(solveLog, now, unlogged);
+  }
+
+  const problems = { ...prev?.problems };
+  profile.recentSolves.forEach(sub => {
+    recordSolve(problems, sub.slug, sub.time, { name: sub.title });
+  });
+
+  return {
+    totalSolved: profile.totalSolved,
+    submissionCalendar: submissionCalendar,
+    solvedByDifficulty: solvedByDifficulty,
+    solveLog: solveLog,
+    trackedSince: trackedSince,
+    problems: problems,
+    contests: profile.contests || prev?.contests || null
+  };
+};
+
+// 3. AtCoder Fetcher (via AtCoder Problems, which pages submissions 500 at a time)
+const fetchAtCoderData = async (handle) => {
+  const submissions = [];
+  let fromSecond = 0;
+  while (true) {
+    const { ok, body: batch } = await requestJson(`https://kenkoooo.com/atcoder/atcoder-api/v3/user/submissions?user=${handle}&from_second=${fromSecond}`, 'AtCoder');
+    if (!ok || !Array.isArray(batch)) throw handleNotFound('AtCoder', handle);
+    submissions.push(...batch);
+    if (batch.length < 500) break;
+    fromSecond = batch[batch.length - 1].epoch_second + 1;
+  }
+
+  const totalUnique = new Set();
+  const problems = {};
+  const acceptedTimes = {};
+
+  submissions.forEach(sub => {
+    if (sub.result === "AC") {
+      totalUnique.add(sub.problem_id);
+      recordSolve(problems, sub.problem_id, sub.epoch_second);
+      recordAcceptedTime(acceptedTimes, sub.problem_id, sub.epoch_second);
+    }
+  });
+
+  return {
+    totalSolved: totalUnique.size,
+    acceptedTimes: acceptedTimes,
+    problems: problems
+  };
+};
+
+// The proxy reports no solved count, and its heatmap counts submissions rather than
+// problems, so the total is read from the "Total Problems Solved" heading on the profile
+// page. CodeChef sends no CORS headers, so only the team server can read that page; in the
+// browser the total stays at the last one the server stored, or unknown (null).
+const fetchCodeChefTotalSolved = async (handle) => {
+  try {
+    const { ok, body } = await requestText(`https://www.codechef.com/users/${handle}`, 'CodeChef');
+    const match = ok && typeof body === 'string' && body.match(/Total Problems Solved:\s*(\d+)/);
+    if (!match) throw new Error("Solved count not found on profile page");
+    return Number(match[1]);
+  } catch (err) {
+    console.error("CC Profile fetch error:", err);
+    return null;
+  }
+};
+
+// 4. CodeChef Fetcher (CodeChef has no public API, so this goes through a community proxy)
+const fetchCodeChefData = async (handle, prevData = null) => {
+  const { body: data } = await requestJson(`https://codechef-api.vercel.app/handle/${handle}`, 'CodeChef');
+
+  if (!data?.success) throw handleNotFound('CodeChef', handle);
+
+  // heatMap dates come back unpadded ("2024-1-5"), normalise to YYYY-MM-DD
+  const history = (data.heatMap || []).map(({ date, value }) => {
+    const [y, m, d] = date.split('-').map(Number);
+    return {
+      date: `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`,
+      count: value
+    };
+  });
+
+  return {
+    totalSolved: await fetchCodeChefTotalSolved(handle) ?? prevData?.totalSolved ?? null,
+    history: history
+  };
+};
+
+// What the platform adapters in App (and the server) need to fetch each platform
+export const PLATFORM_SOURCES = {
+  leetcode: { name: 'LeetCode', fetchData: fetchLeetCodeData },
+  codeforces: { name: 'Codeforces', fetchData: fetchCodeforcesData },
+  atcoder: { name: 'AtCoder', fetchData: fetchAtCoderData },
+  codechef: { name: 'CodeChef', fetchData: fetchCodeChefData }
+};
+
+// --- SYNC JOBS ---
+// A job is { userId, platformId, handle, full }, one per linked account. The app queues
+// them in its sync manager and the server on its schedule; both run them through runSyncQueue.
+
+export const getSyncJobKey = (job) => `${job.userId}:${job.platformId}:${job.handle}`;
+
+const SYNC_MAX_ATTEMPTS = 3;
+const SYNC_RETRY_BASE_MS = 2000;
+
+const withRetries = async (task) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task();
+    } catch (err) {
+      if (err.retryable === false || attempt >= SYNC_MAX_ATTEMPTS) throw err;
+      await sleep(SYNC_RETRY_BASE_MS * 2 ** (attempt - 1));
+    }
+  }
+};
+
+// Never throws: failures end up in the returned status
+const runSyncJob = async (job, prevData) => {
+  const platform = PLATFORM_SOURCES[job.platformId];
+  const attemptedAt = Date.now();
+  try {
+    const data = await withRetries(() => platform.fetchData(job.handle, job.full ? null : prevData));
+    return { data, status: { lastSyncedAt: attemptedAt, lastAttemptAt: attemptedAt, error: null } };
+  } catch (err) {
+    // Reported here once, after the last attempt; the fetchers themselves just throw
+    console.error(`${platform.name} sync failed for ${job.handle}:`, err);
+    return { data: null, status: { lastAttemptAt: attemptedAt, error: err.message || `${platform.name} sync failed` } };
+  }
+};
+
+// Runs jobs grouped by platform. `getPrevData(job)` is read when a job starts so queued jobs see data stored by earlier ones; `onResult(job, result)`
+// fires as each one finishes.
+export const runSyncQueue = (jobs, getPrevData, onResult) => {
+  const byPlatform = {};
+  jobs.forEach(job => {
+    if (!byPlatform[job.platformId]) byPlatform[job.platformId] = [];
+    byPlatform[job.platformId].push(job);
+  });
+  return Promise.all(Object.values(byPlatform).map(async queue => {
+    for (const job of queue) {
+      onResult(job, await runSyncJob(job, getPrevData(job)));
+    }
+  }));
+};
@@ -0,0 +1,136 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { getLocalDate, setRequestHandler, PLATFORM_SOURCES } from './api.js';
+
+describe('getLocalDate', () => {
+  it('dates a moment in the given timezone', () => {
+    // 2024-01-01 20:00 UTC
+    expect(getLocalDate(1704139200, 'UTC')).toBe('2024-01-01');
+    expect(getLocalDate(1704139200, 'Asia/Tokyo')).toBe('2024-01-02');
+    expect(getLocalDate(1704139200, 'America/Los_Angeles')).toBe('2024-01-01');
+  });
+});
+
+describe('LeetCode sync', () => {
+  // leetcode.com calendar keys are UTC midnights; this one is 2024-01-01
+  const respond = ({ easySolved = 0, mediumSolved = 0, recent = [], difficulties = {} } = {}) => (url) => {
+    if (url.includes('leetcode-stats-api')) {
+      return { ok: true, body: { status: 'success', totalSolved: easySolved + mediumSolved, easySolved, mediumSolved, submissionCalendar: { 1704067200: 3 } } };
+    }
+    if (url.includes('/acSubmission')) return { ok: true, body: { submission: recent } };
+    if (url.includes('/select')) return { ok: true, body: { difficulty: difficulties[new URL(url).searchParams.get('titleSlug')] } };
+    return { ok: true, body: { contestParticipation: [] } };
+  };
+  const recentSolve = (titleSlug, at) => ({ title: titleSlug, titleSlug, timestamp: String(Date.parse(at) / 1000) });
+
+  afterEach(() => {
+    setRequestHandler(null);
+    vi.useRealTimers();
+  });
+
+  const at = (iso) => Date.parse(iso) / 1000;
+
+  it('stores the calendar as it arrives, for the app to date', async () => {
+    setRequestHandler(respond());
+    const data = await PLATFORM_SOURCES.leetcode.fetchData('ann');
+    expect(data.submissionCalendar).toEqual({ 1704067200: 3 });
+  });
+
+  it('logs newly solved problems at the time of the sync', async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-03-04T02:00:00Z'));
+    setRequestHandler(respond());
+    const first = await PLATFORM_SOURCES.leetcode.fetchData('ann');
+    // The start of the calendar's (UTC) day
+    expect(first.trackedSince).toBe(at('2024-03-04T00:00:00Z'));
+    expect(first.solveLog).toEqual([]);
+
+    setRequestHandler(respond({ easySolved: 2 }));
+    const next = await PLATFORM_SOURCES.leetcode.fetchData('ann', first);
+    expect(next.trackedSince).toBe(first.trackedSince);
+    expect(next.solveLog).toEqual([{ time: at('2024-03-04T02:00:00Z'), easy: 2, medium: 0, hard: 0 }]);
+  });
+
+  it('times new solves from the recent solves they are listed in', async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-03-02T12:00:00Z'));
+    setRequestHandler(respond({ easySolved: 5 }));
+    const first = await PLATFORM_SOURCES.leetcode.fetchData('ann');
+
+    vi.setSystemTime(new Date('2024-03-04T12:00:00Z'));
+    setRequestHandler(respond({
+      easySolved: 6,
+      mediumSolved: 1,
+      // Only one new easy solve, so the older listing is a problem solved before tracking
+      recent: [recentSolve('two-sum', '2024-03-03T10:00:00Z'), recentSolve('old-easy', '2024-03-03T09:00:00Z')],
+      difficulties: { 'two-sum': 'Easy', 'old-easy': 'Easy' }
+    }));
+    const next = await PLATFORM_SOURCES.leetcode.fetchData('ann', first);
+    // The medium solve isn't listed, so it falls back to the time of the sync
+    expect(next.solveLog).toEqual([
+      { time: at('2024-03-03T10:00:00Z'), easy: 1, medium: 0, hard: 0 },
+      { time: at('2024-03-04T12:00:00Z'), easy: 0, medium: 1, hard: 0 }
+    ]);
+  });
+
+  it('logs the first sync day\'s recent solves, which the calendar no longer scores', async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-03-04T12:00:00Z'));
+    setRequestHandler(respond({
+      easySolved: 2,
+      recent: [recentSolve('today', '2024-03-04T08:00:00Z'), recentSolve('yesterday', '2024-03-03T08:00:00Z')],
+      difficulties: { today: 'Easy', yesterday: 'Easy' }
+    }));
+    const data = await PLATFORM_SOURCES.leetcode.fetchData('ann');
+    expect(data.trackedSince).toBe(at('2024-03-04T00:00:00Z'));
+    expect(data.solveLog).toEqual([{ time: at('2024-03-04T08:00:00Z'), easy: 1, medium: 0, hard: 0 }]);
+  });
+
+  it('keeps solves dated before solve times were stored', async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-03-04T12:00:00Z'));
+    setRequestHandler(respond({ easySolved: 1 }));
+    const next = await PLATFORM_SOURCES.leetcode.fetchData('ann', {
+      solvedByDifficulty: { easy: 1, medium: 0, hard: 0 },
+      difficultyHistory: [{ date: '2024-03-03', easy: 1, medium: 0, hard: 0 }],
+      trackedSince: '2024-03-02'
+    });
+    expect(next.trackedSince).toBe(at('2024-03-02T00:00:00Z'));
+    expect(next.solveLog).toEqual([{ time: at('2024-03-03T12:00:00Z'), easy: 1, medium: 0, hard: 0 }]);
+  });
+});
+
+describe('Codeforces sync', () => {
+  const submission = (id, index, verdict) => ({
+    id,
+    verdict,
+    creationTimeSeconds: 1704139200 + id,
+    problem: { contestId: 1, index, name: `Problem ${index}`, rating: 800 }
+  });
+
+  // user.status lists submissions newest first
+  const respond = (statuses) => (url) => ({
+    ok: true,
+    body: { status: 'OK', result: url.includes('user.status') ? statuses : [] }
+  });
+
+  afterEach(() => setRequestHandler(null));
+
+  it('fetches submissions that were still being judged again on the next sync', async () => {
+    setRequestHandler(respond([submission(3, 'B', 'TESTING'), submission(2, 'A', 'OK'), submission(1, 'A', 'WRONG_ANSWER')]));
+    const first = await PLATFORM_SOURCES.codeforces.fetchData('ann');
+    expect(first.totalSolved).toBe(1);
+    expect(first.lastSubmissionId).toBe(2);
+
+    setRequestHandler(respond([submission(4, 'C', 'WRONG_ANSWER'), submission(3, 'B', 'OK'), submission(2, 'A', 'OK')]));
+    const next = await PLATFORM_SOURCES.codeforces.fetchData('ann', first);
+    expect(next.solvedIds).toEqual(['1-A', '1-B']);
+    expect(next.acceptedTimes).toEqual({ '1-A': [1704139202], '1-B': [1704139203] });
+    expect(next.lastSubmissionId).toBe(4);
+  });
+
+  it('stops before the oldest submission still being judged', async () => {
+    setRequestHandler(respond([submission(3, 'B', 'OK'), submission(2, 'C'), submission(1, 'A', 'OK')]));
+    const data = await PLATFORM_SOURCES.codeforces.fetchData('ann');
+    expect(data.lastSubmissionId).toBe(1);
+  });
+});
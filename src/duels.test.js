@@ -0,0 +1,95 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { parseProblemIds, fetchDuelResults, rankDuel, getDuelWinner } from './App.jsx';
+import { setRequestHandler } from './api.js';
+
+const startAt = Date.UTC(2024, 0, 1);
+const minutes = (n) => startAt + n * 60000;
+const users = [1, 2, 3].map(id => ({ id, username: `rival${id}` }));
+
+const duel = {
+  problems: [{ id: '1-A' }, { id: '1-B' }],
+  participantIds: [1, 2, 3],
+  startAt,
+  endAt: minutes(120),
+  results: {
+    1: { '1-A': { solvedAt: minutes(10), wrongAttempts: 1 }, '1-B': { solvedAt: minutes(30), wrongAttempts: 0 } },
+    2: { '1-A': { solvedAt: minutes(5), wrongAttempts: 0 }, '1-B': { solvedAt: minutes(40), wrongAttempts: 0 } },
+    3: { '1-A': { solvedAt: minutes(20), wrongAttempts: 0 }, '1-B': { solvedAt: null, wrongAttempts: 4 } }
+  }
+};
+
+describe('parseProblemIds', () => {
+  it('accepts the usual ways of writing a problem, once each', () => {
+    expect(parseProblemIds('1900A, 1900 b\nhttps://codeforces.com/contest/1901/problem/C2 1900-A'))
+      .toEqual(['1900-A', '1900-B', '1901-C2']);
+  });
+});
+
+describe('rankDuel', () => {
+  it('ranks by solves, then penalty with rejected attempts', () => {
+    const ranked = rankDuel(duel, users);
+    expect(ranked.map(r => [r.userId, r.solved, r.penalty])).toEqual([[2, 2, 45], [1, 2, 60], [3, 1, 20]]);
+  });
+
+  it('marks the earliest solve of each problem', () => {
+    const [leader, runnerUp] = rankDuel(duel, users);
+    expect(leader.cells['1-A'].first).toBe(true);
+    expect(leader.cells['1-B'].first).toBe(false);
+    expect(runnerUp.cells['1-B'].first).toBe(true);
+  });
+
+  it('breaks penalty ties by the earlier last solve', () => {
+    const tied = {
+      ...duel,
+      participantIds: [1, 2],
+      results: {
+        1: { '1-A': { solvedAt: minutes(10), wrongAttempts: 0 }, '1-B': { solvedAt: minutes(30), wrongAttempts: 0 } },
+        2: { '1-A': { solvedAt: minutes(20), wrongAttempts: 0 }, '1-B': { solvedAt: minutes(20), wrongAttempts: 0 } }
+      }
+    };
+    expect(rankDuel(tied, users).map(r => r.userId)).toEqual([2, 1]);
+  });
+});
+
+describe('getDuelWinner', () => {
+  it('waits for the check after the end', () => {
+    expect(getDuelWinner({ ...duel, checkedAt: minutes(60) }, users)).toBeNull();
+    expect(getDuelWinner({ ...duel, checkedAt: minutes(120) }, users).userId).toBe(2);
+  });
+
+  it('has no winner when nobody solved anything', () => {
+    expect(getDuelWinner({ ...duel, results: {}, checkedAt: minutes(120) }, users)).toBeNull();
+  });
+});
+
+describe('fetchDuelResults', () => {
+  afterEach(() => setRequestHandler(null));
+
+  const submission = (index, verdict, at) => ({
+    problem: { contestId: 1, index, name: `Problem ${index}`, rating: 800 },
+    verdict,
+    creationTimeSeconds: at / 1000
+  });
+
+  it('combines the accounts and counts rejected attempts before the first accept', async () => {
+    // user.status lists submissions newest first
+    const statuses = {
+      main: [
+        submission('A', 'WRONG_ANSWER', minutes(50)),
+        submission('A', 'OK', minutes(12)),
+        submission('A', 'COMPILATION_ERROR', minutes(8)),
+        submission('A', 'WRONG_ANSWER', minutes(3)),
+        submission('A', 'OK', minutes(-30))
+      ],
+      alt: [submission('B', 'OK', minutes(130)), submission('B', 'OK', minutes(90))]
+    };
+    setRequestHandler((url) => ({ ok: true, body: { status: 'OK', result: statuses[new URL(url).searchParams.get('handle')] } }));
+
+    const { results, details } = await fetchDuelResults(['main', 'alt'], duel);
+    expect(results).toEqual({
+      '1-A': { solvedAt: minutes(12), wrongAttempts: 1 },
+      '1-B': { solvedAt: minutes(90), wrongAttempts: 0 }
+    });
+    expect(details['1-A']).toEqual({ name: 'Problem A', rating: 800 });
+  });
+});
@@ -7,4 +7,12 @@ ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <App />
   </React.StrictMode>,
-)
\ No newline at end of file
+)
+
+// The service worker caches the built shell for offline use; in dev it would serve
+// stale modules, so it is only registered in production builds
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => console.error('Service worker registration failed:', err))
+  })
+}
@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { migrateState, parseImport, loadLocalStorageState, CURRENT_SCHEMA_VERSION, STORAGE_KEY } from './App.jsx';
+
+const history = [{ date: '2024-01-01', count: 1, problems: ['1-A'] }];
+
+describe('migrateState', () => {
+  it('upgrades the original bare user list to the current schema', () => {
+    const state = migrateState([{ id: 1, username: 'ann', handles: { codeforces: 'ann_cf' }, data: { codeforces: { history } } }]);
+    expect(state.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(state.leagues.length).toBeGreaterThan(0);
+    expect(state.syncSettings).toBeDefined();
+    expect(state.leagues.every(l => typeof l.timeZone === 'string')).toBe(true);
+    expect(state.users[0].handles).toEqual({ codeforces: ['ann_cf'] });
+    expect(state.users[0].accountData).toEqual({ codeforces: { ann_cf: { history } } });
+    expect(state.users[0].data).toBeUndefined();
+  });
+
+  it('moves v5 data and sync status under the account they belong to', () => {
+    const state = migrateState({
+      schemaVersion: 5,
+      users: [{
+        id: 1,
+        username: 'ann',
+        handles: { codeforces: 'ann_cf', leetcode: '' },
+        data: { codeforces: { history }, leetcode: { history } },
+        syncStatus: { codeforces: { ok: true } }
+      }],
+      leagues: [],
+      timeZone: 'UTC'
+    });
+    expect(state.users[0].handles).toEqual({ codeforces: ['ann_cf'] });
+    // Data for a platform without a handle has nowhere to go
+    expect(state.users[0].accountData).toEqual({ codeforces: { ann_cf: { history } } });
+    expect(state.users[0].syncStatus).toEqual({ codeforces: { ann_cf: { ok: true } } });
+  });
+
+  it('gives every league the timezone that used to apply to all of them', () => {
+    const state = migrateState({
+      schemaVersion: 6,
+      users: [],
+      leagues: [{ id: 7, name: 'Friday Club', memberIds: [], period: 'week', weekStart: 5 }],
+      timeZone: 'Asia/Tokyo'
+    });
+    expect(state.schemaVersion).toBe(7);
+    expect(state.timeZone).toBeUndefined();
+    expect(state.leagues.map(l => [l.id, l.timeZone])).toEqual([['all', 'Asia/Tokyo'], [7, 'Asia/Tokyo']]);
+    expect(parseImport(JSON.stringify(state)).leagues.map(l => l.timeZone)).toEqual(['Asia/Tokyo', 'Asia/Tokyo']);
+  });
+
+  it('refuses data from a newer version of the app', () => {
+    expect(() => migrateState({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, users: [] })).toThrow(/newer than this app/);
+  });
+
+  it('refuses payloads that are not Code Rivals data', () => {
+    expect(() => migrateState({ users: [] })).toThrow(/Unrecognised data format/);
+    expect(() => migrateState('hello')).toThrow(/Unrecognised data format/);
+  });
+});
+
+describe('parseImport', () => {
+  it('fills in defaults and moves synced data under its account', () => {
+    const state = parseImport(JSON.stringify([{ id: 1, username: 'ann', handles: { codeforces: 'ann_cf' }, data: { codeforces: { history } } }]));
+    expect(state.users[0].accountData).toEqual({ codeforces: { ann_cf: { history } } });
+    expect(state.users[0].data).toBeUndefined();
+    expect(state.users[0].goals).toEqual([]);
+    expect(state.duels).toEqual([]);
+  });
+
+  it('reports invalid JSON and failed validation readably', () => {
+    expect(() => parseImport('{')).toThrow('The file is not valid JSON.');
+    expect(() => parseImport(JSON.stringify([{ id: 1 }]))).toThrow(/has no username/);
+    expect(() => parseImport(JSON.stringify({ schemaVersion: 6, users: [], leagues: [], timeZone: 'Mars/Olympus' }))).toThrow(/unknown timezone "Mars\/Olympus"/);
+  });
+
+  it('reports broken user lists before migrating them', () => {
+    expect(() => parseImport('[null]')).toThrow('The file failed validation: User #1 is not an object.');
+    expect(() => parseImport(JSON.stringify([{ id: 1, username: 'ann' }, 'bob']))).toThrow('The file failed validation: User #2 is not an object.');
+    expect(() => parseImport(JSON.stringify({ schemaVersion: 3, users: 'x' }))).toThrow('The file failed validation: `users` must be a list.');
+    expect(() => parseImport(JSON.stringify({ schemaVersion: 5 }))).toThrow('The file failed validation: `users` must be a list.');
+  });
+});
+
+describe('loadLocalStorageState', () => {
+  let items;
+
+  beforeEach(() => {
+    items = new Map();
+    vi.stubGlobal('localStorage', {
+      getItem: key => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: key => items.delete(key)
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('returns null when nothing was saved', () => {
+    expect(loadLocalStorageState()).toBeNull();
+  });
+
+  it('reads the original per-key layout', () => {
+    items.set('code_rivals_users_v2', JSON.stringify([{ id: 1, username: 'ann', handles: {} }]));
+    items.set('code_rivals_scoring_v1', JSON.stringify({ dailyCap: 7 }));
+    const state = loadLocalStorageState();
+    expect(state.users.map(u => u.username)).toEqual(['ann']);
+    expect(state.scoringRules.dailyCap).toBe(7);
+  });
+
+  it('throws on damaged data instead of treating it as empty', () => {
+    items.set(STORAGE_KEY, '{"schemaVersion": 6, "users": [');
+    expect(() => loadLocalStorageState()).toThrow(/damaged/);
+    expect(items.has(STORAGE_KEY)).toBe(true);
+  });
+});
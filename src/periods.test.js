@@ -0,0 +1,62 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  PERIOD_TYPES, WEEK_PERIODS, createSprintPeriod, getPeriodFilter, getArchivePeriods, getToday, toDateKey, parseDateKey
+} from './App.jsx';
+
+const startKey = (periodType, date) => toDateKey(periodType.getStart(parseDateKey(date)));
+
+describe('period starts', () => {
+  it('starts weeks on the configured weekday', () => {
+    // 2024-03-06 is a Wednesday
+    expect(startKey(PERIOD_TYPES.week, '2024-03-06')).toBe('2024-03-04');
+    expect(startKey(WEEK_PERIODS[0], '2024-03-06')).toBe('2024-03-03');
+    expect(startKey(WEEK_PERIODS[0], '2024-03-03')).toBe('2024-03-03');
+  });
+
+  it('starts months on the first and days at midnight', () => {
+    expect(startKey(PERIOD_TYPES.month, '2024-02-29')).toBe('2024-02-01');
+    expect(startKey(PERIOD_TYPES.day, '2024-02-29')).toBe('2024-02-29');
+  });
+
+  it('lays sprints back to back from the configured range', () => {
+    const sprint = createSprintPeriod({ start: '2024-01-10', end: '2024-01-23' });
+    expect(startKey(sprint, '2024-01-23')).toBe('2024-01-10');
+    expect(startKey(sprint, '2024-01-24')).toBe('2024-01-24');
+    expect(startKey(sprint, '2024-01-09')).toBe('2023-12-27');
+  });
+
+  it('filters the dates inside a period, end exclusive', () => {
+    const inWeek = getPeriodFilter(PERIOD_TYPES.week, parseDateKey('2024-03-04'));
+    expect(['2024-03-03', '2024-03-04', '2024-03-10', '2024-03-11', undefined].map(inWeek))
+      .toEqual([false, true, true, false, false]);
+  });
+});
+
+describe('canonical timezone', () => {
+  // Monday 02:00 in UTC, still Sunday evening in Los Angeles
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-03-04T02:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('takes today from the canonical timezone', () => {
+    expect(toDateKey(getToday('UTC'))).toBe('2024-03-04');
+    expect(toDateKey(getToday('America/Los_Angeles'))).toBe('2024-03-03');
+  });
+
+  it('lists archive periods back to the earliest solve', () => {
+    const users = [{ id: 1, data: { codeforces: { history: [{ date: '2024-02-20', count: 1, problems: ['1-A'] }] } } }];
+    expect(getArchivePeriods(users, PERIOD_TYPES.week, 'UTC').map(toDateKey))
+      .toEqual(['2024-03-04', '2024-02-26', '2024-02-19']);
+    expect(getArchivePeriods(users, PERIOD_TYPES.week, 'America/Los_Angeles').map(toDateKey))
+      .toEqual(['2024-02-26', '2024-02-19']);
+  });
+
+  it('has just the current period when nothing was solved', () => {
+    expect(getArchivePeriods([], PERIOD_TYPES.month, 'UTC').map(toDateKey)).toEqual(['2024-03-01']);
+  });
+});
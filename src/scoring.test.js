@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { scoreUser, toLeetCodeSolveEvents, DEFAULT_SCORING_RULES } from './App.jsx';
+
+const everyDay = () => true;
+
+const codeforcesUser = {
+  id: 1,
+  data: {
+    codeforces: {
+      history: [
+        { date: '2024-01-01', count: 2, problems: ['1-A', '2-B'] },
+        { date: '2024-01-02', count: 1, problems: ['1-A'] }
+      ],
+      ratings: { '1-A': 800, '2-B': 1700 }
+    }
+  }
+};
+
+describe('scoreUser', () => {
+  it('scores each solve by its rating tier', () => {
+    const { total, breakdown } = scoreUser(codeforcesUser, DEFAULT_SCORING_RULES, everyDay);
+    expect(total).toBe(5);
+    expect(breakdown.find(item => item.key === 'codeforces:r0')).toMatchObject({ count: 2, points: 2 });
+    expect(breakdown.find(item => item.key === 'codeforces:r1600')).toMatchObject({ count: 1, points: 3 });
+  });
+
+  it('only scores days that pass the period filter', () => {
+    expect(scoreUser(codeforcesUser, DEFAULT_SCORING_RULES, date => date === '2024-01-02').total).toBe(1);
+  });
+
+  it('adds the first-solve bonus only on the day a problem was first solved', () => {
+    const { total, breakdown } = scoreUser(codeforcesUser, { ...DEFAULT_SCORING_RULES, firstSolveBonus: 2 }, everyDay);
+    expect(breakdown.find(item => item.key === 'bonus:first')).toMatchObject({ count: 2, points: 4 });
+    expect(total).toBe(9);
+  });
+
+  it('caps the points of a single day', () => {
+    const { total, breakdown } = scoreUser(codeforcesUser, { ...DEFAULT_SCORING_RULES, dailyCap: 3 }, everyDay);
+    expect(breakdown.find(item => item.key === 'cap')).toMatchObject({ points: -1 });
+    expect(total).toBe(4);
+  });
+});
+
+describe('toLeetCodeSolveEvents', () => {
+  const data = {
+    history: [
+      { date: '2024-01-01', count: 2 },
+      { date: '2024-01-05', count: 3 }
+    ],
+    difficultyHistory: [{ date: '2024-01-05', easy: 1, medium: 1, hard: 0 }],
+    trackedSince: '2024-01-03'
+  };
+
+  it('scores calendar days before tracking started and difficulty deltas after', () => {
+    expect(toLeetCodeSolveEvents(data)).toEqual(expect.arrayContaining([
+      { date: '2024-01-01', tier: 'submission', count: 2, firstSolves: 0 },
+      { date: '2024-01-05', tier: 'easy', count: 1, firstSolves: 1 },
+      { date: '2024-01-05', tier: 'medium', count: 1, firstSolves: 1 }
+    ]));
+    expect(toLeetCodeSolveEvents(data)).toHaveLength(3);
+  });
+
+  it('never scores a tracked day from the calendar as well', () => {
+    const user = { id: 1, data: { leetcode: data } };
+    // 2 calendar submissions on Jan 1, then an easy (1) and a medium (2) solve
+    expect(scoreUser(user, DEFAULT_SCORING_RULES, everyDay).total).toBe(5);
+  });
+
+  it('treats data synced before trackedSince existed as tracked from its first delta', () => {
+    const { trackedSince, ...older } = data;
+    expect(toLeetCodeSolveEvents(older).filter(e => e.tier === 'submission')).toEqual([
+      { date: '2024-01-01', tier: 'submission', count: 2, firstSolves: 0 }
+    ]);
+  });
+});
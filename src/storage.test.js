@@ -0,0 +1,66 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readAppState, writeStoredState, STORAGE_KEY, CURRENT_SCHEMA_VERSION } from './App.jsx';
+
+const history = [{ date: '2024-01-01', count: 1, problems: ['1-A'] }];
+const savedUsers = [{ id: 1, username: 'ann', handles: { codeforces: 'ann_cf' }, data: { codeforces: { history } } }];
+
+// The tests share one database, so they run in order: failed loads first, then the move
+describe('readAppState', () => {
+  let items;
+
+  beforeEach(() => {
+    items = new Map();
+    vi.stubGlobal('localStorage', {
+      getItem: key => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: key => items.delete(key)
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('keeps damaged localStorage data and reports it', async () => {
+    items.set('code_rivals_users_v2', '[{"id": 1');
+    await expect(readAppState()).rejects.toThrow(/damaged/);
+    expect(items.get('code_rivals_users_v2')).toBe('[{"id": 1');
+  });
+
+  it('keeps data it cannot migrate', async () => {
+    const newer = JSON.stringify({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, users: [] });
+    items.set(STORAGE_KEY, newer);
+    await expect(readAppState()).rejects.toThrow(/newer than this app/);
+    expect(items.get(STORAGE_KEY)).toBe(newer);
+  });
+
+  it('starts empty on first run', async () => {
+    const state = await readAppState();
+    expect(state.users).toEqual([]);
+    expect(state.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+  });
+
+  it('moves legacy localStorage data into IndexedDB and clears the old keys', async () => {
+    items.set('code_rivals_users_v2', JSON.stringify(savedUsers));
+    items.set('code_rivals_scoring_v1', JSON.stringify({ dailyCap: 7 }));
+    const state = await readAppState();
+    expect(state.users[0].accountData).toEqual({ codeforces: { ann_cf: { history } } });
+    expect(state.scoringRules.dailyCap).toBe(7);
+    expect([...items.keys()]).toEqual([]);
+
+    const reread = await readAppState();
+    expect(reread.users[0].accountData).toEqual({ codeforces: { ann_cf: { history } } });
+    expect(reread.scoringRules.dailyCap).toBe(7);
+  });
+
+  it('writes only what changed and drops removed accounts', async () => {
+    const { users, ...rest } = await readAppState();
+    const first = writeStoredState({ ...rest, users }, new Map());
+    await first.done;
+    const second = writeStoredState({ ...rest, users: users.map(u => ({ ...u, handles: {}, accountData: {} })) }, first.written);
+    await second.done;
+    expect(second.written.size).toBe(0);
+    expect((await readAppState()).users[0].accountData).toEqual({});
+  });
+});
@@ -0,0 +1,8 @@
+import { defineConfig } from 'vite';
+
+export default defineConfig({
+  build: {
+    // dist/manifest.json lists every hashed asset, so the service worker can precache them
+    manifest: true
+  }
+});